@@ -0,0 +1,43 @@
+#!/usr/bin/env bash
+# Deploys a new SwapEscrowFactory, for ABI changes the resolver and clients cannot use against the
+# deployed one (createSwapEscrow taking the recipient, createDestinationEscrow). Factories are not
+# upgradeable, so the new one starts empty: resolvers unregister from the old one and register again.
+#
+# Usage: ETH_RPC_URL=... PRIVATE_KEY=0x... OLD_FACTORY_ADDRESS=0x... ./redeploy.sh
+#   OLD_FACTORY_ADDRESS  the factory being replaced; when set, the deployer unregisters from it
+#                        first and gets its stake back
+set -euo pipefail
+
+CONTRACTS_DIR="$(cd "$(dirname "$0")/.." && pwd)"
+
+command -v forge >/dev/null || { echo "forge not found" >&2; exit 1; }
+command -v cast >/dev/null || { echo "cast not found" >&2; exit 1; }
+: "${ETH_RPC_URL:?ETH_RPC_URL not set}"
+: "${PRIVATE_KEY:?PRIVATE_KEY not set}"
+
+if [[ -n "${OLD_FACTORY_ADDRESS:-}" ]]; then
+  echo "Unregistering $(cast wallet address "${PRIVATE_KEY}") from ${OLD_FACTORY_ADDRESS}"
+  # Fails if this address is not registered there; nothing to migrate in that case
+  cast send "${OLD_FACTORY_ADDRESS}" "unregisterResolver()" \
+    --rpc-url "${ETH_RPC_URL}" \
+    --private-key "${PRIVATE_KEY}" \
+    || echo "No stake withdrawn from ${OLD_FACTORY_ADDRESS}" >&2
+fi
+
+echo "Deploying SwapEscrowFactory from ${CONTRACTS_DIR}"
+cd "${CONTRACTS_DIR}"
+forge script script/DeploySwapFactory.s.sol:DeploySwapFactory --rpc-url "${ETH_RPC_URL}" --broadcast
+
+FACTORY_ADDRESS="$(sed -n 's/^SWAP_ESCROW_FACTORY=//p' deployment-addresses.txt)"
+if [[ -z "${FACTORY_ADDRESS}" ]]; then
+  echo "deployment-addresses.txt has no factory address" >&2
+  exit 1
+fi
+
+cat <<EOF
+
+Deployed. Set this in the resolver .env:
+ETHEREUM_ESCROW_ADDRESS=${FACTORY_ADDRESS}
+
+Resolvers register on the new factory with ETHEREUM_STAKE_AMOUNT on their next start.
+EOF
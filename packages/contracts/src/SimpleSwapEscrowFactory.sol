@@ -70,7 +70,8 @@ contract SimpleSwapEscrowFactory is Ownable {
             resolver,
             secretHash,
             userTimelock,
-            resolverTimelock
+            resolverTimelock,
+            true
         );
         
         escrowAddress = address(escrow);
@@ -56,6 +56,8 @@ contract SwapEscrow is ReentrancyGuard {
     EscrowSide public resolverSide; // Resolver's lock (SUI -> ETH direction)
     string public revealedSecret;
     bool public isDestroyed;
+    // False for destination escrows, where the user locked on the other chain
+    bool public immutable userLockRequired;
     
     // Constants
     address public constant ETH_ADDRESS = address(0);
@@ -77,7 +79,8 @@ contract SwapEscrow is ReentrancyGuard {
         address _resolverAddress,
         bytes32 _secretHash,
         uint256 _userTimelock,
-        uint256 _resolverTimelock
+        uint256 _resolverTimelock,
+        bool _userLockRequired
     ) {
         require(_userTimelock > block.timestamp, "Invalid user timelock");
         require(_resolverTimelock > block.timestamp, "Invalid resolver timelock");
@@ -85,6 +88,7 @@ contract SwapEscrow is ReentrancyGuard {
         
         swapId = _swapId;
         factory = msg.sender;
+        userLockRequired = _userLockRequired;
         
         // Initialize user side (user locks first)
         userSide = EscrowSide({
@@ -120,6 +124,7 @@ contract SwapEscrow is ReentrancyGuard {
         address token,
         uint256 amount
     ) external payable nonReentrant onlyActive {
+        require(userLockRequired, "User side not used");
         require(msg.sender == userSide.locker, "Only user can lock user side");
         require(!userSide.locked, "User side already locked");
         require(block.timestamp <= userSide.timelock, "User timelock expired");
@@ -146,7 +151,8 @@ contract SwapEscrow is ReentrancyGuard {
     }
 
     /**
-     * @notice Lock funds on resolver side (resolver calls this after seeing user lock)
+     * @notice Lock funds on resolver side (resolver calls this after seeing user lock,
+     *         or first on a destination escrow)
      */
     function lockResolverSide(
         address token,
@@ -154,7 +160,7 @@ contract SwapEscrow is ReentrancyGuard {
     ) external payable nonReentrant onlyActive {
         require(msg.sender == resolverSide.locker, "Only resolver can lock resolver side");
         require(!resolverSide.locked, "Resolver side already locked");
-        require(userSide.locked, "User side must be locked first");
+        require(userSide.locked || !userLockRequired, "User side must be locked first");
         require(block.timestamp <= resolverSide.timelock, "Resolver timelock expired");
 
         if (token == ETH_ADDRESS) {
@@ -269,7 +275,8 @@ contract SwapEscrow is ReentrancyGuard {
      * @notice Check if both sides are processed and destroy contract
      */
     function _checkAndDestroy() internal {
-        bool userProcessed = userSide.claimed || userSide.refunded || (!userSide.locked && block.timestamp > userSide.timelock);
+        bool userProcessed = userSide.claimed || userSide.refunded || !userLockRequired ||
+            (!userSide.locked && block.timestamp > userSide.timelock);
         bool resolverProcessed = resolverSide.claimed || resolverSide.refunded || (!resolverSide.locked && block.timestamp > resolverSide.timelock);
         
         if (userProcessed && resolverProcessed) {
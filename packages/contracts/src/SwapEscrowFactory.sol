@@ -14,6 +14,17 @@ contract SwapEscrowFactory is Ownable, ReentrancyGuard {
     
     // Events
     event SwapEscrowCreated(
+        bytes32 indexed swapId,
+        address indexed escrowAddress,
+        address indexed userAddress,
+        address resolverAddress,
+        bytes32 secretHash,
+        uint256 userTimelock,
+        uint256 resolverTimelock,
+        bytes recipient
+    );
+
+    event DestinationEscrowCreated(
         bytes32 indexed swapId,
         address indexed escrowAddress,
         address indexed userAddress,
@@ -28,6 +39,12 @@ contract SwapEscrowFactory is Ownable, ReentrancyGuard {
         uint256 stakeAmount
     );
 
+    event ResolverStakeIncreased(
+        address indexed resolver,
+        uint256 amount,
+        uint256 totalStake
+    );
+
     event ResolverUnregistered(
         address indexed resolver,
         uint256 refundAmount
@@ -105,6 +122,18 @@ contract SwapEscrowFactory is Ownable, ReentrancyGuard {
         emit ResolverRegistered(msg.sender, msg.value);
     }
 
+    /**
+     * @notice Add to the stake of a registered resolver
+     */
+    function increaseStake() external payable {
+        require(authorizedResolvers[msg.sender], "Not registered");
+        require(msg.value > 0, "No stake sent");
+
+        resolverStakes[msg.sender] += msg.value;
+
+        emit ResolverStakeIncreased(msg.sender, msg.value, resolverStakes[msg.sender]);
+    }
+
     /**
      * @notice Unregister resolver and refund stake
      */
@@ -139,6 +168,7 @@ contract SwapEscrowFactory is Ownable, ReentrancyGuard {
      * @notice Create a new swap escrow
      * @param swapId Unique identifier for the swap
      * @param resolver Address of the chosen resolver
+     * @param recipient User's address on the destination chain, where the resolver pays out
      * @param secretHash Hash of the secret for atomic swap
      * @param userTimelock Timelock for user's funds
      * @param resolverTimelock Timelock for resolver's funds
@@ -146,27 +176,97 @@ contract SwapEscrowFactory is Ownable, ReentrancyGuard {
     function createSwapEscrow(
         bytes32 swapId,
         address resolver,
+        bytes calldata recipient,
         bytes32 secretHash,
         uint256 userTimelock,
         uint256 resolverTimelock
     ) external returns (address escrowAddress) {
         require(swapEscrows[swapId] == address(0), "Swap already exists");
         require(authorizedResolvers[resolver], "Resolver not authorized");
+        require(recipient.length > 0, "Invalid recipient");
         require(secretHash != bytes32(0), "Invalid secret hash");
         require(userTimelock > block.timestamp, "Invalid user timelock");
         require(resolverTimelock > block.timestamp, "Invalid resolver timelock");
         require(userTimelock <= block.timestamp + MAX_SWAP_DURATION, "User timelock too long");
         require(resolverTimelock + MIN_TIMELOCK_BUFFER <= userTimelock, "Invalid timelock relationship");
 
-        // Deploy new escrow contract
-        SwapEscrow escrow = new SwapEscrow(
+        escrowAddress = _deployEscrow(swapId, msg.sender, resolver, secretHash, userTimelock, resolverTimelock, true);
+        
+        emit SwapEscrowCreated(
             swapId,
+            escrowAddress,
             msg.sender,
             resolver,
             secretHash,
             userTimelock,
+            resolverTimelock,
+            recipient
+        );
+        
+        return escrowAddress;
+    }
+
+    /**
+     * @notice Create the resolver's escrow on the destination chain of a swap the user started elsewhere
+     * @dev Called by the resolver, which locks first; the user claims the resolver side with the secret
+     * @param swapId Identifier of the swap on the source chain
+     * @param user User's address on this chain, paid out when they claim
+     * @param secretHash Hash of the secret for atomic swap
+     * @param userTimelock Timelock of the user's funds on the source chain
+     * @param resolverTimelock Timelock for resolver's funds
+     */
+    function createDestinationEscrow(
+        bytes32 swapId,
+        address user,
+        bytes32 secretHash,
+        uint256 userTimelock,
+        uint256 resolverTimelock
+    ) external returns (address escrowAddress) {
+        require(swapEscrows[swapId] == address(0), "Swap already exists");
+        require(authorizedResolvers[msg.sender], "Resolver not authorized");
+        require(user != address(0), "Invalid user");
+        require(secretHash != bytes32(0), "Invalid secret hash");
+        require(userTimelock > block.timestamp, "Invalid user timelock");
+        require(resolverTimelock > block.timestamp, "Invalid resolver timelock");
+        require(userTimelock <= block.timestamp + MAX_SWAP_DURATION, "User timelock too long");
+        require(resolverTimelock + MIN_TIMELOCK_BUFFER <= userTimelock, "Invalid timelock relationship");
+
+        escrowAddress = _deployEscrow(swapId, user, msg.sender, secretHash, userTimelock, resolverTimelock, false);
+
+        emit DestinationEscrowCreated(
+            swapId,
+            escrowAddress,
+            user,
+            msg.sender,
+            secretHash,
+            userTimelock,
             resolverTimelock
         );
+
+        return escrowAddress;
+    }
+
+    /**
+     * @notice Deploy an escrow and track it as an active swap
+     */
+    function _deployEscrow(
+        bytes32 swapId,
+        address user,
+        address resolver,
+        bytes32 secretHash,
+        uint256 userTimelock,
+        uint256 resolverTimelock,
+        bool userLockRequired
+    ) internal returns (address escrowAddress) {
+        SwapEscrow escrow = new SwapEscrow(
+            swapId,
+            user,
+            resolver,
+            secretHash,
+            userTimelock,
+            resolverTimelock,
+            userLockRequired
+        );
         
         escrowAddress = address(escrow);
         swapEscrows[swapId] = escrowAddress;
@@ -174,7 +274,7 @@ contract SwapEscrowFactory is Ownable, ReentrancyGuard {
         
         // Track swap info
         swapInfo[swapId] = SwapInfo({
-            user: msg.sender,
+            user: user,
             resolver: resolver,
             escrowAddress: escrowAddress,
             secretHash: secretHash,
@@ -187,18 +287,6 @@ contract SwapEscrowFactory is Ownable, ReentrancyGuard {
         // Add to active swaps
         swapIndex[swapId] = activeSwaps.length;
         activeSwaps.push(swapId);
-        
-        emit SwapEscrowCreated(
-            swapId,
-            escrowAddress,
-            msg.sender,
-            resolver,
-            secretHash,
-            userTimelock,
-            resolverTimelock
-        );
-        
-        return escrowAddress;
     }
 
     /**
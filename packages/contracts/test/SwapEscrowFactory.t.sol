@@ -0,0 +1,254 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "forge-std/Test.sol";
+import "../src/SwapEscrowFactory.sol";
+import "../src/SwapEscrow.sol";
+
+contract SwapEscrowFactoryTest is Test {
+    SwapEscrowFactory public factory;
+
+    address public user = address(0x1111);
+    address public resolver = address(0x2222);
+    address public otherUser = address(0x3333);
+
+    bytes32 public constant SWAP_ID = keccak256("test_swap_1");
+    bytes32 public constant SECRET_HASH = keccak256("secret123");
+    string public constant SECRET = "secret123";
+    // A Sui address, as the user passes it for swaps paid out on Sui
+    bytes public constant SUI_RECIPIENT = hex"00000000000000000000000000000000000000000000000000000000000a11ce";
+
+    uint256 public userTimelock;
+    uint256 public resolverTimelock;
+
+    // Redeclared to check emissions
+    event SwapEscrowCreated(
+        bytes32 indexed swapId,
+        address indexed escrowAddress,
+        address indexed userAddress,
+        address resolverAddress,
+        bytes32 secretHash,
+        uint256 userTimelock,
+        uint256 resolverTimelock,
+        bytes recipient
+    );
+
+    event DestinationEscrowCreated(
+        bytes32 indexed swapId,
+        address indexed escrowAddress,
+        address indexed userAddress,
+        address resolverAddress,
+        bytes32 secretHash,
+        uint256 userTimelock,
+        uint256 resolverTimelock
+    );
+
+    function setUp() public {
+        factory = new SwapEscrowFactory();
+
+        // Fund test accounts
+        vm.deal(user, 10 ether);
+        vm.deal(resolver, 10 ether);
+        vm.deal(otherUser, 10 ether);
+
+        // Register resolver
+        vm.prank(resolver);
+        factory.registerResolver{value: 1 ether}();
+
+        // Setup timelocks
+        userTimelock = block.timestamp + 2 hours;
+        resolverTimelock = block.timestamp + 1 hours;
+    }
+
+    function nextEscrowAddress() internal view returns (address) {
+        return vm.computeCreateAddress(address(factory), vm.getNonce(address(factory)));
+    }
+
+    function createDestinationEscrow() internal returns (SwapEscrow) {
+        vm.prank(resolver);
+        return SwapEscrow(payable(factory.createDestinationEscrow(
+            SWAP_ID,
+            user,
+            SECRET_HASH,
+            userTimelock,
+            resolverTimelock
+        )));
+    }
+
+    function testCreateSwapEscrowEmitsRecipient() public {
+        address expected = nextEscrowAddress();
+
+        vm.expectEmit(true, true, true, true, address(factory));
+        emit SwapEscrowCreated(
+            SWAP_ID,
+            expected,
+            user,
+            resolver,
+            SECRET_HASH,
+            userTimelock,
+            resolverTimelock,
+            SUI_RECIPIENT
+        );
+
+        vm.prank(user);
+        address escrowAddress = factory.createSwapEscrow(
+            SWAP_ID,
+            resolver,
+            SUI_RECIPIENT,
+            SECRET_HASH,
+            userTimelock,
+            resolverTimelock
+        );
+
+        assertEq(escrowAddress, expected);
+        assertTrue(SwapEscrow(payable(escrowAddress)).userLockRequired());
+    }
+
+    function testCreateSwapEscrowWithoutRecipient() public {
+        vm.prank(user);
+        vm.expectRevert("Invalid recipient");
+        factory.createSwapEscrow(
+            SWAP_ID,
+            resolver,
+            "",
+            SECRET_HASH,
+            userTimelock,
+            resolverTimelock
+        );
+    }
+
+    function testSourceEscrowStillWaitsForUserLock() public {
+        vm.prank(user);
+        SwapEscrow escrow = SwapEscrow(payable(factory.createSwapEscrow(
+            SWAP_ID,
+            resolver,
+            SUI_RECIPIENT,
+            SECRET_HASH,
+            userTimelock,
+            resolverTimelock
+        )));
+
+        vm.prank(resolver);
+        vm.expectRevert("User side must be locked first");
+        escrow.lockResolverSide{value: 1 ether}(address(0), 1 ether);
+    }
+
+    function testCreateDestinationEscrow() public {
+        address expected = nextEscrowAddress();
+
+        vm.expectEmit(true, true, true, true, address(factory));
+        emit DestinationEscrowCreated(
+            SWAP_ID,
+            expected,
+            user,
+            resolver,
+            SECRET_HASH,
+            userTimelock,
+            resolverTimelock
+        );
+
+        SwapEscrow escrow = createDestinationEscrow();
+        assertEq(address(escrow), expected);
+        assertFalse(escrow.userLockRequired());
+
+        // The resolver locks the resolver side and the user is paid from it
+        (address locker, address beneficiary,,,,,,,) = escrow.resolverSide();
+        assertEq(locker, resolver);
+        assertEq(beneficiary, user);
+
+        SwapEscrowFactory.SwapInfo memory info = factory.getSwapInfo(SWAP_ID);
+        assertEq(info.user, user);
+        assertEq(info.resolver, resolver);
+        assertEq(info.escrowAddress, expected);
+    }
+
+    function testCreateDestinationEscrowUnregisteredResolver() public {
+        vm.prank(otherUser);
+        vm.expectRevert("Resolver not authorized");
+        factory.createDestinationEscrow(SWAP_ID, user, SECRET_HASH, userTimelock, resolverTimelock);
+    }
+
+    function testCreateDestinationEscrowInvalidUser() public {
+        vm.prank(resolver);
+        vm.expectRevert("Invalid user");
+        factory.createDestinationEscrow(SWAP_ID, address(0), SECRET_HASH, userTimelock, resolverTimelock);
+    }
+
+    function testCreateDestinationEscrowDuplicateId() public {
+        createDestinationEscrow();
+
+        vm.prank(resolver);
+        vm.expectRevert("Swap already exists");
+        factory.createDestinationEscrow(SWAP_ID, user, SECRET_HASH, userTimelock, resolverTimelock);
+    }
+
+    function testDestinationEscrowResolverLocksFirst() public {
+        SwapEscrow escrow = createDestinationEscrow();
+
+        vm.prank(resolver);
+        escrow.lockResolverSide{value: 1 ether}(address(0), 1 ether);
+
+        (,,, bool resolverLocked,,,,) = escrow.getStatus();
+        assertTrue(resolverLocked);
+    }
+
+    function testDestinationEscrowRejectsUserLock() public {
+        SwapEscrow escrow = createDestinationEscrow();
+
+        vm.prank(user);
+        vm.expectRevert("User side not used");
+        escrow.lockUserSide{value: 1 ether}(address(0), 1 ether);
+    }
+
+    function testDestinationEscrowOnlyResolverLocks() public {
+        SwapEscrow escrow = createDestinationEscrow();
+
+        vm.prank(user);
+        vm.expectRevert("Only resolver can lock resolver side");
+        escrow.lockResolverSide{value: 1 ether}(address(0), 1 ether);
+    }
+
+    function testUserClaimsDestinationEscrow() public {
+        SwapEscrow escrow = createDestinationEscrow();
+
+        vm.prank(resolver);
+        escrow.lockResolverSide{value: 1 ether}(address(0), 1 ether);
+
+        uint256 userBalanceBefore = user.balance;
+
+        // Only the beneficiary claims, revealing the secret
+        vm.prank(resolver);
+        vm.expectRevert("Only resolver side beneficiary");
+        escrow.claimFunds(SECRET, 1);
+
+        vm.prank(user);
+        escrow.claimFunds(SECRET, 1);
+
+        assertEq(user.balance, userBalanceBefore + 1 ether);
+        assertEq(escrow.revealedSecret(), SECRET);
+        // Nothing is left on the unused user side, so the escrow is done
+        assertTrue(escrow.isDestroyed());
+    }
+
+    function testResolverRefundsUnclaimedDestinationEscrow() public {
+        SwapEscrow escrow = createDestinationEscrow();
+
+        vm.prank(resolver);
+        escrow.lockResolverSide{value: 1 ether}(address(0), 1 ether);
+
+        vm.prank(resolver);
+        vm.expectRevert("Timelock not expired");
+        escrow.refundFunds(1);
+
+        // Fast forward past the resolver timelock
+        vm.warp(resolverTimelock + 1);
+
+        uint256 resolverBalanceBefore = resolver.balance;
+
+        vm.prank(resolver);
+        escrow.refundFunds(1);
+
+        assertEq(resolver.balance, resolverBalanceBefore + 1 ether);
+        assertTrue(escrow.isDestroyed());
+    }
+}
\ No newline at end of file
@@ -0,0 +1,29 @@
+import { app } from '../index';
+import { ApiRouter, fields } from './router';
+
+const api = new ApiRouter('/api/admin/audit', 'Admin');
+
+// Most recent admin actions first
+api.get('/', {
+  summary: 'Admin actions and the key that triggered them',
+  scope: 'admin',
+  query: { limit: fields.limit(1000) }
+}, async (req, res) => {
+  try {
+    const limit = (req.query.limit as unknown as number | undefined) ?? 100;
+    const entries = await app.getDatabase().getAuditLog(limit);
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default api;
\ No newline at end of file
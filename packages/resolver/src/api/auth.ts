@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import express from 'express';
+import { app } from '../index';
+import { config } from '../config';
+import { ApiKey, ApiScope } from '../types';
+import { logger, logError } from '../utils/logger';
+
+declare global {
+  namespace Express {
+    interface Request {
+      apiKey?: ApiKey;
+      rawBody?: Buffer;
+    }
+  }
+}
+
+// Admin keys can do everything a read key can
+const SCOPE_RANK: Record<ApiScope, number> = { read: 1, admin: 2 };
+
+interface RateWindow {
+  startedAt: number;
+  count: number;
+}
+
+// Nonces of signed requests still inside the timestamp window, keyed `<key id>:<nonce>`,
+// with the time each can be forgotten
+const seenNonces: Map<string, number> = new Map();
+
+// API_KEY keeps working as the admin key
+export function getApiKeys(): ApiKey[] {
+  const keys = [...config.api.keys];
+  if (config.api.apiKey) {
+    keys.push({ id: 'default', key: config.api.apiKey, scope: 'admin' });
+  }
+  return keys;
+}
+
+// Hashing first gives timingSafeEqual the equal lengths it needs
+function safeEqual(a: string, b: string): boolean {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// HMAC-SHA256 over `<timestamp>.<nonce>.<METHOD>.<path with query>.<raw body>`, hex encoded
+export function requestSignature(secret: string, timestamp: string, nonce: string, req: express.Request): string {
+  const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${req.method}.${req.originalUrl}.${body}`)
+    .digest('hex');
+}
+
+// Records the nonce; false if it was already used within the timestamp window
+function useNonce(keyId: string, nonce: string, now: number): boolean {
+  const id = `${keyId}:${nonce}`;
+  const expiresAt = seenNonces.get(id);
+  if (expiresAt !== undefined && expiresAt > now) {
+    return false;
+  }
+
+  if (seenNonces.size >= 10000) {
+    for (const [seen, seenExpiresAt] of seenNonces) {
+      if (seenExpiresAt <= now) {
+        seenNonces.delete(seen);
+      }
+    }
+  }
+  // A timestamp can be up to signatureMaxAge in the future, so the nonce is kept for both sides
+  seenNonces.set(id, now + 2 * config.api.signatureMaxAge);
+  return true;
+}
+
+function unauthorized(res: express.Response, message: string): void {
+  res.status(401).json({
+    success: false,
+    error: 'Unauthorized',
+    message
+  });
+}
+
+// Identifies the caller from X-API-Key, or from X-Key-Id, X-Timestamp and X-Signature
+// for signed requests. Requests without credentials pass through unidentified.
+export function authenticate(req: express.Request, res: express.Response, next: express.NextFunction): void {
+  const apiKey = req.get('X-API-Key');
+  const keyId = req.get('X-Key-Id');
+
+  if (apiKey) {
+    const key = getApiKeys().find(candidate => safeEqual(candidate.key, apiKey));
+    if (!key) {
+      unauthorized(res, 'Invalid API key');
+      return;
+    }
+    req.apiKey = key;
+  } else if (keyId) {
+    const timestamp = req.get('X-Timestamp') || '';
+    const nonce = req.get('X-Nonce') || '';
+    const signature = req.get('X-Signature') || '';
+
+    const key = getApiKeys().find(candidate => candidate.id === keyId);
+    if (!key) {
+      unauthorized(res, 'Unknown key ID');
+      return;
+    }
+
+    // A bounded age stops a captured request from being replayed later, and the nonce
+    // from being replayed within the window
+    const now = Date.now();
+    const age = Math.abs(now - Number(timestamp));
+    if (!Number.isFinite(age) || age > config.api.signatureMaxAge) {
+      unauthorized(res, 'Request timestamp missing or outside the allowed window');
+      return;
+    }
+
+    if (!/^[A-Za-z0-9_-]{16,128}$/.test(nonce)) {
+      unauthorized(res, 'Request nonce missing or malformed');
+      return;
+    }
+
+    if (!safeEqual(requestSignature(key.key, timestamp, nonce, req), signature.toLowerCase())) {
+      unauthorized(res, 'Invalid request signature');
+      return;
+    }
+
+    if (!useNonce(key.id, nonce, now)) {
+      unauthorized(res, 'Request nonce already used');
+      return;
+    }
+    req.apiKey = key;
+  }
+
+  next();
+}
+
+// Denials are recorded in the audit log, as `scope:<scope>` against the requested route
+export function requireScope(scope: ApiScope) {
+  return (req: express.Request, res: express.Response, next: express.NextFunction): void => {
+    if (!req.apiKey) {
+      recordAudit(req, `scope:${scope}`, 401, `${req.method} ${req.originalUrl}`);
+      unauthorized(res, 'API key or signed request required');
+      return;
+    }
+
+    if (SCOPE_RANK[req.apiKey.scope] < SCOPE_RANK[scope]) {
+      recordAudit(req, `scope:${scope}`, 403, `${req.method} ${req.originalUrl}`);
+      res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Requires ${scope} scope`
+      });
+      return;
+    }
+
+    next();
+  };
+}
+
+// Fixed-window limit of `limit` requests per window for each client `clientOf` names
+export function createRateLimiter(
+  limit: number,
+  windowMs: number,
+  clientOf: (req: express.Request) => string
+): express.RequestHandler {
+  const windows: Map<string, RateWindow> = new Map();
+
+  return (req: express.Request, res: express.Response, next: express.NextFunction): void => {
+    const now = Date.now();
+    const client = clientOf(req);
+
+    let window = windows.get(client);
+    if (!window || now - window.startedAt >= windowMs) {
+      window = { startedAt: now, count: 0 };
+      windows.set(client, window);
+    }
+    window.count++;
+
+    res.set('X-RateLimit-Limit', limit.toString());
+    res.set('X-RateLimit-Remaining', Math.max(limit - window.count, 0).toString());
+
+    if (window.count > limit) {
+      const retryAfter = Math.ceil((window.startedAt + windowMs - now) / 1000);
+      res.set('Retry-After', retryAfter.toString());
+      res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        message: `Rate limit of ${limit} requests per ${windowMs}ms exceeded`
+      });
+      return;
+    }
+
+    pruneRateWindows(windows, windowMs, now);
+    next();
+  };
+}
+
+// Windows from clients that went quiet would otherwise accumulate
+function pruneRateWindows(windows: Map<string, RateWindow>, windowMs: number, now: number): void {
+  if (windows.size < 10000) {
+    return;
+  }
+
+  for (const [client, window] of windows) {
+    if (now - window.startedAt >= windowMs) {
+      windows.delete(client);
+    }
+  }
+}
+
+// Per IP before authentication, so requests with bad credentials are limited too
+export const ipRateLimit = createRateLimiter(
+  config.api.ipRateLimit,
+  config.api.rateLimitWindow,
+  req => `ip:${req.ip}`
+);
+
+// Per API key, or per IP for requests without one
+export const rateLimit = createRateLimiter(
+  config.api.rateLimit,
+  config.api.rateLimitWindow,
+  req => req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`
+);
+
+// Public routes that cost RPC calls to serve, such as quotes, get a tighter limit per IP
+export const publicRouteRateLimit = createRateLimiter(
+  config.api.publicRouteRateLimit,
+  config.api.rateLimitWindow,
+  req => `ip:${req.ip}`
+);
+
+function recordAudit(req: express.Request, action: string, statusCode: number, target?: string): void {
+  app.getDatabase().insertAuditLog({
+    keyId: req.apiKey?.id || 'anonymous',
+    action,
+    target: target || Object.values(req.params).join('/') || undefined,
+    params: req.body && Object.keys(req.body).length > 0 ? req.body : undefined,
+    statusCode,
+    ip: req.ip,
+    createdAt: new Date()
+  }).catch(error => {
+    logError('api', error as Error, { action: 'insertAuditLog', auditedAction: action });
+  });
+
+  logger.info('Admin action', { action, keyId: req.apiKey?.id, statusCode });
+}
+
+// Records the calling key and outcome of an admin action once the response is sent
+export function audit(action: string) {
+  return (req: express.Request, res: express.Response, next: express.NextFunction): void => {
+    res.on('finish', () => recordAudit(req, action, res.statusCode));
+    next();
+  };
+}
\ No newline at end of file
@@ -1,10 +1,10 @@
-import express from 'express';
 import { app } from '../index';
+import { ApiRouter } from './router';
 
-const router = express.Router();
+const api = new ApiRouter('/api/health', 'Health');
 
 // Health check endpoint
-router.get('/', async (req, res) => {
+api.get('/', { summary: 'Database, resolver and chain connection status' }, async (req, res) => {
   try {
     const database = app.getDatabase();
     const chainManager = app.getChainManager();
@@ -40,18 +40,22 @@ router.get('/', async (req, res) => {
       health.status = 'degraded';
     }
 
-    res.status(allHealthy ? 200 : 503).json(health);
+    res.status(allHealthy ? 200 : 503).json({
+      success: allHealthy,
+      data: health,
+      ...(!allHealthy && { error: 'Service degraded' })
+    });
   } catch (error) {
     res.status(500).json({
-      status: 'error',
-      timestamp: new Date().toISOString(),
-      error: error instanceof Error ? error.message : 'Unknown error'
+      success: false,
+      error: 'Health check failed',
+      message: error instanceof Error ? error.message : 'Unknown error'
     });
   }
 });
 
 // Detailed health check
-router.get('/detailed', async (req, res) => {
+api.get('/detailed', { summary: 'Block heights, resolver stats and process details', scope: 'read' }, async (req, res) => {
   try {
     const database = app.getDatabase();
     const chainManager = app.getChainManager();
@@ -61,12 +65,13 @@ router.get('/detailed', async (req, res) => {
     const blockNumbers = await chainManager.getAllBlockNumbers();
     
     // Get resolver stats
-    const stats = resolverService.getStats();
+    const stats = await resolverService.getStats();
 
     res.json({
-      status: 'ok',
-      timestamp: new Date().toISOString(),
-      details: {
+      success: true,
+      data: {
+        status: 'ok',
+        timestamp: new Date().toISOString(),
         resolver: {
           running: resolverService.isRunning(),
           stats
@@ -89,11 +94,11 @@ router.get('/detailed', async (req, res) => {
     });
   } catch (error) {
     res.status(500).json({
-      status: 'error',
-      timestamp: new Date().toISOString(),
-      error: error instanceof Error ? error.message : 'Unknown error'
+      success: false,
+      error: 'Health check failed',
+      message: error instanceof Error ? error.message : 'Unknown error'
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default api;
\ No newline at end of file
@@ -0,0 +1,25 @@
+import { app } from '../index';
+import { ApiRouter } from './router';
+
+const api = new ApiRouter('/api/inventory', 'Inventory');
+
+// Get free, reserved and locked balances per chain and token
+api.get('/', { summary: 'Free, reserved and locked balances per chain and token', scope: 'read' }, async (req, res) => {
+  try {
+    const resolverService = app.getResolverService();
+    const inventory = await resolverService.getInventory();
+    
+    res.json({
+      success: true,
+      data: inventory
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch inventory',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default api;
\ No newline at end of file
@@ -0,0 +1,55 @@
+import { app } from '../index';
+import { ApiRouter, fields } from './router';
+import { publicRouteRateLimit } from './auth';
+import { ChainType, QuoteRequest } from '../types';
+
+const api = new ApiRouter('/api/quotes', 'Quotes');
+
+// Quote what the resolver would pay for a swap
+api.post('/', {
+  summary: 'Signed quote for a swap; create the source escrow with the quote ID as swap ID',
+  // Public, and each quote prices the swap and estimates gas over RPC
+  rateLimit: publicRouteRateLimit,
+  body: {
+    sourceChain: { type: 'string', required: true, enum: Object.values(ChainType) },
+    sourceToken: { type: 'string', required: true },
+    destinationToken: { type: 'string', required: true },
+    sourceAmount: fields.baseUnits('Amount the user will lock'),
+    userAddress: { type: 'string', required: true }
+  }
+}, async (req, res) => {
+  try {
+    const request: QuoteRequest = {
+      sourceChain: req.body.sourceChain,
+      sourceToken: req.body.sourceToken,
+      destinationToken: req.body.destinationToken,
+      sourceAmount: req.body.sourceAmount,
+      userAddress: req.body.userAddress
+    };
+
+    const resolverService = app.getResolverService();
+    const result = await resolverService.createQuote(request);
+
+    if (!result.quoted) {
+      res.status(422).json({
+        success: false,
+        error: 'Swap not quoted',
+        message: result.reason
+      });
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: result.quote
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create quote',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default api;
\ No newline at end of file
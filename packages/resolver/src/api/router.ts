@@ -0,0 +1,276 @@
+import express from 'express';
+import { audit, requireScope } from './auth';
+import { ApiScope } from '../types';
+
+export interface FieldSchema {
+  type: 'string' | 'integer' | 'boolean';
+  description?: string;
+  required?: boolean;
+  enum?: string[];
+  pattern?: RegExp;
+  minimum?: number;
+  maximum?: number;
+}
+
+export type Schema = Record<string, FieldSchema>;
+
+export interface RouteSpec {
+  summary: string;
+  // Omitted for public routes
+  scope?: ApiScope;
+  // Action name recorded in the audit log
+  audit?: string;
+  // Limit applied on top of the per-key one, for routes that are costly to serve
+  rateLimit?: express.RequestHandler;
+  params?: Schema;
+  query?: Schema;
+  body?: Schema;
+}
+
+type Handler = (req: express.Request, res: express.Response) => Promise<void>;
+
+interface RegisteredRoute {
+  method: 'get' | 'post';
+  path: string;
+  tag: string;
+  spec: RouteSpec;
+}
+
+// Every route defined through an ApiRouter, for the OpenAPI document
+const registeredRoutes: RegisteredRoute[] = [];
+
+// Reusable field schemas
+export const fields = {
+  baseUnits: (description: string): FieldSchema => ({
+    type: 'string',
+    required: true,
+    pattern: /^[1-9][0-9]*$/,
+    description: `${description}, a positive integer string in base units`
+  }),
+  limit: (maximum: number): FieldSchema => ({
+    type: 'integer',
+    minimum: 1,
+    maximum,
+    description: `Maximum number of results, up to ${maximum}`
+  })
+};
+
+// Checks a value against its schema; query and path values arrive as strings and are
+// converted in place. Returns the error message, or null if the value is valid.
+function checkField(name: string, schema: FieldSchema, container: Record<string, any>): string | null {
+  const value = container[name];
+
+  if (value === undefined || value === '') {
+    return schema.required ? `${name} is required` : null;
+  }
+
+  if (schema.type === 'integer') {
+    const parsed = typeof value === 'number' ? value : Number(value);
+    if (!Number.isInteger(parsed)) {
+      return `${name} must be an integer`;
+    }
+    if (schema.minimum !== undefined && parsed < schema.minimum) {
+      return `${name} must be at least ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && parsed > schema.maximum) {
+      return `${name} must be at most ${schema.maximum}`;
+    }
+    container[name] = parsed;
+    return null;
+  }
+
+  if (schema.type === 'boolean') {
+    if (typeof value === 'boolean') {
+      return null;
+    }
+    if (value !== 'true' && value !== 'false') {
+      return `${name} must be true or false`;
+    }
+    container[name] = value === 'true';
+    return null;
+  }
+
+  if (typeof value !== 'string') {
+    return `${name} must be a string`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${name} must be one of ${schema.enum.join(', ')}`;
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    return schema.description ? `${name} is malformed: ${schema.description}` : `${name} is malformed`;
+  }
+  return null;
+}
+
+function validateRequest(spec: RouteSpec) {
+  return (req: express.Request, res: express.Response, next: express.NextFunction): void => {
+    const sections: Array<[Schema | undefined, Record<string, any>]> = [
+      [spec.params, req.params],
+      [spec.query, req.query],
+      [spec.body, req.body || {}]
+    ];
+
+    for (const [schema, container] of sections) {
+      for (const [name, field] of Object.entries(schema || {})) {
+        const error = checkField(name, field, container);
+        if (error) {
+          res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            message: error
+          });
+          return;
+        }
+      }
+    }
+
+    next();
+  };
+}
+
+// An express router whose routes carry a schema: requests are checked against it
+// before the handler runs, and it documents the route in the OpenAPI document
+export class ApiRouter {
+  readonly basePath: string;
+  readonly router = express.Router();
+  private tag: string;
+
+  constructor(basePath: string, tag: string) {
+    this.basePath = basePath;
+    this.tag = tag;
+  }
+
+  get(path: string, spec: RouteSpec, handler: Handler): void {
+    this.add('get', path, spec, handler);
+  }
+
+  post(path: string, spec: RouteSpec, handler: Handler): void {
+    this.add('post', path, spec, handler);
+  }
+
+  private add(method: 'get' | 'post', path: string, spec: RouteSpec, handler: Handler): void {
+    registeredRoutes.push({
+      method,
+      path: path === '/' ? this.basePath : `${this.basePath}${path}`,
+      tag: this.tag,
+      spec
+    });
+
+    const middleware: express.RequestHandler[] = [];
+    if (spec.rateLimit) {
+      middleware.push(spec.rateLimit);
+    }
+    if (spec.scope) {
+      middleware.push(requireScope(spec.scope));
+    }
+    if (spec.audit) {
+      middleware.push(audit(spec.audit));
+    }
+    middleware.push(validateRequest(spec));
+
+    this.router[method](path, ...middleware, handler);
+  }
+}
+
+function toOpenApiSchema(field: FieldSchema): Record<string, any> {
+  return {
+    type: field.type,
+    ...(field.description && { description: field.description }),
+    ...(field.enum && { enum: field.enum }),
+    ...(field.pattern && { pattern: field.pattern.source }),
+    ...(field.minimum !== undefined && { minimum: field.minimum }),
+    ...(field.maximum !== undefined && { maximum: field.maximum })
+  };
+}
+
+function toOpenApiParameters(location: 'path' | 'query', schema: Schema = {}): any[] {
+  return Object.entries(schema).map(([name, field]) => ({
+    name,
+    in: location,
+    required: location === 'path' || !!field.required,
+    schema: toOpenApiSchema(field)
+  }));
+}
+
+const ENVELOPE = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    data: {},
+    error: { type: 'string' },
+    message: { type: 'string' }
+  },
+  required: ['success']
+};
+
+export function openApiDocument(): Record<string, any> {
+  const paths: Record<string, any> = {};
+
+  for (const { method, path, tag, spec } of registeredRoutes) {
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+
+    const operation: Record<string, any> = {
+      tags: [tag],
+      summary: spec.summary,
+      parameters: [
+        ...toOpenApiParameters('path', spec.params),
+        ...toOpenApiParameters('query', spec.query)
+      ],
+      responses: {
+        200: { description: 'Success', content: { 'application/json': { schema: ENVELOPE } } },
+        400: { description: 'Invalid request', content: { 'application/json': { schema: ENVELOPE } } }
+      }
+    };
+
+    if (spec.body) {
+      operation.requestBody = {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: Object.fromEntries(
+                Object.entries(spec.body).map(([name, field]) => [name, toOpenApiSchema(field)])
+              ),
+              required: Object.entries(spec.body).filter(([, field]) => field.required).map(([name]) => name)
+            }
+          }
+        }
+      };
+    }
+
+    if (spec.scope) {
+      operation.description = `Requires ${spec.scope} scope.`;
+      operation.security = [{ apiKey: [] }, { signedRequest: [] }];
+      operation.responses[401] = { description: 'Missing or invalid credentials' };
+      operation.responses[403] = { description: `Key lacks ${spec.scope} scope` };
+    }
+
+    if (spec.rateLimit) {
+      operation.responses[429] = { description: 'Rate limit for this route exceeded' };
+    }
+
+    paths[openApiPath] = { ...paths[openApiPath], [method]: operation };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Fusion+ Resolver API',
+      version: '1.0.0'
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        signedRequest: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Signature',
+          description: 'HMAC-SHA256 of "<timestamp>.<nonce>.<METHOD>.<path with query>.<raw body>", '
+            + 'sent with X-Key-Id, X-Timestamp and a single-use X-Nonce'
+        }
+      }
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,79 @@
+import { app } from '../index';
+import { ApiRouter, fields } from './router';
+import { ChainType } from '../types';
+
+const api = new ApiRouter('/api/admin/stakes', 'Admin');
+
+const chainParam = {
+  chain: { type: 'string' as const, required: true, enum: Object.values(ChainType) }
+};
+
+// On-chain stake, configured target and the last recorded change per chain
+api.get('/', { summary: 'Resolver stake on each chain', scope: 'admin' }, async (req, res) => {
+  try {
+    const resolverService = app.getResolverService();
+    const stakes = await resolverService.getStakes();
+
+    res.json({
+      success: true,
+      data: stakes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stakes',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+// Add to the stake on a chain, registering first if needed; amount in wei or MIST
+api.post('/:chain/topup', {
+  summary: 'Add to the stake on a chain, registering first if needed',
+  scope: 'admin',
+  audit: 'stake_topup',
+  params: chainParam,
+  body: { amount: fields.baseUnits('Stake to add in wei or MIST') }
+}, async (req, res) => {
+  try {
+    const resolverService = app.getResolverService();
+    const stake = await resolverService.topUpStake(req.params.chain as ChainType, req.body.amount);
+
+    res.json({
+      success: true,
+      data: stake
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to top up stake',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+// Unregister on a chain and withdraw the whole stake
+api.post('/:chain/unstake', {
+  summary: 'Unregister on a chain and withdraw the whole stake',
+  scope: 'admin',
+  audit: 'unstake',
+  params: chainParam
+}, async (req, res) => {
+  try {
+    const resolverService = app.getResolverService();
+    const stake = await resolverService.unstake(req.params.chain as ChainType);
+
+    res.json({
+      success: true,
+      data: stake
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unstake',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default api;
\ No newline at end of file
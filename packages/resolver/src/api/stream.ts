@@ -0,0 +1,97 @@
+import express from 'express';
+import { app } from '../index';
+import { ApiRouter } from './router';
+import { config } from '../config';
+import { SwapEvent, SwapEventFilter } from '../types';
+
+const api = new ApiRouter('/api/stream', 'Stream');
+
+function writeEvent(res: express.Response, event: SwapEvent): void {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// Server-sent events for swap lifecycle changes. Reconnecting EventSource clients send
+// Last-Event-ID and get every matching event after it before the live ones.
+api.get('/', {
+  summary: 'Stream swap_created and swap_status_changed events as server-sent events',
+  scope: 'read',
+  query: {
+    swapId: { type: 'string', description: 'Only events for this swap' },
+    userAddress: { type: 'string', description: 'Only events for swaps of this user' },
+    lastEventId: {
+      type: 'integer',
+      minimum: 0,
+      description: 'Replay events after this ID; the Last-Event-ID header takes precedence'
+    }
+  }
+}, async (req, res) => {
+  const query = req.query as Record<string, any>;
+  const filter: SwapEventFilter = { swapId: query.swapId, userAddress: query.userAddress };
+
+  const header = req.get('Last-Event-ID');
+  const lastEventId = header && /^[0-9]+$/.test(header) ? parseInt(header) : query.lastEventId;
+
+  const stream = app.getSwapEventStream();
+
+  // Live events are held back until the replay is written, then deduplicated against it
+  let replaying = lastEventId !== undefined;
+  let closed = false;
+  let lastSentId = lastEventId ?? 0;
+  const pending: SwapEvent[] = [];
+
+  const unsubscribe = stream.subscribe(filter, event => {
+    if (replaying) {
+      pending.push(event);
+    } else if (event.id > lastSentId) {
+      writeEvent(res, event);
+      lastSentId = event.id;
+    }
+  }, () => res.end());
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.api.streamHeartbeat);
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  if (!replaying) {
+    return;
+  }
+
+  try {
+    let missed = await stream.getEventsAfter(lastSentId, filter);
+    while (missed.length > 0 && !closed) {
+      for (const event of missed) {
+        writeEvent(res, event);
+        lastSentId = event.id;
+      }
+      missed = await stream.getEventsAfter(lastSentId, filter);
+    }
+  } catch (error) {
+    res.write(`event: error\ndata: ${JSON.stringify({
+      error: 'Failed to replay events',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    })}\n\n`);
+  }
+
+  replaying = false;
+  for (const event of pending) {
+    if (event.id > lastSentId) {
+      writeEvent(res, event);
+      lastSentId = event.id;
+    }
+  }
+});
+
+export default api;
\ No newline at end of file
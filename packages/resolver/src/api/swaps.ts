@@ -1,18 +1,100 @@
-import express from 'express';
 import { app } from '../index';
+import { ApiRouter, fields } from './router';
+import { ChainType, SwapCursor, SwapStatus } from '../types';
 
-const router = express.Router();
+const api = new ApiRouter('/api/swaps', 'Swaps');
 
-// Get all active swaps
-router.get('/', async (req, res) => {
+const swapIdParam = {
+  swapId: { type: 'string' as const, required: true, description: 'Swap ID' }
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Cursors are opaque to clients: base64url of [sort value, swap ID]
+function encodeCursor(cursor: SwapCursor): string {
+  return Buffer.from(JSON.stringify([cursor.value, cursor.id])).toString('base64url');
+}
+
+function decodeCursor(encoded: string): SwapCursor | null {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    return Number.isInteger(value) && typeof id === 'string' ? { value, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Named windows for the stats overview, in ms
+const STATS_WINDOWS: Record<string, number> = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+const timestamp = (description: string) => ({
+  type: 'integer' as const,
+  minimum: 0,
+  description: `${description}, in ms since the epoch`
+});
+
+// Search all swaps, finished ones included
+api.get('/', {
+  summary: 'Search swaps by status, chain, user and time range, newest first by default',
+  scope: 'read',
+  query: {
+    status: { type: 'string', enum: Object.values(SwapStatus) },
+    active: { type: 'boolean', description: 'Only swaps still in progress (true) or finished (false)' },
+    chain: { type: 'string', enum: Object.values(ChainType), description: 'Source or destination chain' },
+    userAddress: { type: 'string' },
+    createdFrom: timestamp('Created at or after'),
+    createdTo: timestamp('Created before'),
+    updatedFrom: timestamp('Updated at or after'),
+    updatedTo: timestamp('Updated before'),
+    sortBy: { type: 'string', enum: ['createdAt', 'updatedAt'] },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    limit: fields.limit(500),
+    cursor: { type: 'string', description: 'nextCursor from the previous page, with the same filters and sort' }
+  }
+}, async (req, res) => {
   try {
+    const query = req.query as Record<string, any>;
+
+    let after: SwapCursor | undefined;
+    if (query.cursor) {
+      after = decodeCursor(query.cursor) || undefined;
+      if (!after) {
+        res.status(400).json({
+          success: false,
+          error: 'Invalid request',
+          message: 'cursor is malformed'
+        });
+        return;
+      }
+    }
+
     const resolverService = app.getResolverService();
-    const swaps = await resolverService.getAllActiveSwaps();
+    const page = await resolverService.querySwaps({
+      status: query.status,
+      active: query.active,
+      chain: query.chain,
+      userAddress: query.userAddress,
+      createdFrom: query.createdFrom,
+      createdTo: query.createdTo,
+      updatedFrom: query.updatedFrom,
+      updatedTo: query.updatedTo,
+      sortBy: query.sortBy || 'createdAt',
+      order: query.order || 'desc',
+      limit: query.limit || DEFAULT_PAGE_SIZE,
+      after
+    });
     
     res.json({
       success: true,
-      data: swaps,
-      count: swaps.length
+      data: {
+        swaps: page.swaps,
+        nextCursor: page.next ? encodeCursor(page.next) : null
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -23,72 +105,116 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get specific swap by ID
-router.get('/:swapId', async (req, res) => {
+// Get resolver statistics, with metrics for swaps that finished in a window
+api.get('/stats/overview', {
+  summary: 'Live resolver stats, and outcome, volume and profit of the swaps that finished in a time window',
+  scope: 'read',
+  query: {
+    window: { type: 'string', enum: Object.keys(STATS_WINDOWS), description: 'Window ending now, when from is not given; default 24h' },
+    from: timestamp('Finished at or after'),
+    to: timestamp('Finished before; defaults to now')
+  }
+}, async (req, res) => {
   try {
-    const { swapId } = req.params;
-    const resolverService = app.getResolverService();
-    const swap = await resolverService.getSwapStatus(swapId);
-    
-    if (!swap) {
-      res.status(404).json({
+    const query = req.query as Record<string, any>;
+    const to: number = query.to ?? Date.now();
+    const from: number = query.from ?? to - STATS_WINDOWS[query.window || '24h'];
+
+    if (from >= to) {
+      res.status(400).json({
         success: false,
-        error: 'Swap not found'
+        error: 'Invalid request',
+        message: 'from must be before to'
       });
       return;
     }
+
+    const resolverService = app.getResolverService();
+    const stats = await resolverService.getStats();
+    const metrics = await resolverService.getSwapMetrics(from, to);
     
     res.json({
       success: true,
-      data: swap
+      data: { ...stats, metrics }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch swap',
+      error: 'Failed to fetch stats',
       message: error instanceof Error ? error.message : 'Unknown error'
     });
   }
 });
 
-// Force refund a swap (emergency)
-router.post('/:swapId/refund', async (req, res) => {
+// Get specific swap by ID, with its HTLCs and secret reveals
+api.get('/:swapId', { summary: 'Get a swap with its HTLCs and secret reveals', scope: 'read', params: swapIdParam }, async (req, res) => {
   try {
     const { swapId } = req.params;
     const resolverService = app.getResolverService();
+    const swap = await resolverService.getSwapDetails(swapId);
     
-    await resolverService.forceRefund(swapId);
+    if (!swap) {
+      res.status(404).json({
+        success: false,
+        error: 'Swap not found'
+      });
+      return;
+    }
     
     res.json({
       success: true,
-      message: 'Refund initiated'
+      data: swap
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to initiate refund',
+      error: 'Failed to fetch swap',
       message: error instanceof Error ? error.message : 'Unknown error'
     });
   }
 });
 
-// Get resolver statistics
-router.get('/stats/overview', async (req, res) => {
+// Force refund a swap (emergency)
+api.post('/:swapId/refund', {
+  summary: 'Refund the resolver side now, or schedule it for when the timelock expires',
+  scope: 'admin',
+  audit: 'force_refund',
+  params: swapIdParam
+}, async (req, res) => {
   try {
+    const { swapId } = req.params;
     const resolverService = app.getResolverService();
-    const stats = resolverService.getStats();
+    
+    const result = await resolverService.forceRefund(swapId);
+
+    if (!result) {
+      res.status(404).json({
+        success: false,
+        error: 'Swap not found'
+      });
+      return;
+    }
+
+    if (!result.refundable) {
+      res.status(409).json({
+        success: false,
+        error: 'Nothing to refund',
+        message: result.reason
+      });
+      return;
+    }
     
     res.json({
       success: true,
-      data: stats
+      data: result.refund
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch stats',
+      error: 'Failed to initiate refund',
       message: error instanceof Error ? error.message : 'Unknown error'
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default api;
\ No newline at end of file
@@ -0,0 +1,42 @@
+// Contract ABIs (simplified for example)
+export const SWAP_ESCROW_FACTORY_ABI = [
+  "function createSwapEscrow(bytes32 swapId, address resolver, bytes recipient, bytes32 secretHash, uint256 userTimelock, uint256 resolverTimelock) external returns (address)",
+  "function createDestinationEscrow(bytes32 swapId, address user, bytes32 secretHash, uint256 userTimelock, uint256 resolverTimelock) external returns (address)",
+  "function isAuthorizedResolver(address resolver) external view returns (bool)",
+  "function registerResolver() external payable",
+  "function increaseStake() external payable",
+  "function unregisterResolver() external",
+  "function getResolverStake(address resolver) external view returns (uint256)",
+  "event SwapEscrowCreated(bytes32 indexed swapId, address indexed escrowAddress, address indexed userAddress, address resolverAddress, bytes32 secretHash, uint256 userTimelock, uint256 resolverTimelock, bytes recipient)",
+  "event DestinationEscrowCreated(bytes32 indexed swapId, address indexed escrowAddress, address indexed userAddress, address resolverAddress, bytes32 secretHash, uint256 userTimelock, uint256 resolverTimelock)",
+  "event ResolverRegistered(address indexed resolver, uint256 stakeAmount)",
+  "event ResolverStakeIncreased(address indexed resolver, uint256 amount, uint256 totalStake)",
+  "event ResolverUnregistered(address indexed resolver, uint256 refundAmount)"
+];
+
+export const SWAP_ESCROW_ABI = [
+  "function lockUserSide(address token, uint256 amount) external payable",
+  "function lockResolverSide(address token, uint256 amount) external payable", 
+  "function claimFunds(string calldata secret, uint8 side) external",
+  "function refundFunds(uint8 side) external",
+  "function getStatus() external view returns (bool userLocked, bool userClaimed, bool userRefunded, bool resolverLocked, bool resolverClaimed, bool resolverRefunded, bool secretRevealed, bool destroyed)",
+  "function canClaim(uint8 side) external view returns (bool)",
+  "function canRefund(uint8 side) external view returns (bool)",
+  "function userSide() external view returns (address locker, address beneficiary, address token, uint256 amount, bytes32 secretHash, uint256 timelock, bool locked, bool claimed, bool refunded)",
+  "function resolverSide() external view returns (address locker, address beneficiary, address token, uint256 amount, bytes32 secretHash, uint256 timelock, bool locked, bool claimed, bool refunded)",
+  "event EscrowLocked(address indexed locker, address indexed beneficiary, address token, uint256 amount, bytes32 secretHash, uint256 timelock)",
+  "event EscrowClaimed(address indexed claimer, string secret, uint256 amount)",
+  "event EscrowRefunded(address indexed refundee, uint256 amount)"
+];
+
+export const ERC20_ABI = [
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function approve(address spender, uint256 amount) external returns (bool)",
+  "function balanceOf(address account) external view returns (uint256)",
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)"
+];
+
+export const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) external view returns ((bool success, bytes returnData)[] returnData)"
+];
\ No newline at end of file
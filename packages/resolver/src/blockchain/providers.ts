@@ -1,10 +1,17 @@
 import { ethers } from 'ethers';
-import { SuiClient } from '@mysten/sui.js/client';
+import {
+  SuiClient,
+  SuiHTTPTransport,
+  SuiTransport,
+  SuiTransportRequestOptions,
+  SuiTransportSubscribeOptions
+} from '@mysten/sui.js/client';
 import { Ed25519Keypair } from '@mysten/sui.js/keypairs/ed25519';
 import { TransactionBlock } from '@mysten/sui.js/transactions';
 import { logger } from '../utils/logger';
 import { config } from '../config';
 import { ChainType } from '../types';
+import { rpcDuration, rpcErrors } from '../metrics';
 
 export interface ChainProvider {
   readonly chainType: ChainType;
@@ -17,6 +24,60 @@ export interface ChainProvider {
   disconnect(): Promise<void>;
 }
 
+// Times every JSON-RPC request, including those made by contracts and wallets on this provider
+class InstrumentedJsonRpcProvider extends ethers.JsonRpcProvider {
+  async _send(payload: ethers.JsonRpcPayload | Array<ethers.JsonRpcPayload>): Promise<Array<ethers.JsonRpcResult>> {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const startedAt = process.hrtime.bigint();
+
+    try {
+      const results = await super._send(payload);
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+      for (const request of payloads) {
+        rpcDuration.observe({ chain: ChainType.ETHEREUM, method: request.method }, seconds);
+        // Errors come back as results with an error member
+        const result: any = results.find(candidate => candidate.id === request.id);
+        if (result?.error) {
+          rpcErrors.inc({ chain: ChainType.ETHEREUM, method: request.method });
+        }
+      }
+
+      return results;
+    } catch (error) {
+      for (const request of payloads) {
+        rpcErrors.inc({ chain: ChainType.ETHEREUM, method: request.method });
+      }
+      throw error;
+    }
+  }
+}
+
+// The same for Sui, wrapping the HTTP transport SuiClient would otherwise create
+class InstrumentedSuiTransport implements SuiTransport {
+  private transport: SuiHTTPTransport;
+
+  constructor(url: string) {
+    this.transport = new SuiHTTPTransport({ url });
+  }
+
+  async request<T = unknown>(input: SuiTransportRequestOptions): Promise<T> {
+    const stopTimer = rpcDuration.startTimer({ chain: ChainType.SUI, method: input.method });
+    try {
+      return await this.transport.request<T>(input);
+    } catch (error) {
+      rpcErrors.inc({ chain: ChainType.SUI, method: input.method });
+      throw error;
+    } finally {
+      stopTimer();
+    }
+  }
+
+  async subscribe<T = unknown>(input: SuiTransportSubscribeOptions<T>): Promise<() => Promise<boolean>> {
+    return await this.transport.subscribe(input);
+  }
+}
+
 export class EthereumProvider implements ChainProvider {
   readonly chainType = ChainType.ETHEREUM;
   private provider: ethers.JsonRpcProvider;
@@ -24,7 +85,7 @@ export class EthereumProvider implements ChainProvider {
   private connected: boolean = false;
 
   constructor() {
-    this.provider = new ethers.JsonRpcProvider(config.ethereum.rpcUrl);
+    this.provider = new InstrumentedJsonRpcProvider(config.ethereum.rpcUrl);
     this.wallet = new ethers.Wallet(config.ethereum.privateKey, this.provider);
   }
 
@@ -103,7 +164,7 @@ export class SuiProvider implements ChainProvider {
   private connected: boolean = false;
 
   constructor() {
-    this.client = new SuiClient({ url: config.sui.rpcUrl });
+    this.client = new SuiClient({ transport: new InstrumentedSuiTransport(config.sui.rpcUrl) });
     this.keypair = Ed25519Keypair.fromSecretKey(
       Buffer.from(config.sui.privateKey.replace('0x', ''), 'hex')
     );
@@ -221,34 +282,51 @@ export class SuiProvider implements ChainProvider {
     return (BigInt(balance.totalBalance) / BigInt(1_000_000_000)).toString(); // Convert MIST to SUI
   }
 
-  async getGasCoins(amount?: string): Promise<any[]> {
-    const coins = await this.client.getCoins({
-      owner: this.getAddress(),
-      coinType: '0x2::sui::SUI',
+  // Exact balance in the coin's base units
+  async getCoinBalance(coinType: string, address?: string): Promise<string> {
+    const balance = await this.client.getBalance({
+      owner: address || this.getAddress(),
+      coinType,
     });
     
-    if (amount) {
-      const requiredAmount = BigInt(amount);
-      let totalAmount = BigInt(0);
-      const selectedCoins = [];
+    return balance.totalBalance;
+  }
+
+  async getGasCoins(amount?: string): Promise<any[]> {
+    return await this.getCoins('0x2::sui::SUI', amount);
+  }
+
+  // Coins of the given type; with an amount, just enough coins to cover it
+  async getCoins(coinType: string, amount?: string): Promise<any[]> {
+    const requiredAmount = amount ? BigInt(amount) : null;
+    let totalAmount = BigInt(0);
+    const selectedCoins = [];
+    let cursor: string | null | undefined = undefined;
+    
+    do {
+      const page = await this.client.getCoins({
+        owner: this.getAddress(),
+        coinType,
+        cursor,
+      });
       
-      for (const coin of coins.data) {
+      for (const coin of page.data) {
         selectedCoins.push(coin);
         totalAmount += BigInt(coin.balance);
         
-        if (totalAmount >= requiredAmount) {
-          break;
+        if (requiredAmount !== null && totalAmount >= requiredAmount) {
+          return selectedCoins;
         }
       }
       
-      if (totalAmount < requiredAmount) {
-        throw new Error('Insufficient SUI balance for gas');
-      }
-      
-      return selectedCoins;
+      cursor = page.hasNextPage ? page.nextCursor : null;
+    } while (cursor);
+    
+    if (requiredAmount !== null) {
+      throw new Error(`Insufficient ${coinType} balance`);
     }
     
-    return coins.data;
+    return selectedCoins;
   }
 
   async getObject(objectId: string): Promise<any> {
@@ -258,10 +336,29 @@ export class SuiProvider implements ChainProvider {
         showType: true,
         showContent: true,
         showDisplay: true,
+        showPreviousTransaction: true,
       },
     });
   }
 
+  async devInspectTransaction(tx: TransactionBlock): Promise<any> {
+    const result = await this.client.devInspectTransactionBlock({
+      transactionBlock: tx,
+      sender: this.getAddress(),
+    });
+
+    if (result.effects.status.status === 'failure') {
+      throw new Error(`Dev inspect failed: ${result.effects.status.error}`);
+    }
+
+    return result;
+  }
+
+  async getTransactionCheckpoint(digest: string): Promise<number | null> {
+    const result = await this.client.getTransactionBlock({ digest });
+    return result.checkpoint ? parseInt(result.checkpoint) : null;
+  }
+
   async getObjectsOwnedByAddress(address?: string): Promise<any[]> {
     const addr = address || this.getAddress();
     const objects = await this.client.getOwnedObjects({
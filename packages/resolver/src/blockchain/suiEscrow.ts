@@ -0,0 +1,43 @@
+import { TransactionBlock, TransactionResult } from '@mysten/sui.js/transactions';
+import { bcs } from '@mysten/sui.js/bcs';
+import { SUI_CLOCK_OBJECT_ID } from '@mysten/sui.js/utils';
+import { config } from '../config';
+
+export interface DestinationEscrowParams {
+  coinType: string;
+  swapId: string;
+  // The user's Sui address, paid out when they claim with the secret
+  userAddress: string;
+  secretHash: string;
+  // Milliseconds, as Sui clock timestamps
+  userTimelock: number;
+  resolverTimelock: number;
+}
+
+function hexBytes(hex: string) {
+  return bcs.vector(bcs.u8()).serialize(Array.from(Buffer.from(hex.replace('0x', ''), 'hex')));
+}
+
+// sui_swap_escrow::create_destination_escrow, which makes the sender the resolver and
+// userAddress the beneficiary of the resolver side. Shared by the resolver and the gas estimate
+// so both build the same call.
+export function addCreateDestinationEscrow(
+  txb: TransactionBlock,
+  params: DestinationEscrowParams,
+  packageId: string = config.sui.packageId,
+  factoryId: string = config.sui.swapEscrowFactoryId
+): TransactionResult {
+  return txb.moveCall({
+    target: `${packageId}::sui_swap_escrow::create_destination_escrow`,
+    typeArguments: [params.coinType],
+    arguments: [
+      txb.object(factoryId),
+      txb.pure(hexBytes(params.swapId)),
+      txb.pure.address(params.userAddress),
+      txb.pure(hexBytes(params.secretHash)),
+      txb.pure.u64(params.userTimelock),
+      txb.pure.u64(params.resolverTimelock),
+      txb.object(SUI_CLOCK_OBJECT_ID)
+    ]
+  });
+}
\ No newline at end of file
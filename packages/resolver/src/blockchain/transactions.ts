@@ -0,0 +1,419 @@
+import { ethers } from 'ethers';
+import { EthereumProvider } from './providers';
+import { Database } from '../database';
+import { config, getChainConfig } from '../config';
+import { ChainType, EthereumTransaction } from '../types';
+import { logger, logError } from '../utils/logger';
+
+export interface SendOptions {
+  swapId?: string;
+  // Timelock in ms the transaction has to be mined before; close to it the fee cap is raised
+  deadline?: number;
+  confirmations?: number;
+}
+
+interface Fees {
+  maxFeePerGas: bigint;
+  // Undefined on networks without EIP-1559, where maxFeePerGas is the gas price
+  maxPriorityFeePerGas?: bigint;
+}
+
+// Headroom over the gas estimate, in percent
+const GAS_LIMIT_BUFFER = 20;
+
+// Nodes only accept a replacement that raises both fees by at least this percentage
+const MIN_REPLACEMENT_BUMP = 10;
+
+// Errors for which the node certainly did not take the transaction. Others, such as timeouts,
+// leave it unknown whether the broadcast reached the node.
+const REJECTION_CODES = ['INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'UNSUPPORTED_OPERATION'];
+
+function minBigInt(a: bigint, b: bigint): bigint {
+  return a < b ? a : b;
+}
+
+function maxBigInt(a: bigint, b: bigint): bigint {
+  return a > b ? a : b;
+}
+
+function raiseByPercent(value: bigint, percent: number): bigint {
+  return value * BigInt(100 + percent) / BigInt(100);
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Sends the resolver's Ethereum transactions. Fees follow EIP-1559 under a cap per action,
+// nonces are assigned here and persisted so they survive restarts, and a transaction still
+// unmined after ETHEREUM_REPLACE_AFTER is resubmitted at the same nonce with higher fees.
+export class EthereumTransactionManager {
+  private provider: EthereumProvider;
+  private database: Database;
+  private nextNonce?: number;
+  // Nonce assignment and the first broadcast run one transaction at a time
+  private sending: Promise<unknown> = Promise.resolve();
+  // Receipts of the transactions being waited on, by nonce, so a resumed one is not watched twice
+  private watches: Map<number, Promise<ethers.TransactionReceipt>> = new Map();
+
+  constructor(provider: EthereumProvider, database: Database) {
+    this.provider = provider;
+    this.database = database;
+  }
+
+  // Settles transactions mined while we were down and keeps replacing the rest
+  async initialize(): Promise<void> {
+    const sender = this.getSender();
+    const minedCount = await this.provider.getProvider().getTransactionCount(sender, 'latest');
+    const pending = await this.database.getPendingEthereumTransactions(sender);
+
+    for (const transaction of pending) {
+      if (transaction.nonce < minedCount) {
+        await this.settle(transaction, await this.findReceipt(transaction));
+      } else {
+        this.track(transaction);
+      }
+    }
+
+    await this.syncNonce();
+    logger.info('Ethereum transaction manager ready', {
+      nextNonce: this.nextNonce,
+      resumed: pending.filter(transaction => transaction.nonce >= minedCount).length
+    });
+  }
+
+  // Throws if the transaction reverts, like ContractTransactionResponse.wait
+  async send(
+    action: string,
+    request: ethers.TransactionRequest,
+    options: SendOptions = {}
+  ): Promise<ethers.TransactionReceipt> {
+    const transaction = await this.serialize(async () => {
+      const previous = await this.findPrevious(action, request, options);
+      return previous ?? await this.broadcastNew(action, request, options);
+    });
+
+    let receipt = await this.waitWithTimeout(transaction, config.ethereum.txTimeout);
+    const confirmations = options.confirmations ?? 1;
+    if (confirmations > 1) {
+      receipt = (await this.provider.getProvider().waitForTransaction(receipt.hash, confirmations))!;
+    }
+
+    if (receipt.status !== 1) {
+      throw new Error(`Ethereum ${action} transaction ${receipt.hash} reverted`);
+    }
+    return receipt;
+  }
+
+  private serialize<T>(task: () => Promise<T>): Promise<T> {
+    const result = this.sending.then(task);
+    this.sending = result.catch(() => undefined);
+    return result;
+  }
+
+  // A retry of a swap step after a timeout or restart finds the transaction sent the first time,
+  // still pending or mined, and waits on it instead of sending the call again at a new nonce.
+  // A reverted one is sent again.
+  private async findPrevious(
+    action: string,
+    request: ethers.TransactionRequest,
+    options: SendOptions
+  ): Promise<EthereumTransaction | null> {
+    if (options.swapId === undefined) {
+      return null;
+    }
+
+    const wallet = this.provider.getWallet();
+    const previous = await this.database.findEthereumTransaction(
+      wallet.address,
+      options.swapId,
+      action,
+      await ethers.resolveAddress(request.to!, wallet),
+      request.data || '0x'
+    );
+    if (!previous) {
+      return null;
+    }
+
+    if (previous.status === 'mined') {
+      const receipt = await this.provider.getProvider().getTransactionReceipt(previous.minedHash!);
+      if (receipt?.status !== 1) {
+        return null;
+      }
+    }
+
+    logger.info('Resuming earlier Ethereum transaction', {
+      action,
+      swapId: options.swapId,
+      nonce: previous.nonce,
+      status: previous.status
+    });
+    return previous;
+  }
+
+  // The larger of the node's pending count and our last recorded nonce plus one; the node
+  // may have dropped our pending transactions while we were down
+  private async syncNonce(): Promise<void> {
+    const highest = await this.database.getHighestEthereumNonce(this.getSender());
+    this.nextNonce = Math.max(await this.provider.getNonce(), highest === null ? 0 : highest + 1);
+  }
+
+  private async broadcastNew(
+    action: string,
+    request: ethers.TransactionRequest,
+    options: SendOptions
+  ): Promise<EthereumTransaction> {
+    if (this.nextNonce === undefined) {
+      await this.syncNonce();
+    }
+
+    const wallet = this.provider.getWallet();
+    const estimate = await wallet.estimateGas({ ...request, from: wallet.address });
+    if (estimate > BigInt(config.ethereum.gasLimit)) {
+      throw new Error(`Ethereum ${action} needs ${estimate} gas, above ETHEREUM_GAS_LIMIT ${config.ethereum.gasLimit}`);
+    }
+    const gasLimit = minBigInt(raiseByPercent(estimate, GAS_LIMIT_BUFFER), BigInt(config.ethereum.gasLimit));
+
+    const now = new Date();
+    const transaction: EthereumTransaction = {
+      sender: wallet.address,
+      nonce: this.nextNonce!,
+      action,
+      swapId: options.swapId,
+      to: await ethers.resolveAddress(request.to!, wallet),
+      data: request.data || '0x',
+      value: (request.value ?? 0).toString(),
+      gasLimit: gasLimit.toString(),
+      maxFeePerGas: '0',
+      hashes: [],
+      status: 'pending',
+      deadline: options.deadline,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    try {
+      await this.broadcast(transaction, await this.estimateFees(transaction));
+    } catch (error) {
+      const sent = transaction.hashes.length > 0;
+      if (!sent || REJECTION_CODES.some(code => ethers.isError(error, code as ethers.ErrorCode))) {
+        // The nonce was not used; resync in case it was taken outside this manager
+        transaction.status = 'dropped';
+        await this.database.saveEthereumTransaction(transaction);
+        this.nextNonce = undefined;
+        throw error;
+      }
+
+      // The node may have it all the same; it stays pending at its nonce and the watch
+      // finds it mined, or replaces it
+      logError('blockchain', error as Error, { action: 'broadcastTransaction', nonce: transaction.nonce });
+    }
+
+    this.nextNonce = transaction.nonce + 1;
+    return transaction;
+  }
+
+  // Recorded before it is sent, so a crash in between leaves the nonce accounted for
+  private async broadcast(transaction: EthereumTransaction, fees: Fees): Promise<void> {
+    const wallet = this.provider.getWallet();
+    const feeFields = fees.maxPriorityFeePerGas === undefined
+      ? { type: 0, gasPrice: fees.maxFeePerGas }
+      : { type: 2, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas };
+
+    const populated = await wallet.populateTransaction({
+      to: transaction.to,
+      data: transaction.data,
+      value: BigInt(transaction.value),
+      gasLimit: BigInt(transaction.gasLimit),
+      nonce: transaction.nonce,
+      ...feeFields
+    });
+    const signed = await wallet.signTransaction(populated);
+    const hash = ethers.Transaction.from(signed).hash!;
+
+    transaction.maxFeePerGas = fees.maxFeePerGas.toString();
+    transaction.maxPriorityFeePerGas = fees.maxPriorityFeePerGas?.toString();
+    transaction.hashes.push(hash);
+    transaction.updatedAt = new Date();
+    await this.database.saveEthereumTransaction(transaction);
+
+    await this.provider.getProvider().broadcastTransaction(signed);
+
+    logger.info('Ethereum transaction sent', {
+      action: transaction.action,
+      swapId: transaction.swapId,
+      nonce: transaction.nonce,
+      hash,
+      maxFeePerGas: transaction.maxFeePerGas,
+      maxPriorityFeePerGas: transaction.maxPriorityFeePerGas,
+      attempt: transaction.hashes.length
+    });
+  }
+
+  private async estimateFees(transaction: EthereumTransaction): Promise<Fees> {
+    const feeData = await this.provider.getProvider().getFeeData();
+    const cap = this.getFeeCap(transaction);
+
+    if (feeData.maxFeePerGas === null || feeData.maxPriorityFeePerGas === null) {
+      return { maxFeePerGas: minBigInt(feeData.gasPrice ?? BigInt(config.ethereum.gasPrice), cap) };
+    }
+
+    const maxFeePerGas = minBigInt(feeData.maxFeePerGas, cap);
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: minBigInt(feeData.maxPriorityFeePerGas, maxFeePerGas)
+    };
+  }
+
+  // ETHEREUM_MAX_FEE_CAPS for the action, else ETHEREUM_MAX_FEE_PER_GAS; multiplied once the
+  // transaction is within ETHEREUM_URGENT_WINDOW of its deadline
+  private getFeeCap(transaction: EthereumTransaction): bigint {
+    const cap = BigInt(config.ethereum.maxFeeCaps[transaction.action] ?? config.ethereum.maxFeePerGas);
+
+    if (transaction.deadline !== undefined && transaction.deadline - Date.now() < config.ethereum.urgentWindow) {
+      return cap * BigInt(Math.round(config.ethereum.urgentFeeMultiplier * 100)) / BigInt(100);
+    }
+    return cap;
+  }
+
+  // Waits on the transaction's watch; the watch goes on after a timeout, so later nonces
+  // are not stuck behind an unmined one
+  private async waitWithTimeout(transaction: EthereumTransaction, timeout: number): Promise<ethers.TransactionReceipt> {
+    let timer: NodeJS.Timeout | undefined;
+    const timedOut = new Promise<never>((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(
+        `Ethereum ${transaction.action} transaction at nonce ${transaction.nonce} unmined after ${timeout}ms`
+      )), timeout);
+    });
+
+    try {
+      return await Promise.race([this.track(transaction), timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // The watch on the transaction's nonce, started if there is none
+  private track(transaction: EthereumTransaction): Promise<ethers.TransactionReceipt> {
+    let watch = this.watches.get(transaction.nonce);
+    if (!watch) {
+      watch = this.waitForMined(transaction).finally(() => this.watches.delete(transaction.nonce));
+      this.watches.set(transaction.nonce, watch);
+      // Logged here, as nobody may be waiting on it
+      watch.catch(error => {
+        logError('blockchain', error as Error, { action: 'watchTransaction', nonce: transaction.nonce });
+      });
+    }
+    return watch;
+  }
+
+  // Polls every block until one of the transaction's hashes is mined, replacing it whenever
+  // it has waited ETHEREUM_REPLACE_AFTER since the last broadcast
+  private async waitForMined(transaction: EthereumTransaction): Promise<ethers.TransactionReceipt> {
+    const { blockTime } = getChainConfig(ChainType.ETHEREUM);
+
+    while (true) {
+      const receipt = await this.findReceipt(transaction);
+      if (receipt) {
+        await this.settle(transaction, receipt);
+        return receipt;
+      }
+
+      const minedCount = await this.provider.getProvider().getTransactionCount(transaction.sender, 'latest');
+      if (minedCount > transaction.nonce) {
+        // Ours may have been mined since the receipt lookup above
+        const minedReceipt = await this.findReceipt(transaction);
+        if (minedReceipt) {
+          await this.settle(transaction, minedReceipt);
+          return minedReceipt;
+        }
+
+        // Another transaction took the nonce
+        await this.settle(transaction, null);
+        throw new Error(`Ethereum ${transaction.action} transaction at nonce ${transaction.nonce} was replaced externally`);
+      }
+
+      if (Date.now() - transaction.updatedAt.getTime() >= config.ethereum.replaceAfter) {
+        await this.replace(transaction);
+      }
+
+      await sleep(blockTime);
+    }
+  }
+
+  private async replace(transaction: EthereumTransaction): Promise<void> {
+    const current = await this.estimateFees(transaction);
+    const cap = this.getFeeCap(transaction);
+    const previous: Fees = {
+      maxFeePerGas: BigInt(transaction.maxFeePerGas),
+      maxPriorityFeePerGas: transaction.maxPriorityFeePerGas === undefined
+        ? undefined
+        : BigInt(transaction.maxPriorityFeePerGas)
+    };
+
+    const maxFeePerGas = minBigInt(
+      maxBigInt(raiseByPercent(previous.maxFeePerGas, config.ethereum.feeBumpPercent), current.maxFeePerGas),
+      cap
+    );
+    const next: Fees = { maxFeePerGas };
+    if (previous.maxPriorityFeePerGas !== undefined) {
+      next.maxPriorityFeePerGas = minBigInt(
+        maxBigInt(
+          raiseByPercent(previous.maxPriorityFeePerGas, config.ethereum.feeBumpPercent),
+          current.maxPriorityFeePerGas ?? BigInt(0)
+        ),
+        maxFeePerGas
+      );
+    }
+
+    const underpriced = next.maxFeePerGas < raiseByPercent(previous.maxFeePerGas, MIN_REPLACEMENT_BUMP)
+      || (previous.maxPriorityFeePerGas !== undefined
+        && next.maxPriorityFeePerGas! < raiseByPercent(previous.maxPriorityFeePerGas, MIN_REPLACEMENT_BUMP));
+    if (underpriced) {
+      // Waits at the cap; the cap rises if the deadline comes within the urgent window
+      logger.warn('Ethereum transaction unmined at its fee cap', {
+        action: transaction.action,
+        nonce: transaction.nonce,
+        maxFeePerGas: transaction.maxFeePerGas,
+        cap: cap.toString()
+      });
+      transaction.updatedAt = new Date();
+      return;
+    }
+
+    try {
+      await this.broadcast(transaction, next);
+      logger.warn('Replaced unmined Ethereum transaction', {
+        action: transaction.action,
+        swapId: transaction.swapId,
+        nonce: transaction.nonce,
+        replaces: transaction.hashes[transaction.hashes.length - 2]
+      });
+    } catch (error) {
+      // Usually mined in the meantime; the next poll finds the receipt
+      logError('blockchain', error as Error, { action: 'replaceTransaction', nonce: transaction.nonce });
+    }
+  }
+
+  // Latest broadcast first, as it is the likeliest to be mined
+  private async findReceipt(transaction: EthereumTransaction): Promise<ethers.TransactionReceipt | null> {
+    for (const hash of [...transaction.hashes].reverse()) {
+      const receipt = await this.provider.getProvider().getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  private async settle(transaction: EthereumTransaction, receipt: ethers.TransactionReceipt | null): Promise<void> {
+    transaction.status = receipt ? 'mined' : 'dropped';
+    transaction.minedHash = receipt?.hash;
+    transaction.updatedAt = new Date();
+    await this.database.saveEthereumTransaction(transaction);
+  }
+
+  private getSender(): string {
+    return this.provider.getWallet().address;
+  }
+}
\ No newline at end of file
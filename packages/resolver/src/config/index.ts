@@ -2,6 +2,7 @@ import { ethers } from 'ethers';
 import { SuiClient, getFullnodeUrl } from '@mysten/sui.js/client';
 import { Ed25519Keypair } from '@mysten/sui.js/keypairs/ed25519';
 import dotenv from 'dotenv';
+import { ApiKey, ChainConfig, ChainType, WebhookConfig } from '../types';
 
 dotenv.config();
 
@@ -16,6 +17,21 @@ export interface Config {
     escrowAddress: string;
     gasLimit: number;
     gasPrice: string;
+    confirmations: number;
+    startBlock?: number;
+    reorgDepth: number;
+    logBatchSize: number;
+    logMaxAttempts: number;
+    pollInterval: number;
+    multicallAddress: string;
+    stakeAmount: string;
+    maxFeePerGas: string;
+    maxFeeCaps: Record<string, string>;
+    urgentWindow: number;
+    urgentFeeMultiplier: number;
+    replaceAfter: number;
+    feeBumpPercent: number;
+    txTimeout: number;
   };
   
   // Sui configuration
@@ -27,14 +43,39 @@ export interface Config {
     resolverRegistryId: string;
     secretRegistryId: string;
     gasBudget: number;
+    confirmations: number;
+    eventMode: 'poll' | 'subscribe';
+    eventPollInterval: number;
+    stakeAmount: string;
   };
   
   // Resolver settings
   resolver: {
-    stakeAmount: string;
     minProfitMargin: number;
     maxConcurrentSwaps: number;
     address: string;
+    monitorInterval: number;
+  };
+  
+  // Price source for the profitability check
+  pricing: {
+    source: 'static' | 'http';
+    file: string;
+    url: string;
+    timeout: number;
+    fallbackFile?: string;
+  };
+  
+  // Supported tokens
+  tokens: {
+    registryFile: string;
+  };
+  
+  // Quote settings
+  quotes: {
+    ttl: number;
+    userTimelockDuration: number;
+    timelockGap: number;
   };
   
   // Database settings
@@ -47,21 +88,51 @@ export interface Config {
     url: string;
   };
   
+  // Job queue settings
+  queue: {
+    backend: 'redis' | 'memory';
+    maxAttempts: number;
+    backoffMs: number;
+    pollInterval: number;
+    finishedTtl: number;
+  };
+  
   // API settings
   api: {
     port: number;
     apiKey: string;
+    keys: ApiKey[];
+    signatureMaxAge: number;
+    rateLimit: number;
+    rateLimitWindow: number;
+    ipRateLimit: number;
+    publicRouteRateLimit: number;
+    streamHeartbeat: number;
+    streamRetention: number;
   };
   
   // Monitoring settings
   monitoring: {
     logLevel: string;
     metricsPort: number;
+    timelockWarning: number;
+  };
+  
+  // Alert settings
+  alerts: {
+    webhooks: WebhookConfig[];
+    webhookTimeout: number;
+    webhookRetries: number;
+    webhookRetryDelay: number;
+    checkInterval: number;
+    claimWindow: number;
+    lowBalanceThresholds: Record<string, string>;
   };
   
   // Safety settings
   safety: {
     maxSwapAmount: string;
+    maxSwapAmounts: Record<string, string>;
     minTimelockBuffer: number;
   };
 }
@@ -75,6 +146,26 @@ export const config: Config = {
     escrowAddress: process.env.ETHEREUM_ESCROW_ADDRESS || '',
     gasLimit: parseInt(process.env.ETHEREUM_GAS_LIMIT || '500000'),
     gasPrice: process.env.ETHEREUM_GAS_PRICE || '20000000000',
+    confirmations: parseInt(process.env.ETHEREUM_CONFIRMATIONS || '2'),
+    startBlock: process.env.ETHEREUM_START_BLOCK ? parseInt(process.env.ETHEREUM_START_BLOCK) : undefined,
+    reorgDepth: parseInt(process.env.ETHEREUM_REORG_DEPTH || '12'),
+    logBatchSize: parseInt(process.env.ETHEREUM_LOG_BATCH_SIZE || '2000'),
+    // Handler attempts before a log is marked failed and skipped
+    logMaxAttempts: parseInt(process.env.ETHEREUM_LOG_MAX_ATTEMPTS || '5'),
+    pollInterval: parseInt(process.env.ETHEREUM_POLL_INTERVAL || '12000'),
+    multicallAddress: process.env.ETHEREUM_MULTICALL_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11',
+    // Resolver stake in wei
+    stakeAmount: process.env.ETHEREUM_STAKE_AMOUNT || '1000000000000000000',
+    // EIP-1559 max fee per gas in wei, overridable per action: {"claim": "...", "lock": "..."}
+    maxFeePerGas: process.env.ETHEREUM_MAX_FEE_PER_GAS || '100000000000',
+    maxFeeCaps: JSON.parse(process.env.ETHEREUM_MAX_FEE_CAPS || '{}'),
+    // Transactions due within this window of their timelock may pay up to the multiplied cap
+    urgentWindow: parseInt(process.env.ETHEREUM_URGENT_WINDOW || '1800000'),
+    urgentFeeMultiplier: parseFloat(process.env.ETHEREUM_URGENT_FEE_MULTIPLIER || '2'),
+    // Unmined transactions are resubmitted at the same nonce with fees raised by this percentage
+    replaceAfter: parseInt(process.env.ETHEREUM_REPLACE_AFTER || '180000'),
+    feeBumpPercent: parseInt(process.env.ETHEREUM_FEE_BUMP_PERCENT || '15'),
+    txTimeout: parseInt(process.env.ETHEREUM_TX_TIMEOUT || '1800000'),
   },
   
   sui: {
@@ -85,13 +176,37 @@ export const config: Config = {
     resolverRegistryId: process.env.SUI_RESOLVER_REGISTRY_ID || '',
     secretRegistryId: process.env.SUI_SECRET_REGISTRY_ID || '',
     gasBudget: parseInt(process.env.SUI_GAS_BUDGET || '10000000'),
+    confirmations: parseInt(process.env.SUI_CONFIRMATIONS || '1'),
+    eventMode: process.env.SUI_EVENT_MODE === 'subscribe' ? 'subscribe' : 'poll',
+    eventPollInterval: parseInt(process.env.SUI_EVENT_POLL_INTERVAL || '5000'),
+    // Resolver stake in MIST
+    stakeAmount: process.env.SUI_STAKE_AMOUNT || '1000000000',
   },
   
   resolver: {
-    stakeAmount: process.env.RESOLVER_STAKE_AMOUNT || '1000000000',
     minProfitMargin: parseFloat(process.env.MIN_PROFIT_MARGIN || '0.1'),
     maxConcurrentSwaps: parseInt(process.env.MAX_CONCURRENT_SWAPS || '10'),
     address: process.env.RESOLVER_ADDRESS || '',
+    monitorInterval: parseInt(process.env.SWAP_MONITOR_INTERVAL || '10000'),
+  },
+  
+  pricing: {
+    source: process.env.PRICE_SOURCE === 'http' ? 'http' : 'static',
+    file: process.env.PRICE_FILE || './prices.json',
+    url: process.env.PRICE_SOURCE_URL || 'http://localhost:8080',
+    timeout: parseInt(process.env.PRICE_SOURCE_TIMEOUT || '5000'),
+    // Price file used when the HTTP source fails
+    fallbackFile: process.env.PRICE_FALLBACK_FILE || undefined,
+  },
+  
+  tokens: {
+    registryFile: process.env.TOKEN_REGISTRY_FILE || '',
+  },
+  
+  quotes: {
+    ttl: parseInt(process.env.QUOTE_TTL || '60000'),
+    userTimelockDuration: parseInt(process.env.QUOTE_USER_TIMELOCK || '7200000'),
+    timelockGap: parseInt(process.env.QUOTE_TIMELOCK_GAP || '3600000'),
   },
   
   database: {
@@ -102,22 +217,85 @@ export const config: Config = {
     url: process.env.REDIS_URL || 'redis://localhost:6379',
   },
   
+  queue: {
+    backend: process.env.QUEUE_BACKEND === 'memory' ? 'memory' : 'redis',
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5'),
+    backoffMs: parseInt(process.env.JOB_BACKOFF_MS || '5000'),
+    pollInterval: parseInt(process.env.JOB_POLL_INTERVAL || '1000'),
+    // How long in ms a completed or dead job blocks the same swap and step from being enqueued
+    finishedTtl: parseInt(process.env.JOB_FINISHED_TTL || '604800000'),
+  },
+  
   api: {
     port: parseInt(process.env.PORT || '3000'),
     apiKey: process.env.API_KEY || '',
+    // Additional keys as [{"id": "...", "key": "...", "scope": "read" | "admin"}]
+    keys: JSON.parse(process.env.API_KEYS || '[]'),
+    signatureMaxAge: parseInt(process.env.API_SIGNATURE_MAX_AGE || '300000'),
+    rateLimit: parseInt(process.env.API_RATE_LIMIT || '120'),
+    rateLimitWindow: parseInt(process.env.API_RATE_LIMIT_WINDOW || '60000'),
+    // Per IP and window, checked before the caller is identified
+    ipRateLimit: parseInt(process.env.API_IP_RATE_LIMIT || '600'),
+    // Per IP and window, on public routes that cost RPC calls such as POST /api/quotes
+    publicRouteRateLimit: parseInt(process.env.API_PUBLIC_ROUTE_RATE_LIMIT || '20'),
+    streamHeartbeat: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL || '15000'),
+    // How long swap events stay available for resuming a stream
+    streamRetention: parseInt(process.env.STREAM_RETENTION || '86400000'),
   },
   
   monitoring: {
     logLevel: process.env.LOG_LEVEL || 'info',
     metricsPort: parseInt(process.env.METRICS_PORT || '9090'),
+    // Active swaps whose deadline is closer than this are reported as near their timelock
+    timelockWarning: parseInt(process.env.TIMELOCK_WARNING || '3600000'),
+  },
+  
+  alerts: {
+    // [{"url": "...", "format": "json" | "slack", "events": ["claim_failed", ...]}]
+    webhooks: JSON.parse(process.env.ALERT_WEBHOOKS || '[]'),
+    webhookTimeout: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT || '5000'),
+    // Further attempts after a failed delivery, the first after the delay and each doubling it
+    webhookRetries: parseInt(process.env.ALERT_WEBHOOK_RETRIES || '3'),
+    webhookRetryDelay: parseInt(process.env.ALERT_WEBHOOK_RETRY_DELAY || '1000'),
+    checkInterval: parseInt(process.env.ALERT_CHECK_INTERVAL || '60000'),
+    // Alert when the secret is known but our claim is still unconfirmed this close to the deadline
+    claimWindow: parseInt(process.env.ALERT_CLAIM_WINDOW || '1800000'),
+    // Wallet balances in base units, keyed `<chain>:<token>` like prices
+    lowBalanceThresholds: JSON.parse(process.env.LOW_BALANCE_THRESHOLDS || '{}'),
   },
   
   safety: {
     maxSwapAmount: process.env.MAX_SWAP_AMOUNT || '100000000000000000000',
+    maxSwapAmounts: JSON.parse(process.env.MAX_SWAP_AMOUNTS || '{}'),
     minTimelockBuffer: parseInt(process.env.MIN_TIMELOCK_BUFFER || '1800000'),
   },
 };
 
+// Per-chain settings used when waiting for finality
+export function getChainConfig(chainType: ChainType): ChainConfig {
+  if (chainType === ChainType.ETHEREUM) {
+    return {
+      name: 'Ethereum',
+      type: ChainType.ETHEREUM,
+      rpcUrl: config.ethereum.rpcUrl,
+      escrowAddress: config.ethereum.escrowAddress,
+      confirmations: config.ethereum.confirmations,
+      blockTime: 12000,
+      gasPriceMultiplier: 1,
+    };
+  }
+
+  return {
+    name: 'Sui',
+    type: ChainType.SUI,
+    rpcUrl: config.sui.rpcUrl,
+    packageId: config.sui.packageId,
+    confirmations: config.sui.confirmations,
+    blockTime: 500,
+    gasPriceMultiplier: 1,
+  };
+}
+
 // Validation function
 export function validateConfig(): void {
   const required = [
@@ -1,6 +1,15 @@
 import sqlite3 from 'sqlite3';
-import { SwapRequest, HTLCInfo, SecretReveal, SwapStatus, ChainType } from '../types';
+import { SwapRequest, HTLCInfo, SecretReveal, SwapStatus, ChainType, EventLog, Quote, ResolverStake, AuditLogEntry, SwapQuery, SwapPage, SwapEvent, SwapEventFilter, SwapTransaction, EthereumTransaction } from '../types';
 import { logger, logError } from '../utils/logger';
+import { dbErrors, dbQueryDuration } from '../metrics';
+
+// Label for query metrics: the statement's first keyword, e.g. select or insert
+function statementType(sql: string): string {
+  return sql.trim().split(/\s+/)[0].toLowerCase();
+}
+
+// Swaps in these states are finished and no longer monitored
+const TERMINAL_STATUSES = [SwapStatus.COMPLETED, SwapStatus.FAILED, SwapStatus.EXPIRED, SwapStatus.REFUNDED];
 
 export class Database {
   private db: sqlite3.Database | null = null;
@@ -32,6 +41,7 @@ export class Database {
       `CREATE TABLE IF NOT EXISTS swaps (
         id TEXT PRIMARY KEY,
         userAddress TEXT NOT NULL,
+        recipientAddress TEXT,
         resolverAddress TEXT NOT NULL,
         sourceChain TEXT NOT NULL,
         destinationChain TEXT NOT NULL,
@@ -41,9 +51,13 @@ export class Database {
         destinationAmount TEXT NOT NULL,
         secretHash TEXT NOT NULL,
         secret TEXT,
+        sourceEscrowId TEXT,
+        destinationEscrowId TEXT,
+        quoteId TEXT,
         userTimelock INTEGER NOT NULL,
         resolverTimelock INTEGER NOT NULL,
         status TEXT NOT NULL,
+        failureReason TEXT,
         createdAt INTEGER NOT NULL,
         updatedAt INTEGER NOT NULL
       )`,
@@ -61,6 +75,8 @@ export class Database {
         claimed BOOLEAN DEFAULT 0,
         refunded BOOLEAN DEFAULT 0,
         txHash TEXT NOT NULL,
+        claimTxHash TEXT,
+        refundTxHash TEXT,
         blockNumber INTEGER,
         createdAt INTEGER NOT NULL,
         updatedAt INTEGER NOT NULL,
@@ -97,10 +113,93 @@ export class Database {
         event TEXT NOT NULL,
         txHash TEXT NOT NULL,
         blockNumber INTEGER NOT NULL,
+        blockHash TEXT,
+        logIndex INTEGER,
         address TEXT NOT NULL,
         data TEXT NOT NULL,
         processedAt INTEGER,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        failedAt INTEGER,
+        lastError TEXT,
+        createdAt INTEGER NOT NULL
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS quotes (
+        id TEXT PRIMARY KEY,
+        sourceChain TEXT NOT NULL,
+        destinationChain TEXT NOT NULL,
+        sourceToken TEXT NOT NULL,
+        destinationToken TEXT NOT NULL,
+        sourceAmount TEXT NOT NULL,
+        destinationAmount TEXT NOT NULL,
+        userAddress TEXT NOT NULL,
+        resolverAddress TEXT NOT NULL,
+        userTimelock INTEGER NOT NULL,
+        resolverTimelock INTEGER NOT NULL,
+        expiresAt INTEGER NOT NULL,
+        signature TEXT NOT NULL,
         createdAt INTEGER NOT NULL
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS sync_cursors (
+        chain TEXT NOT NULL,
+        stream TEXT NOT NULL,
+        cursor TEXT NOT NULL,
+        updatedAt INTEGER NOT NULL,
+        PRIMARY KEY (chain, stream)
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        keyId TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target TEXT,
+        params TEXT,
+        statusCode INTEGER NOT NULL,
+        ip TEXT,
+        createdAt INTEGER NOT NULL
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS swap_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        swapId TEXT NOT NULL,
+        userAddress TEXT NOT NULL,
+        oldStatus TEXT,
+        status TEXT NOT NULL,
+        swap TEXT NOT NULL,
+        createdAt INTEGER NOT NULL
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS swap_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        swapId TEXT NOT NULL,
+        chain TEXT NOT NULL,
+        action TEXT NOT NULL,
+        txHash TEXT NOT NULL,
+        gasCost TEXT NOT NULL,
+        createdAt INTEGER NOT NULL,
+        FOREIGN KEY (swapId) REFERENCES swaps (id)
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS ethereum_transactions (
+        sender TEXT NOT NULL,
+        nonce INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        swapId TEXT,
+        toAddress TEXT NOT NULL,
+        data TEXT NOT NULL,
+        value TEXT NOT NULL,
+        gasLimit TEXT NOT NULL,
+        maxFeePerGas TEXT NOT NULL,
+        maxPriorityFeePerGas TEXT,
+        hashes TEXT NOT NULL,
+        status TEXT NOT NULL,
+        minedHash TEXT,
+        deadline INTEGER,
+        createdAt INTEGER NOT NULL,
+        updatedAt INTEGER NOT NULL,
+        PRIMARY KEY (sender, nonce)
       )`
     ];
 
@@ -108,14 +207,24 @@ export class Database {
       await this.runQuery(table);
     }
 
+    await this.migrateTables();
+
     // Create indexes
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_swaps_status ON swaps (status)',
       'CREATE INDEX IF NOT EXISTS idx_swaps_created ON swaps (createdAt)',
+      'CREATE INDEX IF NOT EXISTS idx_swaps_updated ON swaps (updatedAt)',
+      'CREATE INDEX IF NOT EXISTS idx_swaps_user ON swaps (LOWER(userAddress))',
+      'CREATE INDEX IF NOT EXISTS idx_reveals_swap ON secret_reveals (swapId)',
       'CREATE INDEX IF NOT EXISTS idx_htlcs_swap ON htlcs (swapId)',
       'CREATE INDEX IF NOT EXISTS idx_htlcs_chain ON htlcs (chain)',
       'CREATE INDEX IF NOT EXISTS idx_events_chain ON event_logs (chain)',
-      'CREATE INDEX IF NOT EXISTS idx_events_block ON event_logs (blockNumber)'
+      'CREATE INDEX IF NOT EXISTS idx_events_block ON event_logs (blockNumber)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_events_unique ON event_logs (chain, txHash, logIndex)',
+      'CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log (createdAt)',
+      'CREATE INDEX IF NOT EXISTS idx_swap_events_created ON swap_events (createdAt)',
+      'CREATE INDEX IF NOT EXISTS idx_swap_transactions_swap ON swap_transactions (swapId)',
+      'CREATE INDEX IF NOT EXISTS idx_ethereum_transactions_swap ON ethereum_transactions (swapId, action)'
     ];
 
     for (const index of indexes) {
@@ -125,6 +234,31 @@ export class Database {
     logger.info('Database tables created successfully');
   }
 
+  // Add columns introduced after the initial schema to existing databases
+  private async migrateTables(): Promise<void> {
+    const columns: Array<[string, string, string]> = [
+      ['swaps', 'sourceEscrowId', 'TEXT'],
+      ['swaps', 'destinationEscrowId', 'TEXT'],
+      ['swaps', 'quoteId', 'TEXT'],
+      ['swaps', 'failureReason', 'TEXT'],
+      ['swaps', 'recipientAddress', 'TEXT'],
+      ['htlcs', 'claimTxHash', 'TEXT'],
+      ['htlcs', 'refundTxHash', 'TEXT'],
+      ['event_logs', 'blockHash', 'TEXT'],
+      ['event_logs', 'logIndex', 'INTEGER'],
+      ['event_logs', 'attempts', 'INTEGER NOT NULL DEFAULT 0'],
+      ['event_logs', 'failedAt', 'INTEGER'],
+      ['event_logs', 'lastError', 'TEXT']
+    ];
+
+    for (const [table, column, type] of columns) {
+      const existing = await this.allQuery(`PRAGMA table_info(${table})`);
+      if (!existing.some(row => row.name === column)) {
+        await this.runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    }
+  }
+
   private runQuery(sql: string, params: any[] = []): Promise<any> {
     return new Promise((resolve, reject) => {
       if (!this.db) {
@@ -132,8 +266,13 @@ export class Database {
         return;
       }
 
+      const operation = statementType(sql);
+      const stopTimer = dbQueryDuration.startTimer({ operation });
+
       this.db.run(sql, params, function(err) {
+        stopTimer();
         if (err) {
+          dbErrors.inc({ operation });
           logError('database', err, { sql, params });
           reject(err);
         } else {
@@ -150,8 +289,13 @@ export class Database {
         return;
       }
 
+      const operation = statementType(sql);
+      const stopTimer = dbQueryDuration.startTimer({ operation });
+
       this.db.get(sql, params, (err, row) => {
+        stopTimer();
         if (err) {
+          dbErrors.inc({ operation });
           logError('database', err, { sql, params });
           reject(err);
         } else {
@@ -168,8 +312,13 @@ export class Database {
         return;
       }
 
+      const operation = statementType(sql);
+      const stopTimer = dbQueryDuration.startTimer({ operation });
+
       this.db.all(sql, params, (err, rows) => {
+        stopTimer();
         if (err) {
+          dbErrors.inc({ operation });
           logError('database', err, { sql, params });
           reject(err);
         } else {
@@ -183,16 +332,17 @@ export class Database {
   async createSwap(swap: SwapRequest): Promise<void> {
     const sql = `
       INSERT INTO swaps (
-        id, userAddress, resolverAddress, sourceChain, destinationChain,
+        id, userAddress, recipientAddress, resolverAddress, sourceChain, destinationChain,
         sourceToken, destinationToken, sourceAmount, destinationAmount,
-        secretHash, secret, userTimelock, resolverTimelock, status,
-        createdAt, updatedAt
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        secretHash, secret, sourceEscrowId, destinationEscrowId, quoteId,
+        userTimelock, resolverTimelock, status, failureReason, createdAt, updatedAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const params = [
       swap.id,
       swap.userAddress,
+      swap.recipientAddress || null,
       swap.resolverAddress,
       swap.sourceChain,
       swap.destinationChain,
@@ -202,9 +352,13 @@ export class Database {
       swap.destinationAmount,
       swap.secretHash,
       swap.secret || null,
+      swap.sourceEscrowId || null,
+      swap.destinationEscrowId || null,
+      swap.quoteId || null,
       swap.userTimelock,
       swap.resolverTimelock,
       swap.status,
+      swap.failureReason || null,
       swap.createdAt.getTime(),
       swap.updatedAt.getTime()
     ];
@@ -215,15 +369,17 @@ export class Database {
   async updateSwap(swap: SwapRequest): Promise<void> {
     const sql = `
       UPDATE swaps SET
-        userAddress = ?, resolverAddress = ?, sourceChain = ?, destinationChain = ?,
+        userAddress = ?, recipientAddress = ?, resolverAddress = ?, sourceChain = ?, destinationChain = ?,
         sourceToken = ?, destinationToken = ?, sourceAmount = ?, destinationAmount = ?,
-        secretHash = ?, secret = ?, userTimelock = ?, resolverTimelock = ?,
-        status = ?, updatedAt = ?
+        secretHash = ?, secret = ?, sourceEscrowId = ?, destinationEscrowId = ?,
+        quoteId = ?, userTimelock = ?, resolverTimelock = ?, status = ?, failureReason = ?,
+        updatedAt = ?
       WHERE id = ?
     `;
     
     const params = [
       swap.userAddress,
+      swap.recipientAddress || null,
       swap.resolverAddress,
       swap.sourceChain,
       swap.destinationChain,
@@ -233,9 +389,13 @@ export class Database {
       swap.destinationAmount,
       swap.secretHash,
       swap.secret || null,
+      swap.sourceEscrowId || null,
+      swap.destinationEscrowId || null,
+      swap.quoteId || null,
       swap.userTimelock,
       swap.resolverTimelock,
       swap.status,
+      swap.failureReason || null,
       swap.updatedAt.getTime(),
       swap.id
     ];
@@ -255,14 +415,107 @@ export class Database {
   async getActiveSwaps(): Promise<SwapRequest[]> {
     const sql = `
       SELECT * FROM swaps 
-      WHERE status NOT IN ('completed', 'failed', 'expired')
+      WHERE status NOT IN (${TERMINAL_STATUSES.map(() => '?').join(', ')})
       ORDER BY createdAt ASC
     `;
     
-    const rows = await this.allQuery(sql);
+    const rows = await this.allQuery(sql, TERMINAL_STATUSES);
+    return rows.map(row => this.rowToSwapRequest(row));
+  }
+
+  async countSwapsByStatus(): Promise<Record<string, number>> {
+    const rows = await this.allQuery('SELECT status, COUNT(*) AS count FROM swaps GROUP BY status');
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  }
+
+  // A finished swap is not updated again, so its updatedAt is when it finished
+  async getFinishedSwaps(from: number, to: number): Promise<SwapRequest[]> {
+    const sql = `
+      SELECT * FROM swaps
+      WHERE status IN (${TERMINAL_STATUSES.map(() => '?').join(', ')})
+        AND updatedAt >= ? AND updatedAt < ?
+    `;
+    
+    const rows = await this.allQuery(sql, [...TERMINAL_STATUSES, from, to]);
     return rows.map(row => this.rowToSwapRequest(row));
   }
 
+  async countSwapsFinishedSince(status: SwapStatus, since: number): Promise<number> {
+    const row = await this.getQuery(
+      'SELECT COUNT(*) AS count FROM swaps WHERE status = ? AND updatedAt >= ?',
+      [status, since]
+    );
+    return row.count;
+  }
+
+  // Keyset pagination on (sort column, id), so pages stay stable while swaps are added
+  async querySwaps(query: SwapQuery): Promise<SwapPage> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+
+    if (query.status) {
+      conditions.push('status = ?');
+      params.push(query.status);
+    }
+    if (query.active !== undefined) {
+      const placeholders = TERMINAL_STATUSES.map(() => '?').join(', ');
+      conditions.push(`status ${query.active ? 'NOT IN' : 'IN'} (${placeholders})`);
+      params.push(...TERMINAL_STATUSES);
+    }
+    if (query.chain) {
+      conditions.push('(sourceChain = ? OR destinationChain = ?)');
+      params.push(query.chain, query.chain);
+    }
+    if (query.userAddress) {
+      conditions.push('LOWER(userAddress) = LOWER(?)');
+      params.push(query.userAddress);
+    }
+
+    const ranges: Array<[string, string, number | undefined]> = [
+      ['createdAt', '>=', query.createdFrom],
+      ['createdAt', '<', query.createdTo],
+      ['updatedAt', '>=', query.updatedFrom],
+      ['updatedAt', '<', query.updatedTo]
+    ];
+    for (const [column, operator, value] of ranges) {
+      if (value !== undefined) {
+        conditions.push(`${column} ${operator} ?`);
+        params.push(value);
+      }
+    }
+
+    // sortBy and order are checked by the caller; they cannot be bound as parameters
+    const column = query.sortBy === 'updatedAt' ? 'updatedAt' : 'createdAt';
+    const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+    const comparison = query.order === 'asc' ? '>' : '<';
+
+    if (query.after) {
+      conditions.push(`(${column} ${comparison} ? OR (${column} = ? AND id ${comparison} ?))`);
+      params.push(query.after.value, query.after.value, query.after.id);
+    }
+
+    const sql = `
+      SELECT * FROM swaps
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${column} ${direction}, id ${direction}
+      LIMIT ?
+    `;
+
+    // One extra row tells whether there is a next page
+    const rows = await this.allQuery(sql, [...params, query.limit + 1]);
+    const swaps = rows.slice(0, query.limit).map(row => this.rowToSwapRequest(row));
+
+    if (rows.length <= query.limit) {
+      return { swaps };
+    }
+
+    const last = swaps[swaps.length - 1];
+    return {
+      swaps,
+      next: { value: last[column].getTime(), id: last.id }
+    };
+  }
+
   async getSwapsByStatus(status: SwapStatus): Promise<SwapRequest[]> {
     const sql = 'SELECT * FROM swaps WHERE status = ? ORDER BY createdAt ASC';
     const rows = await this.allQuery(sql, [status]);
@@ -273,6 +526,7 @@ export class Database {
     return {
       id: row.id,
       userAddress: row.userAddress,
+      recipientAddress: row.recipientAddress || undefined,
       resolverAddress: row.resolverAddress,
       sourceChain: row.sourceChain as ChainType,
       destinationChain: row.destinationChain as ChainType,
@@ -282,9 +536,13 @@ export class Database {
       destinationAmount: row.destinationAmount,
       secretHash: row.secretHash,
       secret: row.secret,
+      sourceEscrowId: row.sourceEscrowId || undefined,
+      destinationEscrowId: row.destinationEscrowId || undefined,
+      quoteId: row.quoteId || undefined,
       userTimelock: row.userTimelock,
       resolverTimelock: row.resolverTimelock,
       status: row.status as SwapStatus,
+      failureReason: row.failureReason || undefined,
       createdAt: new Date(row.createdAt),
       updatedAt: new Date(row.updatedAt)
     };
@@ -295,9 +553,9 @@ export class Database {
     const sql = `
       INSERT INTO htlcs (
         id, swapId, chain, sender, beneficiary, token, amount,
-        hashLock, timelock, claimed, refunded, txHash, blockNumber,
-        createdAt, updatedAt
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        hashLock, timelock, claimed, refunded, txHash, claimTxHash,
+        refundTxHash, blockNumber, createdAt, updatedAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const params = [
@@ -313,6 +571,8 @@ export class Database {
       htlc.claimed ? 1 : 0,
       htlc.refunded ? 1 : 0,
       htlc.txHash,
+      htlc.claimTxHash || null,
+      htlc.refundTxHash || null,
       htlc.blockNumber,
       htlc.createdAt.getTime(),
       htlc.updatedAt.getTime()
@@ -326,7 +586,8 @@ export class Database {
       UPDATE htlcs SET
         swapId = ?, chain = ?, sender = ?, beneficiary = ?, token = ?,
         amount = ?, hashLock = ?, timelock = ?, claimed = ?, refunded = ?,
-        txHash = ?, blockNumber = ?, updatedAt = ?
+        txHash = ?, claimTxHash = ?, refundTxHash = ?, blockNumber = ?,
+        updatedAt = ?
       WHERE id = ?
     `;
     
@@ -342,6 +603,8 @@ export class Database {
       htlc.claimed ? 1 : 0,
       htlc.refunded ? 1 : 0,
       htlc.txHash,
+      htlc.claimTxHash || null,
+      htlc.refundTxHash || null,
       htlc.blockNumber,
       htlc.updatedAt.getTime(),
       htlc.id
@@ -370,6 +633,8 @@ export class Database {
       claimed: Boolean(row.claimed),
       refunded: Boolean(row.refunded),
       txHash: row.txHash,
+      claimTxHash: row.claimTxHash || undefined,
+      refundTxHash: row.refundTxHash || undefined,
       blockNumber: row.blockNumber,
       createdAt: new Date(row.createdAt),
       updatedAt: new Date(row.updatedAt)
@@ -377,7 +642,7 @@ export class Database {
   }
 
   // Secret reveal operations
-  async recordSecretReveal(reveal: SecretReveal): Promise<void> {
+  async recordSecretReveal(reveal: Omit<SecretReveal, 'id'>): Promise<void> {
     const sql = `
       INSERT INTO secret_reveals (
         swapId, htlcId, secret, secretHash, revealedBy, chain,
@@ -406,6 +671,16 @@ export class Database {
     
     if (!row) return null;
     
+    return this.rowToSecretReveal(row);
+  }
+
+  async getSecretReveals(swapId: string): Promise<SecretReveal[]> {
+    const sql = 'SELECT * FROM secret_reveals WHERE swapId = ? ORDER BY revealedAt ASC';
+    const rows = await this.allQuery(sql, [swapId]);
+    return rows.map(row => this.rowToSecretReveal(row));
+  }
+
+  private rowToSecretReveal(row: any): SecretReveal {
     return {
       id: row.id.toString(),
       swapId: row.swapId,
@@ -420,6 +695,414 @@ export class Database {
     };
   }
 
+  // Quote operations
+  async createQuote(quote: Quote): Promise<void> {
+    const sql = `
+      INSERT INTO quotes (
+        id, sourceChain, destinationChain, sourceToken, destinationToken,
+        sourceAmount, destinationAmount, userAddress, resolverAddress,
+        userTimelock, resolverTimelock, expiresAt, signature, createdAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const params = [
+      quote.id,
+      quote.sourceChain,
+      quote.destinationChain,
+      quote.sourceToken,
+      quote.destinationToken,
+      quote.sourceAmount,
+      quote.destinationAmount,
+      quote.userAddress,
+      quote.resolverAddress,
+      quote.userTimelock,
+      quote.resolverTimelock,
+      quote.expiresAt,
+      quote.signature,
+      quote.createdAt.getTime()
+    ];
+
+    await this.runQuery(sql, params);
+  }
+
+  async getQuote(quoteId: string): Promise<Quote | null> {
+    const row = await this.getQuery('SELECT * FROM quotes WHERE id = ?', [quoteId]);
+    
+    if (!row) return null;
+    
+    return {
+      id: row.id,
+      sourceChain: row.sourceChain as ChainType,
+      destinationChain: row.destinationChain as ChainType,
+      sourceToken: row.sourceToken,
+      destinationToken: row.destinationToken,
+      sourceAmount: row.sourceAmount,
+      destinationAmount: row.destinationAmount,
+      userAddress: row.userAddress,
+      resolverAddress: row.resolverAddress,
+      userTimelock: row.userTimelock,
+      resolverTimelock: row.resolverTimelock,
+      expiresAt: row.expiresAt,
+      signature: row.signature,
+      createdAt: new Date(row.createdAt)
+    };
+  }
+
+  // Resolver stake operations
+  async upsertResolverStake(stake: ResolverStake): Promise<void> {
+    const sql = `
+      INSERT OR REPLACE INTO resolver_stakes (
+        resolver, chain, amount, txHash, blockNumber, stakedAt
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    
+    const params = [
+      stake.resolver,
+      stake.chain,
+      stake.amount,
+      stake.txHash,
+      stake.blockNumber ?? null,
+      stake.stakedAt.getTime()
+    ];
+
+    await this.runQuery(sql, params);
+  }
+
+  async getResolverStakes(): Promise<ResolverStake[]> {
+    const rows = await this.allQuery('SELECT * FROM resolver_stakes ORDER BY chain');
+    
+    return rows.map(row => ({
+      resolver: row.resolver,
+      chain: row.chain as ChainType,
+      amount: row.amount,
+      txHash: row.txHash,
+      blockNumber: row.blockNumber ?? undefined,
+      stakedAt: new Date(row.stakedAt)
+    }));
+  }
+
+  // Swap transaction operations
+  async insertSwapTransaction(transaction: SwapTransaction): Promise<void> {
+    const sql = `
+      INSERT INTO swap_transactions (
+        swapId, chain, action, txHash, gasCost, createdAt
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    
+    const params = [
+      transaction.swapId,
+      transaction.chain,
+      transaction.action,
+      transaction.txHash,
+      transaction.gasCost,
+      transaction.createdAt.getTime()
+    ];
+
+    await this.runQuery(sql, params);
+  }
+
+  // Transactions of the swaps getFinishedSwaps returns for the same window
+  async getFinishedSwapTransactions(from: number, to: number): Promise<SwapTransaction[]> {
+    const sql = `
+      SELECT t.* FROM swap_transactions t
+      JOIN swaps s ON s.id = t.swapId
+      WHERE s.status IN (${TERMINAL_STATUSES.map(() => '?').join(', ')})
+        AND s.updatedAt >= ? AND s.updatedAt < ?
+    `;
+    
+    const rows = await this.allQuery(sql, [...TERMINAL_STATUSES, from, to]);
+    return rows.map(row => ({
+      id: row.id,
+      swapId: row.swapId,
+      chain: row.chain as ChainType,
+      action: row.action,
+      txHash: row.txHash,
+      gasCost: row.gasCost,
+      createdAt: new Date(row.createdAt)
+    }));
+  }
+
+  // Audit log operations
+  async insertAuditLog(entry: AuditLogEntry): Promise<void> {
+    const sql = `
+      INSERT INTO audit_log (
+        keyId, action, target, params, statusCode, ip, createdAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const params = [
+      entry.keyId,
+      entry.action,
+      entry.target || null,
+      entry.params ? JSON.stringify(entry.params) : null,
+      entry.statusCode,
+      entry.ip || null,
+      entry.createdAt.getTime()
+    ];
+
+    await this.runQuery(sql, params);
+  }
+
+  async getAuditLog(limit: number = 100): Promise<AuditLogEntry[]> {
+    const rows = await this.allQuery('SELECT * FROM audit_log ORDER BY id DESC LIMIT ?', [limit]);
+    
+    return rows.map(row => ({
+      id: row.id,
+      keyId: row.keyId,
+      action: row.action,
+      target: row.target ?? undefined,
+      params: row.params ? JSON.parse(row.params) : undefined,
+      statusCode: row.statusCode,
+      ip: row.ip ?? undefined,
+      createdAt: new Date(row.createdAt)
+    }));
+  }
+
+  // Swap event operations
+  async insertSwapEvent(event: Omit<SwapEvent, 'id'>): Promise<SwapEvent> {
+    const sql = `
+      INSERT INTO swap_events (
+        type, swapId, userAddress, oldStatus, status, swap, createdAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const params = [
+      event.type,
+      event.swapId,
+      event.userAddress,
+      event.oldStatus || null,
+      event.status,
+      JSON.stringify(event.swap),
+      event.createdAt.getTime()
+    ];
+
+    const result = await this.runQuery(sql, params);
+    return { id: result.lastID, ...event };
+  }
+
+  async getSwapEventsAfter(id: number, filter: SwapEventFilter, limit: number = 1000): Promise<SwapEvent[]> {
+    const conditions = ['id > ?'];
+    const params: any[] = [id];
+
+    if (filter.swapId) {
+      conditions.push('swapId = ?');
+      params.push(filter.swapId);
+    }
+    if (filter.userAddress) {
+      conditions.push('LOWER(userAddress) = LOWER(?)');
+      params.push(filter.userAddress);
+    }
+
+    const sql = `SELECT * FROM swap_events WHERE ${conditions.join(' AND ')} ORDER BY id ASC LIMIT ?`;
+    const rows = await this.allQuery(sql, [...params, limit]);
+    
+    return rows.map(row => {
+      const swap = JSON.parse(row.swap);
+      return {
+        id: row.id,
+        type: row.type,
+        swapId: row.swapId,
+        userAddress: row.userAddress,
+        oldStatus: row.oldStatus ? row.oldStatus as SwapStatus : undefined,
+        status: row.status as SwapStatus,
+        swap: { ...swap, createdAt: new Date(swap.createdAt), updatedAt: new Date(swap.updatedAt) },
+        createdAt: new Date(row.createdAt)
+      };
+    });
+  }
+
+  async deleteSwapEventsBefore(time: number): Promise<number> {
+    const result = await this.runQuery('DELETE FROM swap_events WHERE createdAt < ?', [time]);
+    return result.changes || 0;
+  }
+
+  // Event log operations
+  async insertEventLog(log: Omit<EventLog, 'id'>): Promise<boolean> {
+    const sql = `
+      INSERT OR IGNORE INTO event_logs (
+        chain, event, txHash, blockNumber, blockHash, logIndex,
+        address, data, processedAt, createdAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const params = [
+      log.chain,
+      log.event,
+      log.txHash,
+      log.blockNumber,
+      log.blockHash || null,
+      log.logIndex ?? null,
+      log.address,
+      JSON.stringify(log.data),
+      log.processedAt ? log.processedAt.getTime() : null,
+      log.createdAt.getTime()
+    ];
+
+    const result = await this.runQuery(sql, params);
+    return result.changes > 0;
+  }
+
+  async getUnprocessedEventLogs(chain: ChainType): Promise<EventLog[]> {
+    const sql = `
+      SELECT * FROM event_logs
+      WHERE chain = ? AND processedAt IS NULL AND failedAt IS NULL
+      ORDER BY blockNumber ASC, logIndex ASC
+    `;
+    const rows = await this.allQuery(sql, [chain]);
+    return rows.map(row => this.rowToEventLog(row));
+  }
+
+  async markEventLogProcessed(id: string): Promise<void> {
+    await this.runQuery('UPDATE event_logs SET processedAt = ? WHERE id = ?', [Date.now(), id]);
+  }
+
+  // Counts a failed handler attempt; after maxAttempts the log is marked failed and no longer returned
+  // as unprocessed. Returns whether it was marked failed.
+  async recordEventLogFailure(id: string, error: string, maxAttempts: number): Promise<boolean> {
+    await this.runQuery(
+      `UPDATE event_logs SET
+        attempts = attempts + 1,
+        lastError = ?,
+        failedAt = CASE WHEN attempts + 1 >= ? THEN ? ELSE NULL END
+      WHERE id = ?`,
+      [error, maxAttempts, Date.now(), id]
+    );
+
+    const row = await this.getQuery('SELECT failedAt FROM event_logs WHERE id = ?', [id]);
+    return !!row?.failedAt;
+  }
+
+  // Drop logs from blocks that may have been reorged out; processed logs are kept as history
+  async deleteUnprocessedEventLogsAfter(chain: ChainType, blockNumber: number): Promise<number> {
+    const result = await this.runQuery(
+      'DELETE FROM event_logs WHERE chain = ? AND blockNumber > ? AND processedAt IS NULL',
+      [chain, blockNumber]
+    );
+    return result.changes || 0;
+  }
+
+  private rowToEventLog(row: any): EventLog {
+    return {
+      id: row.id.toString(),
+      chain: row.chain as ChainType,
+      event: row.event,
+      txHash: row.txHash,
+      blockNumber: row.blockNumber,
+      blockHash: row.blockHash || undefined,
+      logIndex: row.logIndex ?? undefined,
+      address: row.address,
+      data: JSON.parse(row.data),
+      processedAt: row.processedAt ? new Date(row.processedAt) : undefined,
+      attempts: row.attempts ?? 0,
+      failedAt: row.failedAt ? new Date(row.failedAt) : undefined,
+      lastError: row.lastError || undefined,
+      createdAt: new Date(row.createdAt)
+    };
+  }
+
+  // Ethereum transaction operations
+  async saveEthereumTransaction(transaction: EthereumTransaction): Promise<void> {
+    const sql = `
+      INSERT OR REPLACE INTO ethereum_transactions (
+        sender, nonce, action, swapId, toAddress, data, value, gasLimit, maxFeePerGas,
+        maxPriorityFeePerGas, hashes, status, minedHash, deadline, createdAt, updatedAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const params = [
+      transaction.sender,
+      transaction.nonce,
+      transaction.action,
+      transaction.swapId || null,
+      transaction.to,
+      transaction.data,
+      transaction.value,
+      transaction.gasLimit,
+      transaction.maxFeePerGas,
+      transaction.maxPriorityFeePerGas || null,
+      JSON.stringify(transaction.hashes),
+      transaction.status,
+      transaction.minedHash || null,
+      transaction.deadline ?? null,
+      transaction.createdAt.getTime(),
+      transaction.updatedAt.getTime()
+    ];
+
+    await this.runQuery(sql, params);
+  }
+
+  async getPendingEthereumTransactions(sender: string): Promise<EthereumTransaction[]> {
+    const rows = await this.allQuery(
+      `SELECT * FROM ethereum_transactions WHERE sender = ? AND status = 'pending' ORDER BY nonce ASC`,
+      [sender]
+    );
+    
+    return rows.map(row => this.rowToEthereumTransaction(row));
+  }
+
+  // The latest pending or mined transaction making this call for the swap
+  async findEthereumTransaction(
+    sender: string,
+    swapId: string,
+    action: string,
+    to: string,
+    data: string
+  ): Promise<EthereumTransaction | null> {
+    const row = await this.getQuery(
+      `SELECT * FROM ethereum_transactions
+       WHERE sender = ? AND swapId = ? AND action = ? AND toAddress = ? AND data = ? AND status != 'dropped'
+       ORDER BY nonce DESC LIMIT 1`,
+      [sender, swapId, action, to, data]
+    );
+    return row ? this.rowToEthereumTransaction(row) : null;
+  }
+
+  private rowToEthereumTransaction(row: any): EthereumTransaction {
+    return {
+      sender: row.sender,
+      nonce: row.nonce,
+      action: row.action,
+      swapId: row.swapId || undefined,
+      to: row.toAddress,
+      data: row.data,
+      value: row.value,
+      gasLimit: row.gasLimit,
+      maxFeePerGas: row.maxFeePerGas,
+      maxPriorityFeePerGas: row.maxPriorityFeePerGas || undefined,
+      hashes: JSON.parse(row.hashes),
+      status: row.status,
+      minedHash: row.minedHash || undefined,
+      deadline: row.deadline ?? undefined,
+      createdAt: new Date(row.createdAt),
+      updatedAt: new Date(row.updatedAt)
+    };
+  }
+
+  // Dropped transactions never consumed their nonce, so they do not count
+  async getHighestEthereumNonce(sender: string): Promise<number | null> {
+    const row = await this.getQuery(
+      `SELECT MAX(nonce) AS nonce FROM ethereum_transactions WHERE sender = ? AND status != 'dropped'`,
+      [sender]
+    );
+    return row?.nonce ?? null;
+  }
+
+  // Sync cursor operations
+  async getSyncCursor(chain: ChainType, stream: string): Promise<string | null> {
+    const sql = 'SELECT cursor FROM sync_cursors WHERE chain = ? AND stream = ?';
+    const row = await this.getQuery(sql, [chain, stream]);
+    return row ? row.cursor : null;
+  }
+
+  async saveSyncCursor(chain: ChainType, stream: string, cursor: string): Promise<void> {
+    const sql = `
+      INSERT INTO sync_cursors (chain, stream, cursor, updatedAt)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (chain, stream) DO UPDATE SET cursor = excluded.cursor, updatedAt = excluded.updatedAt
+    `;
+    await this.runQuery(sql, [chain, stream, cursor, Date.now()]);
+  }
+
   // Cleanup operations
   async cleanupOldSwaps(olderThanDays: number = 30): Promise<number> {
     const cutoffTime = Date.now() - (olderThanDays * 24 * 60 * 60 * 1000);
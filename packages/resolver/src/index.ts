@@ -1,24 +1,39 @@
 import express from 'express';
 import cors from 'cors';
+import helmet from 'helmet';
 import { ChainManager } from './blockchain/providers';
 import { Database } from './database';
 import { ResolverService } from './services/ResolverService';
+import { SwapEventStream } from './services/SwapEventStream';
 import { config, validateConfig } from './config';
 import { logger, setupGracefulShutdown } from './utils/logger';
-
-// API Routes will be imported dynamically
+import healthApi from './api/health';
+import swapsApi from './api/swaps';
+import quotesApi from './api/quotes';
+import inventoryApi from './api/inventory';
+import stakesApi from './api/stakes';
+import auditApi from './api/audit';
+import streamApi from './api/stream';
+import { authenticate, getApiKeys, ipRateLimit, rateLimit } from './api/auth';
+import { openApiDocument } from './api/router';
+import { startMetricsServer } from './metrics';
+import { Notifier } from './notifications';
 
 class ResolverApplication {
   private app: express.Application;
   private chainManager: ChainManager;
   private database: Database;
   private resolverService: ResolverService;
+  private swapEventStream: SwapEventStream;
+  private notifier: Notifier;
 
   constructor() {
     this.app = express();
     this.chainManager = new ChainManager();
     this.database = new Database(config.database.url);
     this.resolverService = new ResolverService(this.chainManager, this.database);
+    this.swapEventStream = new SwapEventStream(this.database);
+    this.notifier = new Notifier();
   }
 
   async initialize(): Promise<void> {
@@ -52,15 +67,28 @@ class ResolverApplication {
   }
 
   private setupMiddleware(): void {
+    // Security headers
+    this.app.use(helmet());
+
     // CORS
     this.app.use(cors({
       origin: process.env.NODE_ENV === 'production' ? false : true,
       credentials: true
     }));
 
-    // JSON parsing
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true }));
+    // Body parsing; the raw body is kept for request signatures
+    this.app.use(express.json({
+      limit: '10mb',
+      verify: (req, res, buf) => {
+        (req as express.Request).rawBody = buf;
+      }
+    }));
+    this.app.use(express.urlencoded({
+      extended: true,
+      verify: (req, res, buf) => {
+        (req as express.Request).rawBody = buf;
+      }
+    }));
 
     // Request logging
     this.app.use((req, res, next) => {
@@ -70,84 +98,39 @@ class ResolverApplication {
       });
       next();
     });
+
+    // Limit per IP, identify the caller, then limit per key
+    this.app.use('/api', ipRateLimit, authenticate, rateLimit);
+
+    if (getApiKeys().length === 0) {
+      logger.warn('No API keys configured; read and admin endpoints will reject every request');
+    }
   }
 
   private setupRoutes(): void {
-    // Health check route
-    this.app.get('/api/health', async (req, res) => {
-      try {
-        const resolverRunning = this.resolverService.isRunning();
-        const dbHealthy = await this.database.healthCheck();
-        const chainConnections = await this.chainManager.checkConnections();
-        
-        const allHealthy = dbHealthy && resolverRunning && Array.from(chainConnections.values()).every(c => c);
-        
-        res.status(allHealthy ? 200 : 503).json({
-          status: allHealthy ? 'ok' : 'degraded',
-          timestamp: new Date().toISOString(),
-          services: {
-            database: dbHealthy ? 'healthy' : 'unhealthy',
-            resolver: resolverRunning ? 'running' : 'stopped',
-            chains: Object.fromEntries(
-              Array.from(chainConnections.entries()).map(([chain, connected]) => [
-                chain, 
-                connected ? 'connected' : 'disconnected'
-              ])
-            )
-          }
-        });
-      } catch (error) {
-        res.status(500).json({
-          status: 'error',
-          timestamp: new Date().toISOString(),
-          error: error instanceof Error ? error.message : 'Unknown error'
-        });
-      }
-    });
-
-    // Swap status route
-    this.app.get('/api/swaps', async (req, res) => {
-      try {
-        const swaps = await this.resolverService.getAllActiveSwaps();
-        res.json({
-          success: true,
-          data: swaps,
-          count: swaps.length
-        });
-      } catch (error) {
-        res.status(500).json({
-          success: false,
-          error: 'Failed to fetch swaps',
-          message: error instanceof Error ? error.message : 'Unknown error'
-        });
-      }
-    });
+    // Each router declares the scope and request schema of its routes
+    const apis = [
+      healthApi,
+      swapsApi,
+      // Signed quotes for swaps the resolver would fill
+      quotesApi,
+      // Wallet balances and what active swaps hold of them
+      inventoryApi,
+      // Resolver stake on each chain: view, top up, unstake
+      stakesApi,
+      // Who triggered which admin action
+      auditApi,
+      // Swap lifecycle events as server-sent events
+      streamApi
+    ];
+
+    for (const api of apis) {
+      this.app.use(api.basePath, api.router);
+    }
 
-    // Individual swap route
-    this.app.get('/api/swaps/:swapId', async (req, res) => {
-      try {
-        const { swapId } = req.params;
-        const swap = await this.resolverService.getSwapStatus(swapId);
-        
-        if (!swap) {
-          res.status(404).json({
-            success: false,
-            error: 'Swap not found'
-          });
-          return;
-        }
-        
-        res.json({
-          success: true,
-          data: swap
-        });
-      } catch (error) {
-        res.status(500).json({
-          success: false,
-          error: 'Failed to fetch swap',
-          message: error instanceof Error ? error.message : 'Unknown error'
-        });
-      }
+    // OpenAPI document generated from the route schemas
+    this.app.get('/api/docs', (req, res) => {
+      res.json(openApiDocument());
     });
 
     // Root endpoint
@@ -163,6 +146,7 @@ class ResolverApplication {
     // 404 handler
     this.app.use('*', (req, res) => {
       res.status(404).json({
+        success: false,
         error: 'Not Found',
         message: `Route ${req.originalUrl} not found`
       });
@@ -171,14 +155,21 @@ class ResolverApplication {
     // Error handler
     this.app.use((err: any, req: express.Request, res: express.Response, next: express.NextFunction) => {
       logger.error('Unhandled error:', err);
-      res.status(500).json({
-        error: 'Internal Server Error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+      res.status(err.status || 500).json({
+        success: false,
+        error: err.status === 400 ? 'Invalid request' : 'Internal Server Error',
+        message: process.env.NODE_ENV === 'development' || err.status === 400 ? err.message : 'Something went wrong'
       });
     });
   }
 
   private setupEventListeners(): void {
+    // Persist lifecycle events for /api/stream subscribers
+    this.swapEventStream.attach(this.resolverService);
+
+    // Post alerts and executed refunds to the configured webhooks
+    this.notifier.attach(this.resolverService);
+
     // Resolver service events
     this.resolverService.on('swapCreated', (swap) => {
       logger.info('New swap created', { swapId: swap.id });
@@ -201,16 +192,24 @@ class ResolverApplication {
     try {
       // Start resolver service
       await this.resolverService.start();
+      this.swapEventStream.start();
 
       // Start HTTP server
       const server = this.app.listen(config.api.port, () => {
         logger.info(`HTTP server listening on port ${config.api.port}`);
       });
 
+      // Prometheus scrapes a separate port, outside API authentication and rate limits
+      const metricsServer = startMetricsServer(config.monitoring.metricsPort);
+
       // Setup graceful shutdown
       const shutdown = async () => {
         logger.info('Shutting down gracefully...');
         
+        // Close event streams first, or the server waits on them forever
+        this.swapEventStream.stop();
+        metricsServer.close();
+        
         server.close(async () => {
           try {
             await this.resolverService.stop();
@@ -251,6 +250,10 @@ class ResolverApplication {
   getChainManager(): ChainManager {
     return this.chainManager;
   }
+
+  getSwapEventStream(): SwapEventStream {
+    return this.swapEventStream;
+  }
 }
 
 // Create and export application instance
@@ -0,0 +1,250 @@
+import http from 'http';
+import { logger, logError } from '../utils/logger';
+
+// Prometheus text exposition without a client library: counters, gauges and histograms
+// with labels, plus collectors that refresh gauges on each scrape
+
+type Labels = Record<string, string>;
+
+function labelKey(labels: Labels): string {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, labels[name]]));
+}
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels: Labels): string {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value: number): string {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return value.toString();
+}
+
+interface Metric {
+  render(): string;
+}
+
+abstract class LabelledMetric implements Metric {
+  protected name: string;
+  protected help: string;
+  protected type: string;
+  protected values: Map<string, { labels: Labels; value: number }> = new Map();
+
+  constructor(name: string, help: string, type: string) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+  }
+
+  protected update(labels: Labels, apply: (current: number) => number): void {
+    const key = labelKey(labels);
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value = apply(entry.value);
+    this.values.set(key, entry);
+  }
+
+  render(): string {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+export class Counter extends LabelledMetric {
+  constructor(name: string, help: string) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels: Labels = {}, amount: number = 1): void {
+    this.update(labels, current => current + amount);
+  }
+}
+
+export class Gauge extends LabelledMetric {
+  constructor(name: string, help: string) {
+    super(name, help, 'gauge');
+  }
+
+  set(labels: Labels, value: number): void {
+    this.update(labels, () => value);
+  }
+
+  // Drops every label set, so a collector can rebuild the gauge from scratch
+  reset(): void {
+    this.values.clear();
+  }
+}
+
+export class Histogram implements Metric {
+  private name: string;
+  private help: string;
+  private buckets: number[];
+  private series: Map<string, { labels: Labels; counts: number[]; sum: number; count: number }> = new Map();
+
+  constructor(name: string, help: string, buckets: number[]) {
+    this.name = name;
+    this.help = help;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels: Labels, value: number): void {
+    const key = labelKey(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series!.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Observes the seconds from now until the returned function is called
+  startTimer(labels: Labels): (extraLabels?: Labels) => void {
+    const startedAt = process.hrtime.bigint();
+    return (extraLabels: Labels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+    };
+  }
+
+  render(): string {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+export type MetricsCollector = () => Promise<void>;
+
+export class MetricsRegistry {
+  private metrics: Metric[] = [];
+  private collectors: MetricsCollector[] = [];
+
+  register<T extends Metric>(metric: T): T {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  addCollector(collector: MetricsCollector): void {
+    this.collectors.push(collector);
+  }
+
+  // A failing collector leaves its gauges at their last values rather than failing the scrape
+  async render(): Promise<string> {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        logError('monitor', error as Error, { action: 'collectMetrics' });
+      }
+    }
+
+    return this.metrics.map(metric => metric.render()).join('\n\n') + '\n';
+  }
+}
+
+export const registry = new MetricsRegistry();
+
+const RPC_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const QUERY_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+const TRANSACTION_BUCKETS = [1, 2.5, 5, 10, 15, 30, 60, 120, 300, 600];
+const STATE_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600, 7200, 14400, 43200, 86400];
+
+export const swapsByStatus = registry.register(new Gauge(
+  'resolver_swaps',
+  'Swaps in the database by status'
+));
+
+export const swapStateDuration = registry.register(new Histogram(
+  'resolver_swap_state_duration_seconds',
+  'Time a swap spent in a status before leaving it',
+  STATE_BUCKETS
+));
+
+export const swapStepDuration = registry.register(new Histogram(
+  'resolver_swap_step_duration_seconds',
+  'Time to run a lock, claim or refund step, by the chain it ran on and its result',
+  TRANSACTION_BUCKETS
+));
+
+export const swapsNearTimelock = registry.register(new Gauge(
+  'resolver_swaps_near_timelock',
+  'Active swaps whose timelock expires within TIMELOCK_WARNING or has passed'
+));
+
+export const jobsPending = registry.register(new Gauge(
+  'resolver_jobs_pending',
+  'Jobs scheduled in the queue'
+));
+
+export const jobsDead = registry.register(new Gauge(
+  'resolver_jobs_dead',
+  'Jobs moved to the dead-letter list'
+));
+
+export const walletBalance = registry.register(new Gauge(
+  'resolver_wallet_balance',
+  'Resolver wallet balance in whole tokens: total, and free of active swap reservations'
+));
+
+export const rpcDuration = registry.register(new Histogram(
+  'resolver_rpc_request_duration_seconds',
+  'RPC request latency by chain and method',
+  RPC_BUCKETS
+));
+
+export const rpcErrors = registry.register(new Counter(
+  'resolver_rpc_errors_total',
+  'Failed RPC requests by chain and method'
+));
+
+export const dbQueryDuration = registry.register(new Histogram(
+  'resolver_db_query_duration_seconds',
+  'Database query latency by statement type',
+  QUERY_BUCKETS
+));
+
+export const dbErrors = registry.register(new Counter(
+  'resolver_db_errors_total',
+  'Failed database queries by statement type'
+));
+
+export function startMetricsServer(port: number): http.Server {
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url?.split('?')[0] !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found\n');
+      return;
+    }
+
+    const body = await registry.render();
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(body);
+  });
+
+  server.listen(port, () => {
+    logger.info(`Metrics server listening on port ${port}`);
+  });
+
+  return server;
+}
\ No newline at end of file
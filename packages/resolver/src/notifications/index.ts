@@ -0,0 +1,133 @@
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import { config } from '../config';
+import { ChainType, Notification, NotificationEvent, ResolverAlert, WebhookConfig } from '../types';
+import { logger, logError } from '../utils/logger';
+
+// ResolverService alert types that are forwarded; the rest are only logged
+const ALERT_EVENTS: Record<string, NotificationEvent> = {
+  claim_failed: 'claim_failed',
+  claim_unconfirmed: 'claim_unconfirmed',
+  log_failed: 'log_failed',
+  low_balance: 'low_balance',
+  provider_disconnected: 'provider_disconnected'
+};
+
+// A 4xx other than 429 means the request itself is wrong; sending it again will not help
+function isRetryable(statusCode: number): boolean {
+  return statusCode === 429 || statusCode >= 500;
+}
+
+// Webhook URLs carry their credentials, so only the host is logged
+function webhookHost(url: string): string {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid URL';
+  }
+}
+
+// Generic webhooks get the notification itself; Slack incoming webhooks get a text message
+export function formatPayload(format: 'json' | 'slack', notification: Notification): Record<string, any> {
+  if (format === 'json') {
+    return { ...notification, timestamp: notification.timestamp.toISOString() };
+  }
+
+  const lines = [`*[${notification.event}]* ${notification.message}`];
+  if (notification.swapId) {
+    lines.push(`Swap: \`${notification.swapId}\``);
+  }
+  for (const [name, value] of Object.entries(notification.data || {})) {
+    lines.push(`• ${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  }
+
+  return { text: lines.join('\n') };
+}
+
+// Posts resolver alerts and executed refunds to the configured webhooks
+export class Notifier {
+  private webhooks: WebhookConfig[];
+
+  constructor(webhooks: WebhookConfig[] = config.alerts.webhooks) {
+    this.webhooks = webhooks;
+  }
+
+  attach(resolverService: EventEmitter): void {
+    resolverService.on('alert', (alert: ResolverAlert) => {
+      const event = ALERT_EVENTS[alert.type];
+      if (!event) {
+        return;
+      }
+
+      this.notify({
+        event,
+        message: alert.message,
+        swapId: alert.swapId,
+        data: alert.data,
+        timestamp: alert.timestamp
+      });
+    });
+
+    resolverService.on('refundExecuted', ({ swapId, chain, escrowId, txHash }: {
+      swapId: string;
+      chain: ChainType;
+      escrowId: string;
+      txHash: string;
+    }) => {
+      this.notify({
+        event: 'refund_executed',
+        message: `Refunded resolver side of swap on ${chain}`,
+        swapId,
+        data: { chain, escrowId, txHash },
+        timestamp: new Date()
+      });
+    });
+  }
+
+  // Never throws: a webhook outage must not hold up swap processing
+  async notify(notification: Notification): Promise<void> {
+    const targets = this.webhooks.filter(webhook => !webhook.events || webhook.events.includes(notification.event));
+    await Promise.all(targets.map(webhook => this.deliver(webhook, notification)));
+  }
+
+  // Retries timeouts, connection errors, 429 and 5xx responses with exponential backoff
+  private async deliver(webhook: WebhookConfig, notification: Notification): Promise<void> {
+    const host = webhookHost(webhook.url);
+    const payload = formatPayload(webhook.format || 'json', notification);
+
+    for (let attempt = 1; ; attempt++) {
+      let error: Error;
+      let retryable = true;
+
+      try {
+        const request = new ethers.FetchRequest(webhook.url);
+        request.method = 'POST';
+        request.body = payload;
+        request.timeout = config.alerts.webhookTimeout;
+        // ethers would otherwise retry 429s itself, outside our attempt count
+        request.setThrottleParams({ maxAttempts: 1 });
+
+        // Checked by hand, as assertOk's error would put the full URL in the log
+        const response = await request.send();
+        if (response.ok()) {
+          logger.debug('Notification delivered', { event: notification.event, host, attempt });
+          return;
+        }
+
+        error = new Error(`Webhook responded ${response.statusCode} ${response.statusMessage}`);
+        retryable = isRetryable(response.statusCode);
+      } catch (sendError) {
+        error = sendError as Error;
+      }
+
+      const willRetry = retryable && attempt <= config.alerts.webhookRetries;
+      logError('monitor', error, { action: 'deliverNotification', event: notification.event, host, attempt, willRetry });
+      if (!willRetry) {
+        return;
+      }
+
+      const delay = config.alerts.webhookRetryDelay * Math.pow(2, attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { config } from '../config';
+import { ChainType } from '../types';
+import { logger } from '../utils/logger';
+
+// USD price of one whole token
+export interface PriceSource {
+  getPrice(chain: ChainType, token: string): Promise<number>;
+}
+
+// Price file keys are `<chain>:<token>`, e.g. {"sui:0x2::sui::SUI": 1.2};
+// native ETH is keyed by the zero address
+export function priceKey(chain: ChainType, token: string): string {
+  return `${chain}:${token}`;
+}
+
+function assertValidPrice(key: string, price: unknown): number {
+  const value = Number(price);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`No valid price for ${key}`);
+  }
+  return value;
+}
+
+// Prices read from a JSON file; the file is re-read when it changes
+export class StaticPriceSource implements PriceSource {
+  private file: string;
+  private prices: Record<string, number> = {};
+  private loadedAt: number = 0;
+
+  constructor(file: string = config.pricing.file) {
+    this.file = file;
+  }
+
+  async getPrice(chain: ChainType, token: string): Promise<number> {
+    this.reloadIfChanged();
+
+    const key = priceKey(chain, token);
+    return assertValidPrice(key, this.prices[key]);
+  }
+
+  private reloadIfChanged(): void {
+    const modifiedAt = fs.statSync(this.file).mtimeMs;
+    if (modifiedAt === this.loadedAt) {
+      return;
+    }
+
+    this.prices = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.loadedAt = modifiedAt;
+    logger.info('Loaded price file', { file: this.file, tokens: Object.keys(this.prices).length });
+  }
+}
+
+// Prices served over HTTP as GET <url>/prices/<chain>/<token> -> {"price": number}
+export class HttpPriceSource implements PriceSource {
+  private url: string;
+
+  constructor(url: string = config.pricing.url) {
+    this.url = url.replace(/\/$/, '');
+  }
+
+  async getPrice(chain: ChainType, token: string): Promise<number> {
+    const request = new ethers.FetchRequest(
+      `${this.url}/prices/${chain}/${encodeURIComponent(token)}`
+    );
+    request.timeout = config.pricing.timeout;
+
+    const response = await request.send();
+    response.assertOk();
+
+    return assertValidPrice(priceKey(chain, token), response.bodyJson.price);
+  }
+}
+
+// Asks the primary source first and the fallback when it fails
+export class FallbackPriceSource implements PriceSource {
+  private primary: PriceSource;
+  private fallback: PriceSource;
+
+  constructor(primary: PriceSource, fallback: PriceSource) {
+    this.primary = primary;
+    this.fallback = fallback;
+  }
+
+  async getPrice(chain: ChainType, token: string): Promise<number> {
+    try {
+      return await this.primary.getPrice(chain, token);
+    } catch (error) {
+      logger.warn('Primary price source failed, using fallback', {
+        key: priceKey(chain, token),
+        error: (error as Error).message
+      });
+      return await this.fallback.getPrice(chain, token);
+    }
+  }
+}
+
+export function createPriceSource(): PriceSource {
+  if (config.pricing.source !== 'http') {
+    return new StaticPriceSource();
+  }
+
+  const http = new HttpPriceSource();
+  return config.pricing.fallbackFile
+    ? new FallbackPriceSource(http, new StaticPriceSource(config.pricing.fallbackFile))
+    : http;
+}
\ No newline at end of file
@@ -0,0 +1,309 @@
+import Redis from 'ioredis';
+import { config } from '../config';
+import { logger, logError } from '../utils/logger';
+
+export type SwapJobStep = 'lock' | 'claim' | 'refund';
+
+export interface SwapJob {
+  id: string;
+  swapId: string;
+  step: SwapJobStep;
+  attempts: number;
+  maxAttempts: number;
+  runAt: number;
+  lastError?: string;
+  createdAt: number;
+}
+
+export interface EnqueueOptions {
+  runAt?: number;
+  maxAttempts?: number;
+}
+
+export interface JobQueue {
+  connect(): Promise<void>;
+  enqueue(swapId: string, step: SwapJobStep, options?: EnqueueOptions): Promise<boolean>;
+  reserve(): Promise<SwapJob | null>;
+  complete(job: SwapJob): Promise<void>;
+  fail(job: SwapJob, error: Error): Promise<'retry' | 'dead'>;
+  getDeadLetters(): Promise<SwapJob[]>;
+  size(): Promise<number>;
+  disconnect(): Promise<void>;
+}
+
+// One job per swap and step; a completed or dead job is not enqueued again until its
+// finished marker expires after JOB_FINISHED_TTL
+export function jobId(swapId: string, step: SwapJobStep): string {
+  return `${swapId}:${step}`;
+}
+
+function createJob(swapId: string, step: SwapJobStep, options: EnqueueOptions): SwapJob {
+  return {
+    id: jobId(swapId, step),
+    swapId,
+    step,
+    attempts: 0,
+    maxAttempts: options.maxAttempts ?? config.queue.maxAttempts,
+    runAt: options.runAt ?? Date.now(),
+    createdAt: Date.now()
+  };
+}
+
+// Exponential backoff from the configured base delay
+function nextRunAt(job: SwapJob): number {
+  return Date.now() + config.queue.backoffMs * Math.pow(2, job.attempts - 1);
+}
+
+// Dead-letter entries kept for inspection; older ones are trimmed
+const DEAD_LETTER_LIMIT = 1000;
+
+// KEYS: jobs, scheduled, active, finished marker. ARGV: id, job, runAt
+const ENQUEUE_SCRIPT = `
+if redis.call('EXISTS', KEYS[4]) == 1 or redis.call('HEXISTS', KEYS[3], ARGV[1]) == 1 then
+  return 0
+end
+if redis.call('HSETNX', KEYS[1], ARGV[1], ARGV[2]) == 0 then
+  return 0
+end
+redis.call('ZADD', KEYS[2], ARGV[3], ARGV[1])
+return 1
+`;
+
+// KEYS: scheduled, jobs, active. ARGV: now. Moves the next due job to active in one step,
+// so two workers can never take the same job
+const RESERVE_SCRIPT = `
+local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, 1)
+if #ids == 0 then
+  return false
+end
+local id = ids[1]
+redis.call('ZREM', KEYS[1], id)
+local data = redis.call('HGET', KEYS[2], id)
+if not data then
+  return false
+end
+local job = cjson.decode(data)
+job.attempts = job.attempts + 1
+local reserved = cjson.encode(job)
+redis.call('HDEL', KEYS[2], id)
+redis.call('HSET', KEYS[3], id, reserved)
+return reserved
+`;
+
+export class RedisJobQueue implements JobQueue {
+  private redis: Redis;
+  private prefix: string;
+
+  constructor(url: string = config.redis.url, prefix: string = 'fusion:jobs') {
+    this.redis = new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 3 });
+    this.prefix = prefix;
+  }
+
+  private key(name: string): string {
+    return `${this.prefix}:${name}`;
+  }
+
+  private finishedKey(id: string): string {
+    return this.key(`finished:${id}`);
+  }
+
+  async connect(): Promise<void> {
+    await this.redis.connect();
+
+    // Jobs reserved by a process that died are put back on the schedule
+    const active = await this.redis.hgetall(this.key('active'));
+    for (const [id, data] of Object.entries(active)) {
+      const job: SwapJob = JSON.parse(data);
+      await this.redis
+        .multi()
+        .hdel(this.key('active'), id)
+        .hset(this.key('jobs'), id, data)
+        .zadd(this.key('scheduled'), Date.now(), id)
+        .exec();
+      logger.warn('Recovered interrupted job', { jobId: job.id, step: job.step });
+    }
+
+    // A waiting job must always be scheduled, or no worker would ever reserve it
+    for (const id of await this.redis.hkeys(this.key('jobs'))) {
+      if (await this.redis.zscore(this.key('scheduled'), id) === null) {
+        await this.redis.zadd(this.key('scheduled'), Date.now(), id);
+        logger.warn('Rescheduled orphaned job', { jobId: id });
+      }
+    }
+
+    logger.info('Connected to Redis job queue');
+  }
+
+  async enqueue(swapId: string, step: SwapJobStep, options: EnqueueOptions = {}): Promise<boolean> {
+    const job = createJob(swapId, step, options);
+
+    const created = await this.redis.eval(
+      ENQUEUE_SCRIPT,
+      4,
+      this.key('jobs'),
+      this.key('scheduled'),
+      this.key('active'),
+      this.finishedKey(job.id),
+      job.id,
+      JSON.stringify(job),
+      job.runAt
+    );
+    return created === 1;
+  }
+
+  async reserve(): Promise<SwapJob | null> {
+    const data = await this.redis.eval(
+      RESERVE_SCRIPT,
+      3,
+      this.key('scheduled'),
+      this.key('jobs'),
+      this.key('active'),
+      Date.now()
+    );
+    return data ? JSON.parse(data as string) : null;
+  }
+
+  async complete(job: SwapJob): Promise<void> {
+    await this.redis
+      .multi()
+      .hdel(this.key('active'), job.id)
+      .set(this.finishedKey(job.id), 'completed', 'PX', config.queue.finishedTtl)
+      .exec();
+  }
+
+  async fail(job: SwapJob, error: Error): Promise<'retry' | 'dead'> {
+    job.lastError = error.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      await this.redis
+        .multi()
+        .hdel(this.key('active'), job.id)
+        .set(this.finishedKey(job.id), 'dead', 'PX', config.queue.finishedTtl)
+        .rpush(this.key('dead'), JSON.stringify(job))
+        .ltrim(this.key('dead'), -DEAD_LETTER_LIMIT, -1)
+        .exec();
+      return 'dead';
+    }
+
+    job.runAt = nextRunAt(job);
+    await this.redis
+      .multi()
+      .hdel(this.key('active'), job.id)
+      .hset(this.key('jobs'), job.id, JSON.stringify(job))
+      .zadd(this.key('scheduled'), job.runAt, job.id)
+      .exec();
+    return 'retry';
+  }
+
+  async getDeadLetters(): Promise<SwapJob[]> {
+    const entries = await this.redis.lrange(this.key('dead'), 0, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  async size(): Promise<number> {
+    return await this.redis.zcard(this.key('scheduled'));
+  }
+
+  async disconnect(): Promise<void> {
+    try {
+      await this.redis.quit();
+      logger.info('Disconnected from Redis job queue');
+    } catch (error) {
+      logError('resolver', error as Error, { action: 'disconnectJobQueue' });
+    }
+  }
+}
+
+// Process-local queue with the same semantics, used in tests and without Redis
+export class InMemoryJobQueue implements JobQueue {
+  private jobs: Map<string, SwapJob> = new Map();
+  private active: Map<string, SwapJob> = new Map();
+  // Completed and dead job ids, with the time their marker expires
+  private finished: Map<string, number> = new Map();
+  private dead: SwapJob[] = [];
+
+  async connect(): Promise<void> {
+    logger.info('Using in-memory job queue');
+  }
+
+  async enqueue(swapId: string, step: SwapJobStep, options: EnqueueOptions = {}): Promise<boolean> {
+    const job = createJob(swapId, step, options);
+
+    if (this.isFinished(job.id) || this.active.has(job.id) || this.jobs.has(job.id)) {
+      return false;
+    }
+
+    this.jobs.set(job.id, job);
+    return true;
+  }
+
+  async reserve(): Promise<SwapJob | null> {
+    const now = Date.now();
+    let next: SwapJob | null = null;
+
+    for (const job of this.jobs.values()) {
+      if (job.runAt <= now && (!next || job.runAt < next.runAt)) {
+        next = job;
+      }
+    }
+
+    if (!next) {
+      return null;
+    }
+
+    this.jobs.delete(next.id);
+    next.attempts++;
+    this.active.set(next.id, next);
+    return next;
+  }
+
+  async complete(job: SwapJob): Promise<void> {
+    this.active.delete(job.id);
+    this.finished.set(job.id, Date.now() + config.queue.finishedTtl);
+  }
+
+  async fail(job: SwapJob, error: Error): Promise<'retry' | 'dead'> {
+    this.active.delete(job.id);
+    job.lastError = error.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      this.finished.set(job.id, Date.now() + config.queue.finishedTtl);
+      this.dead.push(job);
+      this.dead.splice(0, this.dead.length - DEAD_LETTER_LIMIT);
+      return 'dead';
+    }
+
+    job.runAt = nextRunAt(job);
+    this.jobs.set(job.id, job);
+    return 'retry';
+  }
+
+  async getDeadLetters(): Promise<SwapJob[]> {
+    return [...this.dead];
+  }
+
+  async size(): Promise<number> {
+    return this.jobs.size;
+  }
+
+  async disconnect(): Promise<void> {
+    this.jobs.clear();
+    this.active.clear();
+  }
+
+  private isFinished(id: string): boolean {
+    const expiresAt = this.finished.get(id);
+    if (expiresAt === undefined) {
+      return false;
+    }
+    if (expiresAt <= Date.now()) {
+      this.finished.delete(id);
+      return false;
+    }
+    return true;
+  }
+}
+
+export function createJobQueue(): JobQueue {
+  return config.queue.backend === 'memory' ? new InMemoryJobQueue() : new RedisJobQueue();
+}
\ No newline at end of file
@@ -0,0 +1,257 @@
+import { ethers } from 'ethers';
+import { EthereumProvider } from '../blockchain/providers';
+import { SWAP_ESCROW_FACTORY_ABI, SWAP_ESCROW_ABI } from '../blockchain/abis';
+import { Database } from '../database';
+import { config, getChainConfig } from '../config';
+import { ChainType, EventLog } from '../types';
+import { logger, logError } from '../utils/logger';
+
+// Sync cursor stream for factory and escrow logs
+const LOG_CURSOR_STREAM = 'logs';
+
+interface IndexedBlock {
+  blockNumber: number;
+  blockHash: string;
+}
+
+interface BlockCursor extends IndexedBlock {
+  // Earlier cursor positions within reorgDepth of this one, oldest first, to find where a reorg forked
+  recentBlocks?: IndexedBlock[];
+}
+
+export type EventLogHandler = (log: EventLog) => Promise<void>;
+export type EventLogFailureHandler = (log: EventLog, error: Error) => void;
+
+// Indexes factory and escrow logs from confirmed blocks into event_logs and
+// hands each stored log to the handler exactly once
+export class EthereumIndexer {
+  private provider: EthereumProvider;
+  private database: Database;
+  private handler: EventLogHandler;
+  private onLogFailed: EventLogFailureHandler;
+  private getEscrowAddresses: () => string[];
+  private factoryInterface = new ethers.Interface(SWAP_ESCROW_FACTORY_ABI);
+  private escrowInterface = new ethers.Interface(SWAP_ESCROW_ABI);
+  private interval?: NodeJS.Timeout;
+  private syncing: boolean = false;
+
+  constructor(
+    provider: EthereumProvider,
+    database: Database,
+    handler: EventLogHandler,
+    getEscrowAddresses: () => string[],
+    onLogFailed: EventLogFailureHandler
+  ) {
+    this.provider = provider;
+    this.database = database;
+    this.handler = handler;
+    this.getEscrowAddresses = getEscrowAddresses;
+    this.onLogFailed = onLogFailed;
+  }
+
+  start(): void {
+    this.interval = setInterval(() => this.sync(), config.ethereum.pollInterval);
+    this.sync();
+  }
+
+  stop(): void {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = undefined;
+    }
+  }
+
+  async sync(): Promise<void> {
+    // Skip the tick while a previous sync is still catching up
+    if (this.syncing) {
+      return;
+    }
+
+    this.syncing = true;
+    try {
+      await this.indexConfirmedBlocks();
+      await this.processPendingLogs();
+    } catch (error) {
+      logError('blockchain', error as Error, { action: 'ethereumIndexerSync' });
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  private async indexConfirmedBlocks(): Promise<void> {
+    const { confirmations } = getChainConfig(ChainType.ETHEREUM);
+    const latestBlock = await this.provider.getBlockNumber();
+    const safeBlock = latestBlock - Math.max(confirmations, 1) + 1;
+
+    let cursor = await this.checkForReorg(await this.loadCursor(safeBlock));
+    let fromBlock = cursor.blockNumber + 1;
+
+    while (fromBlock <= safeBlock) {
+      const toBlock = Math.min(fromBlock + config.ethereum.logBatchSize - 1, safeBlock);
+      await this.indexRange(fromBlock, toBlock);
+
+      const block = await this.provider.getProvider().getBlock(toBlock);
+      cursor = this.advanceCursor(cursor, { blockNumber: toBlock, blockHash: block?.hash || '' });
+      await this.saveCursor(cursor);
+
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  private async indexRange(fromBlock: number, toBlock: number): Promise<void> {
+    const rpc = this.provider.getProvider();
+
+    const factoryLogs = await rpc.getLogs({
+      address: config.ethereum.escrowAddress,
+      fromBlock,
+      toBlock
+    });
+
+    // Escrows created inside this range can already have emitted logs of their own
+    const escrowAddresses = new Set(this.getEscrowAddresses().map(address => address.toLowerCase()));
+    for (const log of factoryLogs) {
+      const parsed = this.factoryInterface.parseLog(log);
+      if (parsed?.name === 'SwapEscrowCreated' || parsed?.name === 'DestinationEscrowCreated') {
+        escrowAddresses.add(parsed.args.escrowAddress.toLowerCase());
+      }
+      await this.storeLog(log, parsed);
+    }
+
+    if (escrowAddresses.size === 0) {
+      return;
+    }
+
+    const escrowLogs = await rpc.getLogs({
+      address: Array.from(escrowAddresses),
+      fromBlock,
+      toBlock
+    });
+
+    for (const log of escrowLogs) {
+      await this.storeLog(log, this.escrowInterface.parseLog(log));
+    }
+  }
+
+  private async storeLog(log: ethers.Log, parsed: ethers.LogDescription | null): Promise<void> {
+    if (!parsed) {
+      return;
+    }
+
+    const data: Record<string, string> = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+      data[input.name] = parsed.args[index].toString();
+    });
+
+    await this.database.insertEventLog({
+      chain: ChainType.ETHEREUM,
+      event: parsed.name,
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.index,
+      address: log.address,
+      data,
+      createdAt: new Date()
+    });
+  }
+
+  private async processPendingLogs(): Promise<void> {
+    const logs = await this.database.getUnprocessedEventLogs(ChainType.ETHEREUM);
+
+    for (const log of logs) {
+      try {
+        await this.handler(log);
+        await this.database.markEventLogProcessed(log.id);
+      } catch (error) {
+        logError('blockchain', error as Error, {
+          action: 'processEthereumLog',
+          event: log.event,
+          txHash: log.txHash,
+          attempt: (log.attempts ?? 0) + 1
+        });
+
+        const failed = await this.database.recordEventLogFailure(
+          log.id,
+          (error as Error).message,
+          config.ethereum.logMaxAttempts
+        );
+        if (!failed) {
+          // Keep ordering: stop here and retry this log on the next sync
+          return;
+        }
+
+        // Give up on this log so it stops holding back the ones after it
+        this.onLogFailed(log, error as Error);
+      }
+    }
+  }
+
+  // A block hash commits to all its ancestors, so if the cursor block is still canonical nothing
+  // below it was reorged. Otherwise roll back to the newest earlier position that still is.
+  private async checkForReorg(cursor: BlockCursor): Promise<BlockCursor> {
+    if (!cursor.blockHash) {
+      return cursor;
+    }
+
+    const rpc = this.provider.getProvider();
+    const block = await rpc.getBlock(cursor.blockNumber);
+    if (block?.hash === cursor.blockHash) {
+      return cursor;
+    }
+
+    const recentBlocks = cursor.recentBlocks || [];
+    let rolledBack: BlockCursor | undefined;
+    for (let index = recentBlocks.length - 1; index >= 0; index--) {
+      const recent = recentBlocks[index];
+      const canonical = await rpc.getBlock(recent.blockNumber);
+      if (canonical?.hash === recent.blockHash) {
+        rolledBack = { ...recent, recentBlocks: recentBlocks.slice(0, index) };
+        break;
+      }
+    }
+
+    // The fork is older than anything we kept: fall back to a full reorgDepth rollback
+    if (!rolledBack) {
+      const rollbackBlock = Math.max(cursor.blockNumber - config.ethereum.reorgDepth, 0);
+      const rollback = await rpc.getBlock(rollbackBlock);
+      rolledBack = { blockNumber: rollbackBlock, blockHash: rollback?.hash || '' };
+    }
+
+    const dropped = await this.database.deleteUnprocessedEventLogsAfter(ChainType.ETHEREUM, rolledBack.blockNumber);
+    await this.saveCursor(rolledBack);
+
+    logger.warn('Ethereum reorg detected, rolling back log cursor', {
+      cursorBlock: cursor.blockNumber,
+      rollbackBlock: rolledBack.blockNumber,
+      droppedLogs: dropped
+    });
+
+    return rolledBack;
+  }
+
+  private advanceCursor(cursor: BlockCursor, next: IndexedBlock): BlockCursor {
+    const history = cursor.blockHash
+      ? [...(cursor.recentBlocks || []), { blockNumber: cursor.blockNumber, blockHash: cursor.blockHash }]
+      : [];
+
+    return {
+      ...next,
+      recentBlocks: history.filter(block => block.blockNumber >= next.blockNumber - config.ethereum.reorgDepth)
+    };
+  }
+
+  private async loadCursor(safeBlock: number): Promise<BlockCursor> {
+    const saved = await this.database.getSyncCursor(ChainType.ETHEREUM, LOG_CURSOR_STREAM);
+    if (saved) {
+      return JSON.parse(saved);
+    }
+
+    // First run: start at the configured block, or at the current safe head
+    const startBlock = config.ethereum.startBlock ?? safeBlock;
+    return { blockNumber: startBlock - 1, blockHash: '' };
+  }
+
+  private async saveCursor(cursor: BlockCursor): Promise<void> {
+    await this.database.saveSyncCursor(ChainType.ETHEREUM, LOG_CURSOR_STREAM, JSON.stringify(cursor));
+  }
+}
\ No newline at end of file
@@ -0,0 +1,132 @@
+import { ethers } from 'ethers';
+import { ChainManager } from '../blockchain/providers';
+import { ERC20_ABI } from '../blockchain/abis';
+import { config } from '../config';
+import { isNativeToken, normalizeToken, tokenRegistry } from '../tokens';
+import { ChainType, InventoryBalance, SwapRequest, SwapStatus } from '../types';
+
+// Accepted swaps whose destination funds are still in our wallet
+const RESERVED_STATUSES = [SwapStatus.USER_LOCKED];
+
+// Swaps whose destination funds sit in an escrow until the user claims or we refund
+const LOCKED_STATUSES = [SwapStatus.RESOLVER_LOCKED, SwapStatus.BOTH_LOCKED];
+
+// Swaps the resolver has committed to and not yet finished
+const IN_FLIGHT_STATUSES = [
+  SwapStatus.USER_LOCKED,
+  SwapStatus.RESOLVER_LOCKED,
+  SwapStatus.BOTH_LOCKED,
+  SwapStatus.USER_CLAIMED,
+  SwapStatus.RESOLVER_CLAIMED
+];
+
+export type InventoryCheck =
+  | { accepted: true }
+  | { accepted: false; reason: string };
+
+// Wallet balances less what active swaps have reserved. Reservations are derived from
+// swap state, so they survive restarts and are released as soon as a swap moves on.
+export class InventoryService {
+  private chainManager: ChainManager;
+  private getActiveSwaps: () => SwapRequest[];
+
+  constructor(chainManager: ChainManager, getActiveSwaps: () => SwapRequest[]) {
+    this.chainManager = chainManager;
+    this.getActiveSwaps = getActiveSwaps;
+  }
+
+  async getInventory(): Promise<InventoryBalance[]> {
+    const inventory: InventoryBalance[] = [];
+    for (const { chain, address: token, symbol } of tokenRegistry.list()) {
+      const total = await this.getWalletBalance(chain, token);
+      const reserved = this.sumDestinationAmounts(chain, token, RESERVED_STATUSES);
+      const locked = this.sumDestinationAmounts(chain, token, LOCKED_STATUSES);
+
+      inventory.push({
+        chain,
+        token,
+        symbol,
+        total: total.toString(),
+        reserved: reserved.toString(),
+        locked: locked.toString(),
+        free: (total > reserved ? total - reserved : BigInt(0)).toString()
+      });
+    }
+
+    return inventory;
+  }
+
+  // Called once the destination amount is known and before the swap is accepted
+  async checkCapacity(swap: SwapRequest): Promise<InventoryCheck> {
+    const inFlight = this.getActiveSwaps().filter(active =>
+      active.id !== swap.id && IN_FLIGHT_STATUSES.includes(active.status)
+    ).length;
+    if (inFlight >= config.resolver.maxConcurrentSwaps) {
+      return { accepted: false, reason: `already handling ${inFlight} swaps (max ${config.resolver.maxConcurrentSwaps})` };
+    }
+
+    const token = swap.destinationToken;
+    const total = await this.getWalletBalance(swap.destinationChain, token);
+    const reserved = this.sumDestinationAmounts(swap.destinationChain, token, RESERVED_STATUSES, swap.id);
+
+    // Native tokens also pay for the create and lock transactions
+    let required = BigInt(swap.destinationAmount);
+    if (isNativeToken(swap.destinationChain, token)) {
+      required += await this.getGasReserve(swap.destinationChain);
+    }
+
+    if (total - reserved < required) {
+      return {
+        accepted: false,
+        reason: `insufficient ${swap.destinationChain} inventory: need ${required}, free ${total - reserved}`
+      };
+    }
+
+    return { accepted: true };
+  }
+
+  private sumDestinationAmounts(
+    chain: ChainType,
+    token: string,
+    statuses: SwapStatus[],
+    excludeSwapId?: string
+  ): bigint {
+    return this.getActiveSwaps()
+      .filter(swap =>
+        swap.id !== excludeSwapId
+        && swap.destinationChain === chain
+        && normalizeToken(chain, swap.destinationToken) === normalizeToken(chain, token)
+        && statuses.includes(swap.status)
+      )
+      .reduce((sum, swap) => sum + BigInt(swap.destinationAmount), BigInt(0));
+  }
+
+  private async getWalletBalance(chain: ChainType, token: string): Promise<bigint> {
+    if (chain === ChainType.ETHEREUM) {
+      const ethProvider = this.chainManager.getEthereumProvider();
+      if (isNativeToken(chain, token)) {
+        return ethers.parseEther(await ethProvider.getBalance());
+      }
+
+      const erc20 = new ethers.Contract(token, ERC20_ABI, ethProvider.getProvider());
+      return await erc20.balanceOf(ethProvider.getWallet().address);
+    }
+
+    const suiProvider = this.chainManager.getSuiProvider();
+    if (isNativeToken(chain, token)) {
+      // getBalance rounds down to whole SUI; the coins carry exact MIST amounts
+      const coins = await suiProvider.getGasCoins();
+      return coins.reduce((sum, coin) => sum + BigInt(coin.balance), BigInt(0));
+    }
+
+    return BigInt(await suiProvider.getCoinBalance(token));
+  }
+
+  private async getGasReserve(chain: ChainType): Promise<bigint> {
+    if (chain === ChainType.ETHEREUM) {
+      const gasPrice = await this.chainManager.getEthereumProvider().getGasPrice();
+      return BigInt(gasPrice) * BigInt(config.ethereum.gasLimit) * BigInt(2);
+    }
+    return BigInt(config.sui.gasBudget) * BigInt(2);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,177 @@
+import { ethers } from 'ethers';
+import { TransactionBlock } from '@mysten/sui.js/transactions';
+import { ChainManager } from '../blockchain/providers';
+import { addCreateDestinationEscrow } from '../blockchain/suiEscrow';
+import { PriceSource } from '../pricing';
+import { SUI_COIN_TYPE, isNativeToken, tokenRegistry } from '../tokens';
+import { config } from '../config';
+import { ChainType, SwapRequest } from '../types';
+import { logger } from '../utils/logger';
+
+// Typical gas used by each resolver transaction on Ethereum
+const ETHEREUM_GAS_UNITS = {
+  createEscrow: 300000,
+  approve: 50000,
+  lock: 120000,
+  claim: 90000
+};
+
+export interface SwapQuote {
+  destinationAmount: string;
+  sourceValueUsd: number;
+  destinationValueUsd: number;
+  gasCostUsd: number;
+  profitUsd: number;
+  margin: number;
+}
+
+export type ProfitabilityResult =
+  | { profitable: true; quote: SwapQuote }
+  | { profitable: false; reason: string; quote?: SwapQuote };
+
+// Prices both legs of a swap and checks the resolver keeps at least MIN_PROFIT_MARGIN
+// of the source value after gas on both chains
+export class ProfitabilityEngine {
+  private chainManager: ChainManager;
+  private priceSource: PriceSource;
+
+  constructor(chainManager: ChainManager, priceSource: PriceSource) {
+    this.chainManager = chainManager;
+    this.priceSource = priceSource;
+  }
+
+  // Price and gas lookups throw so that an outage is retried rather than treated as a loss
+  async evaluate(swap: SwapRequest): Promise<ProfitabilityResult> {
+    const minMargin = config.resolver.minProfitMargin;
+
+    if (BigInt(swap.sourceAmount) <= BigInt(0)) {
+      return { profitable: false, reason: 'source amount is not known' };
+    }
+
+    const sourceDecimals = tokenRegistry.require(swap.sourceChain, swap.sourceToken).decimals;
+    const destinationDecimals = tokenRegistry.require(swap.destinationChain, swap.destinationToken).decimals;
+
+    const sourcePrice = await this.getPrice(swap.sourceChain, swap.sourceToken);
+    const destinationPrice = await this.getPrice(swap.destinationChain, swap.destinationToken);
+    const gasCostUsd = await this.estimateGasCostUsd(swap);
+
+    const sourceValueUsd = Number(ethers.formatUnits(swap.sourceAmount, sourceDecimals)) * sourcePrice;
+
+    let destinationAmount: string;
+    let destinationValueUsd: number;
+
+    if (BigInt(swap.destinationAmount) > BigInt(0)) {
+      // The amount was agreed up front; only check it still pays
+      destinationAmount = swap.destinationAmount;
+      destinationValueUsd = Number(ethers.formatUnits(destinationAmount, destinationDecimals)) * destinationPrice;
+    } else {
+      // Give the user everything above the minimum margin and gas
+      destinationValueUsd = sourceValueUsd * (1 - minMargin) - gasCostUsd;
+      if (destinationValueUsd <= 0) {
+        return {
+          profitable: false,
+          reason: 'gas cost exceeds swap value',
+          quote: this.toQuote('0', sourceValueUsd, 0, gasCostUsd)
+        };
+      }
+
+      destinationAmount = ethers.parseUnits(
+        (destinationValueUsd / destinationPrice).toFixed(destinationDecimals),
+        destinationDecimals
+      ).toString();
+    }
+
+    const quote = this.toQuote(destinationAmount, sourceValueUsd, destinationValueUsd, gasCostUsd);
+
+    // Small tolerance for float rounding when the amount was derived from the margin itself
+    if (quote.margin < minMargin - 1e-9) {
+      return {
+        profitable: false,
+        reason: `margin ${quote.margin.toFixed(4)} below minimum ${minMargin}`,
+        quote
+      };
+    }
+
+    return { profitable: true, quote };
+  }
+
+  private toQuote(
+    destinationAmount: string,
+    sourceValueUsd: number,
+    destinationValueUsd: number,
+    gasCostUsd: number
+  ): SwapQuote {
+    const profitUsd = sourceValueUsd - destinationValueUsd - gasCostUsd;
+
+    return {
+      destinationAmount,
+      sourceValueUsd,
+      destinationValueUsd,
+      gasCostUsd,
+      profitUsd,
+      margin: sourceValueUsd > 0 ? profitUsd / sourceValueUsd : 0
+    };
+  }
+
+  private async estimateGasCostUsd(swap: SwapRequest): Promise<number> {
+    const ethCostWei = await this.estimateEthereumGasCost(swap);
+    const suiCostMist = await this.estimateSuiGasCost(swap);
+
+    const ethPrice = await this.getPrice(ChainType.ETHEREUM, ethers.ZeroAddress);
+    const suiPrice = await this.getPrice(ChainType.SUI, SUI_COIN_TYPE);
+
+    return Number(ethers.formatEther(ethCostWei)) * ethPrice
+      + Number(ethers.formatUnits(suiCostMist, 9)) * suiPrice;
+  }
+
+  private async estimateEthereumGasCost(swap: SwapRequest): Promise<bigint> {
+    let gasUnits = 0;
+
+    if (swap.destinationChain === ChainType.ETHEREUM) {
+      gasUnits += ETHEREUM_GAS_UNITS.createEscrow + ETHEREUM_GAS_UNITS.lock;
+      if (!isNativeToken(swap.destinationChain, swap.destinationToken)) {
+        gasUnits += ETHEREUM_GAS_UNITS.approve;
+      }
+    } else {
+      gasUnits += ETHEREUM_GAS_UNITS.claim;
+    }
+
+    const gasPrice = await this.chainManager.getEthereumProvider().getGasPrice();
+    return BigInt(gasPrice) * BigInt(gasUnits);
+  }
+
+  private async estimateSuiGasCost(swap: SwapRequest): Promise<bigint> {
+    // Creating the escrow stands in for every Sui transaction the resolver sends:
+    // create and lock on the destination side, or the claim on the source side
+    const transactions = swap.destinationChain === ChainType.SUI ? 2 : 1;
+    const suiProvider = this.chainManager.getSuiProvider();
+
+    const txb = new TransactionBlock();
+    txb.setSender(suiProvider.getAddress());
+    addCreateDestinationEscrow(txb, {
+      coinType: swap.destinationChain === ChainType.SUI ? swap.destinationToken : swap.sourceToken,
+      swapId: swap.id,
+      // Quotes are priced before the recipient is known
+      userAddress: swap.recipientAddress ?? suiProvider.getAddress(),
+      secretHash: swap.secretHash,
+      userTimelock: swap.userTimelock,
+      resolverTimelock: swap.resolverTimelock
+    });
+
+    try {
+      return BigInt(await suiProvider.estimateGas(txb)) * BigInt(transactions);
+    } catch (error) {
+      // The dry run fails on swaps the escrow would reject, e.g. expired timelocks; fall back to the full budget
+      logger.debug('Sui gas estimate failed, using gas budget', {
+        swapId: swap.id,
+        error: (error as Error).message
+      });
+      return BigInt(config.sui.gasBudget) * BigInt(transactions);
+    }
+  }
+
+  private async getPrice(chain: ChainType, token: string): Promise<number> {
+    // Prices are keyed by the address the token is registered under
+    return await this.priceSource.getPrice(chain, tokenRegistry.require(chain, token).address);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,166 @@
+import { ethers } from 'ethers';
+import { ChainManager } from '../blockchain/providers';
+import { Database } from '../database';
+import { ProfitabilityEngine } from './ProfitabilityEngine';
+import { normalizeToken, tokenRegistry } from '../tokens';
+import { config } from '../config';
+import { ChainType, Quote, QuoteRequest, SwapRequest, SwapStatus } from '../types';
+import { logSwapEvent } from '../utils/logger';
+
+export type QuoteResult =
+  | { quoted: true; quote: Quote }
+  | { quoted: false; reason: string };
+
+// The signed message: every quote field except the signature itself, in a fixed order
+export function quoteMessage(quote: Omit<Quote, 'signature' | 'createdAt'>): string {
+  return JSON.stringify({
+    id: quote.id,
+    sourceChain: quote.sourceChain,
+    destinationChain: quote.destinationChain,
+    sourceToken: quote.sourceToken,
+    destinationToken: quote.destinationToken,
+    sourceAmount: quote.sourceAmount,
+    destinationAmount: quote.destinationAmount,
+    userAddress: quote.userAddress,
+    resolverAddress: quote.resolverAddress,
+    userTimelock: quote.userTimelock,
+    resolverTimelock: quote.resolverTimelock,
+    expiresAt: quote.expiresAt
+  });
+}
+
+// Issues signed offers and matches escrows created from them
+export class QuoteService {
+  private chainManager: ChainManager;
+  private database: Database;
+  private profitabilityEngine: ProfitabilityEngine;
+
+  constructor(chainManager: ChainManager, database: Database, profitabilityEngine: ProfitabilityEngine) {
+    this.chainManager = chainManager;
+    this.database = database;
+    this.profitabilityEngine = profitabilityEngine;
+  }
+
+  async createQuote(request: QuoteRequest): Promise<QuoteResult> {
+    const destinationChain = request.sourceChain === ChainType.ETHEREUM ? ChainType.SUI : ChainType.ETHEREUM;
+    const now = Date.now();
+
+    const counterpart = tokenRegistry.getCounterpart(request.sourceChain, request.sourceToken);
+    if (!counterpart || normalizeToken(destinationChain, counterpart.address)
+      !== normalizeToken(destinationChain, request.destinationToken)) {
+      return { quoted: false, reason: 'unsupported token pair' };
+    }
+
+    // Whole seconds, so the timelocks survive the Ethereum escrow's second precision
+    const userTimelock = Math.floor((now + config.quotes.userTimelockDuration) / 1000) * 1000;
+    const resolverTimelock = userTimelock - config.quotes.timelockGap;
+
+    const quoteId = ethers.hexlify(ethers.randomBytes(32));
+
+    // Price the offer exactly as the swap would be priced once locked
+    const result = await this.profitabilityEngine.evaluate({
+      id: quoteId,
+      userAddress: request.userAddress,
+      resolverAddress: this.getResolverAddress(request.sourceChain),
+      sourceChain: request.sourceChain,
+      destinationChain,
+      sourceToken: request.sourceToken,
+      destinationToken: request.destinationToken,
+      sourceAmount: request.sourceAmount,
+      destinationAmount: '0',
+      secretHash: ethers.ZeroHash,
+      userTimelock,
+      resolverTimelock,
+      status: SwapStatus.PENDING,
+      createdAt: new Date(now),
+      updatedAt: new Date(now)
+    });
+
+    if (!result.profitable) {
+      return { quoted: false, reason: result.reason };
+    }
+
+    const unsigned = {
+      id: quoteId,
+      sourceChain: request.sourceChain,
+      destinationChain,
+      sourceToken: request.sourceToken,
+      destinationToken: request.destinationToken,
+      sourceAmount: request.sourceAmount,
+      destinationAmount: result.quote.destinationAmount,
+      userAddress: request.userAddress,
+      resolverAddress: this.getResolverAddress(request.sourceChain),
+      userTimelock,
+      resolverTimelock,
+      expiresAt: now + config.quotes.ttl
+    };
+
+    const quote: Quote = {
+      ...unsigned,
+      signature: await this.sign(request.sourceChain, quoteMessage(unsigned)),
+      createdAt: new Date(now)
+    };
+
+    await this.database.createQuote(quote);
+    logSwapEvent('quote_issued', quote.id, {
+      sourceChain: quote.sourceChain,
+      sourceAmount: quote.sourceAmount,
+      destinationAmount: quote.destinationAmount,
+      expiresAt: quote.expiresAt
+    });
+
+    return { quoted: true, quote };
+  }
+
+  // A swap matches the quote issued under its ID if it was created in time with the quoted terms
+  async findMatchingQuote(swap: SwapRequest, createdAt: number): Promise<Quote | null> {
+    const quote = await this.database.getQuote(swap.id);
+    if (!quote) {
+      return null;
+    }
+
+    let reason: string | null = null;
+    if (createdAt > quote.expiresAt) {
+      reason = 'quote expired before the escrow was created';
+    } else if (quote.sourceChain !== swap.sourceChain) {
+      reason = 'source chain differs';
+    } else if (quote.userAddress.toLowerCase() !== swap.userAddress.toLowerCase()) {
+      reason = 'user address differs';
+    } else if (quote.userTimelock !== swap.userTimelock || quote.resolverTimelock !== swap.resolverTimelock) {
+      reason = 'timelocks differ';
+    }
+
+    if (reason) {
+      logSwapEvent('quote_mismatch', swap.id, { reason });
+      return null;
+    }
+
+    return quote;
+  }
+
+  // The quoted amount only holds if the user locked exactly what was quoted
+  matchesLock(quote: Quote, swap: SwapRequest): boolean {
+    return quote.sourceAmount === swap.sourceAmount
+      && normalizeToken(quote.sourceChain, quote.sourceToken)
+        === normalizeToken(swap.sourceChain, swap.sourceToken);
+  }
+
+  private getResolverAddress(chain: ChainType): string {
+    if (chain === ChainType.ETHEREUM) {
+      return this.chainManager.getEthereumProvider().getWallet().address;
+    }
+    return this.chainManager.getSuiProvider().getAddress();
+  }
+
+  // Signed with the key the user will name as resolver on the source chain:
+  // EIP-191 personal_sign on Ethereum, an ed25519 personal message on Sui
+  private async sign(chain: ChainType, message: string): Promise<string> {
+    if (chain === ChainType.ETHEREUM) {
+      return await this.chainManager.getEthereumProvider().getWallet().signMessage(message);
+    }
+
+    const { signature } = await this.chainManager.getSuiProvider().getKeypair()
+      .signPersonalMessage(Buffer.from(message, 'utf8'));
+    return signature;
+  }
+}
\ No newline at end of file
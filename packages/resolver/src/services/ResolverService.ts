@@ -1,59 +1,127 @@
 import { EventEmitter } from 'events';
 import { ethers } from 'ethers';
-import { TransactionBlock } from '@mysten/sui.js/transactions';
+import { TransactionBlock, TransactionArgument } from '@mysten/sui.js/transactions';
+import { EventId, SuiEvent } from '@mysten/sui.js/client';
+import { normalizeSuiAddress } from '@mysten/sui.js/utils';
 import { ChainManager, EthereumProvider, SuiProvider } from '../blockchain/providers';
-import { logger, logSwapEvent, logError, logSwapStatus } from '../utils/logger';
-import { config } from '../config';
+import { EthereumTransactionManager } from '../blockchain/transactions';
+import { addCreateDestinationEscrow } from '../blockchain/suiEscrow';
+import { logger, logSwapEvent, logError, logSwapStatus, logTransaction, logBlockchainEvent } from '../utils/logger';
+import { config, getChainConfig } from '../config';
 import { 
   SwapRequest, 
   SwapStatus, 
   ChainType, 
-  HTLCInfo 
+  HTLCInfo,
+  EventLog,
+  EscrowSide,
+  EscrowStatus,
+  RefundResult,
+  ResolverAlert,
+  QuoteRequest,
+  InventoryBalance,
+  ResolverStake,
+  SwapDetails,
+  SwapQuery,
+  SwapPage,
+  SwapMetrics
 } from '../types';
 import { Database } from '../database';
+import { EthereumIndexer } from './EthereumIndexer';
+import { ProfitabilityEngine } from './ProfitabilityEngine';
+import { QuoteService, QuoteResult } from './QuoteService';
+import { SwapValidator } from './SwapValidator';
+import { InventoryService } from './InventoryService';
+import { StakeManager, StakeStatus } from './StakeManager';
+import { SwapMetricsService } from './SwapMetricsService';
+import { JobQueue, SwapJob, createJobQueue } from '../queue';
+import { PriceSource, createPriceSource } from '../pricing';
+import { SUI_COIN_TYPE, isNativeToken, normalizeToken, tokenRegistry } from '../tokens';
+import { SWAP_ESCROW_FACTORY_ABI, SWAP_ESCROW_ABI, ERC20_ABI, MULTICALL3_ABI } from '../blockchain/abis';
+import {
+  registry,
+  swapsByStatus,
+  swapStateDuration,
+  swapStepDuration,
+  swapsNearTimelock,
+  jobsPending,
+  jobsDead,
+  walletBalance
+} from '../metrics';
 
-// Contract ABIs (simplified for example)
-const SWAP_ESCROW_FACTORY_ABI = [
-  "function createSwapEscrow(bytes32 swapId, address resolver, bytes32 secretHash, uint256 userTimelock, uint256 resolverTimelock) external returns (address)",
-  "function isAuthorizedResolver(address resolver) external view returns (bool)",
-  "function registerResolver() external payable",
-  "event SwapEscrowCreated(bytes32 indexed swapId, address indexed escrowAddress, address indexed userAddress, address resolverAddress)",
-  "event ResolverRegistered(address indexed resolver, uint256 stakeAmount)"
-];
-
-const SWAP_ESCROW_ABI = [
-  "function lockUserSide(address token, uint256 amount) external payable",
-  "function lockResolverSide(address token, uint256 amount) external payable", 
-  "function claimFunds(string calldata secret, uint8 side) external",
-  "function refundFunds(uint8 side) external",
-  "function getStatus() external view returns (bool userLocked, bool userClaimed, bool userRefunded, bool resolverLocked, bool resolverClaimed, bool resolverRefunded, bool secretRevealed, bool destroyed)",
-  "function canClaim(uint8 side) external view returns (bool)",
-  "function canRefund(uint8 side) external view returns (bool)",
-  "function userSide() external view returns (address locker, address beneficiary, address token, uint256 amount, bytes32 secretHash, uint256 timelock, bool locked, bool claimed, bool refunded)",
-  "function resolverSide() external view returns (address locker, address beneficiary, address token, uint256 amount, bytes32 secretHash, uint256 timelock, bool locked, bool claimed, bool refunded)",
-  "event EscrowLocked(address indexed locker, address indexed beneficiary, address token, uint256 amount, bytes32 secretHash, uint256 timelock)",
-  "event EscrowClaimed(address indexed claimer, string secret, uint256 amount)",
-  "event EscrowRefunded(address indexed refundee, uint256 amount)"
-];
+
+// Events per page when polling sui_swap_escrow events
+const SUI_EVENT_PAGE_SIZE = 50;
+
+// multiGetObjects accepts at most this many IDs per request
+const SUI_MULTI_GET_LIMIT = 50;
+
+// Sync cursor stream for sui_swap_escrow events
+const SUI_EVENT_STREAM = 'sui_swap_escrow';
+
+export type ForceRefundResult =
+  | { refundable: true; refund: RefundResult }
+  | { refundable: false; reason: string };
+
+interface ClaimEvent {
+  secret: string;
+  claimer: string;
+  txHash: string;
+  blockNumber?: number;
+}
 
 export class ResolverService extends EventEmitter {
   private chainManager: ChainManager;
   private database: Database;
   private running: boolean = false;
   private activeSwaps: Map<string, SwapRequest> = new Map();
+  // When each active swap entered its current status, for the state duration metric
+  private statusEnteredAt: Map<string, number> = new Map();
+  // Keys of alert conditions currently raised, so each is raised once until it clears
+  private openAlerts: Set<string> = new Set();
   private monitoringIntervals: Map<string, NodeJS.Timeout> = new Map();
+  private jobQueue: JobQueue;
+  private profitabilityEngine: ProfitabilityEngine;
+  private quoteService: QuoteService;
+  private swapValidator: SwapValidator = new SwapValidator();
+  private inventoryService: InventoryService;
+  private stakeManager: StakeManager;
+  private swapMetricsService: SwapMetricsService;
+  private ethTransactions: EthereumTransactionManager;
+  private processingJobs: boolean = false;
+  private schedulerBusy: boolean = false;
+  private escrowStatusCache: Map<string, EscrowStatus> = new Map();
+  // Block the cached Ethereum statuses were read at
+  private escrowStatusBlockTag?: number;
+  private suiEscrowCoinTypes: Map<string, string> = new Map();
+  private suiUnsubscribe?: () => Promise<boolean>;
+  private suiPolling: boolean = false;
   
   // Contract instances
   private ethFactoryContract?: ethers.Contract;
+  private ethIndexer?: EthereumIndexer;
   private suiPackageId: string;
   private suiFactoryId: string;
 
-  constructor(chainManager: ChainManager, database: Database) {
+  constructor(
+    chainManager: ChainManager,
+    database: Database,
+    jobQueue: JobQueue = createJobQueue(),
+    priceSource: PriceSource = createPriceSource()
+  ) {
     super();
     this.chainManager = chainManager;
     this.database = database;
+    this.jobQueue = jobQueue;
+    this.profitabilityEngine = new ProfitabilityEngine(chainManager, priceSource);
+    this.quoteService = new QuoteService(chainManager, database, this.profitabilityEngine);
+    this.inventoryService = new InventoryService(chainManager, () => Array.from(this.activeSwaps.values()));
+    this.ethTransactions = new EthereumTransactionManager(chainManager.getEthereumProvider(), database);
+    this.stakeManager = new StakeManager(chainManager, database, this.ethTransactions, () => this.ethFactoryContract!);
+    this.swapMetricsService = new SwapMetricsService(database, priceSource);
     this.suiPackageId = config.sui.packageId;
     this.suiFactoryId = config.sui.swapEscrowFactoryId;
+    registry.addCollector(() => this.collectMetrics());
   }
 
   async initialize(): Promise<void> {
@@ -63,6 +131,12 @@ export class ResolverService extends EventEmitter {
       // Initialize chain connections
       await this.chainManager.initialize();
       
+      // Pick up Ethereum nonces and transactions still pending from the last run
+      await this.ethTransactions.initialize();
+      
+      // Connect the job queue and recover jobs interrupted by a restart
+      await this.jobQueue.connect();
+      
       // Setup Ethereum contracts
       const ethProvider = this.chainManager.getEthereumProvider();
       this.ethFactoryContract = await ethProvider.getContract(
@@ -70,8 +144,11 @@ export class ResolverService extends EventEmitter {
         SWAP_ESCROW_FACTORY_ABI
       );
       
-      // Register as resolver on both chains if not already registered
-      await this.registerAsResolver();
+      // A wrong decimals entry would misprice every swap in that token
+      await this.verifyTokenRegistry();
+      
+      // Register as resolver on both chains, or top up a stake below the configured amount
+      await this.stakeManager.ensureStake();
       
       // Load active swaps from database
       await this.loadActiveSwaps();
@@ -92,14 +169,18 @@ export class ResolverService extends EventEmitter {
     try {
       this.running = true;
       
-      // Start monitoring existing swaps
-      for (const [swapId, swap] of this.activeSwaps) {
-        this.startSwapMonitoring(swapId, swap);
-      }
+      // Start monitoring existing and new swaps
+      this.startSwapScheduler();
       
       // Start listening for new swap requests
       this.startEventListening();
       
+      // Start executing queued swap actions
+      this.startJobWorker();
+      
+      // Start watching for conditions that need an operator
+      this.startAlertChecks();
+      
       logger.info('Resolver Service started');
       this.emit('started');
     } catch (error) {
@@ -118,7 +199,7 @@ export class ResolverService extends EventEmitter {
       this.running = false;
       
       // Stop all monitoring intervals
-      for (const [swapId, interval] of this.monitoringIntervals) {
+      for (const interval of this.monitoringIntervals.values()) {
         clearInterval(interval);
       }
       this.monitoringIntervals.clear();
@@ -126,6 +207,9 @@ export class ResolverService extends EventEmitter {
       // Stop event listening
       this.stopEventListening();
       
+      // Disconnect the job queue; pending jobs stay queued for the next start
+      await this.jobQueue.disconnect();
+      
       // Disconnect from chains
       await this.chainManager.disconnect();
       
@@ -137,62 +221,19 @@ export class ResolverService extends EventEmitter {
     }
   }
 
-  private async registerAsResolver(): Promise<void> {
-    try {
-      // Register on Ethereum
-      const ethProvider = this.chainManager.getEthereumProvider();
-      const isRegistered = await this.ethFactoryContract!.isAuthorizedResolver(
-        ethProvider.getWallet().address
-      );
-      
-      if (!isRegistered) {
-        logger.info('Registering as resolver on Ethereum...');
-        const tx = await this.ethFactoryContract!.registerResolver({
-          value: ethers.parseEther(config.resolver.stakeAmount)
-        });
-        await tx.wait();
-        logger.info('Successfully registered as resolver on Ethereum');
-      }
+  private async verifyTokenRegistry(): Promise<void> {
+    const ethProvider = this.chainManager.getEthereumProvider();
 
-      // Register on Sui
-      const suiProvider = this.chainManager.getSuiProvider();
-      
-      try {
-        // Check if already registered by trying to get factory object and see if our address is in resolvers
-        logger.info('Checking if already registered on Sui...');
-        const factoryObject = await suiProvider.getObject(this.suiFactoryId);
-        
-        // For now, assume we might already be registered and try registration
-        logger.info('Registering as resolver on Sui...');
-        
-        const txb = new TransactionBlock();
-        // Convert ETH amount to SUI MIST (1 SUI = 1e9 MIST)
-        const stakeAmountMIST = Math.floor(parseFloat(config.resolver.stakeAmount) * 1e9);
-        const stakeCoin = txb.splitCoins(txb.gas, [stakeAmountMIST]);
-        
-        txb.moveCall({
-          target: `${this.suiPackageId}::sui_swap_escrow::register_resolver`,
-          arguments: [
-            txb.object(this.suiFactoryId),
-            stakeCoin,
-          ],
-        });
+    for (const token of tokenRegistry.list()) {
+      if (token.chain !== ChainType.ETHEREUM || isNativeToken(token.chain, token.address)) {
+        continue;
+      }
 
-        const result = await suiProvider.sendTransaction(txb);
-        await suiProvider.waitForTransaction(result);
-        
-        logger.info('Successfully registered as resolver on Sui');
-      } catch (suiError: any) {
-        // If registration fails, it might be because we're already registered
-        if (suiError.message && suiError.message.includes('already')) {
-          logger.info('Already registered as resolver on Sui');
-        } else {
-          logger.warn('Sui registration failed, continuing anyway:', suiError.message);
-        }
+      const erc20 = new ethers.Contract(token.address, ERC20_ABI, ethProvider.getProvider());
+      const decimals = Number(await erc20.decimals());
+      if (decimals !== token.decimals) {
+        throw new Error(`Token registry lists ${token.symbol} with ${token.decimals} decimals, contract has ${decimals}`);
       }
-    } catch (error) {
-      logError('resolver', error as Error, { action: 'registerAsResolver' });
-      throw error;
     }
   }
 
@@ -202,6 +243,8 @@ export class ResolverService extends EventEmitter {
       
       for (const swap of activeSwaps) {
         this.activeSwaps.set(swap.id, swap);
+        // The last update is the best estimate of when a swap loaded after a restart changed status
+        this.statusEnteredAt.set(swap.id, new Date(swap.updatedAt).getTime());
         logSwapEvent('loaded', swap.id, { status: swap.status });
       }
       
@@ -214,12 +257,27 @@ export class ResolverService extends EventEmitter {
 
   private startEventListening(): void {
     try {
-      // Listen for Ethereum events
-      this.ethFactoryContract!.on('SwapEscrowCreated', this.handleEthereumSwapCreated.bind(this));
+      // Index Ethereum factory and escrow logs from confirmed blocks
+      this.ethIndexer = new EthereumIndexer(
+        this.chainManager.getEthereumProvider(),
+        this.database,
+        this.handleEthereumLog.bind(this),
+        () => this.getEthereumEscrowAddresses(),
+        (log, error) => this.raiseAlert('log_failed', `Skipping ${log.event} log after repeated failures`, log.data?.swapId, {
+          txHash: log.txHash,
+          logIndex: log.logIndex,
+          blockNumber: log.blockNumber,
+          error: error.message
+        })
+      );
+      this.ethIndexer.start();
       
-      // Listen for Sui events (would need to implement event subscription)
-      // For now, we'll use polling
-      this.startSuiEventPolling();
+      // Listen for Sui events
+      if (config.sui.eventMode === 'subscribe') {
+        this.startSuiEventSubscription();
+      } else {
+        this.startSuiEventPolling();
+      }
       
       logger.info('Started event listening');
     } catch (error) {
@@ -230,8 +288,17 @@ export class ResolverService extends EventEmitter {
 
   private stopEventListening(): void {
     try {
-      // Stop Ethereum event listening
-      this.ethFactoryContract!.removeAllListeners();
+      // Stop Ethereum log indexing
+      this.ethIndexer?.stop();
+      this.ethIndexer = undefined;
+      
+      // Stop Sui event subscription
+      if (this.suiUnsubscribe) {
+        this.suiUnsubscribe().catch(error => {
+          logError('resolver', error as Error, { action: 'suiUnsubscribe' });
+        });
+        this.suiUnsubscribe = undefined;
+      }
       
       logger.info('Stopped event listening');
     } catch (error) {
@@ -240,28 +307,175 @@ export class ResolverService extends EventEmitter {
   }
 
   private async startSuiEventPolling(): Promise<void> {
-    // Simplified Sui event polling - in production would use WebSocket subscriptions
     const pollInterval = setInterval(async () => {
       try {
         await this.pollSuiEvents();
       } catch (error) {
         logError('resolver', error as Error, { action: 'pollSuiEvents' });
       }
-    }, 5000); // Poll every 5 seconds
+    }, config.sui.eventPollInterval);
 
     this.monitoringIntervals.set('sui-events', pollInterval);
   }
 
+  private async startSuiEventSubscription(): Promise<void> {
+    try {
+      // Catch up on events emitted while we were offline before going live
+      await this.pollSuiEvents();
+
+      const client = this.chainManager.getSuiProvider().getClient();
+      this.suiUnsubscribe = await client.subscribeEvent({
+        filter: { MoveEventModule: { package: this.suiPackageId, module: 'sui_swap_escrow' } },
+        onMessage: (event: SuiEvent) => {
+          this.processSuiEvent(event)
+            .then(() => this.database.saveSyncCursor(ChainType.SUI, SUI_EVENT_STREAM, JSON.stringify(event.id)))
+            .catch(error => logError('resolver', error as Error, { action: 'processSuiEvent' }));
+        },
+      });
+
+      logger.info('Subscribed to Sui swap escrow events');
+    } catch (error) {
+      // Fall back to polling when the node does not support websocket subscriptions
+      logError('resolver', error as Error, { action: 'startSuiEventSubscription' });
+      this.startSuiEventPolling();
+    }
+  }
+
   private async pollSuiEvents(): Promise<void> {
-    // Implementation would query Sui events and process new escrow creations
-    // This is a placeholder for the actual implementation
+    // Skip the tick while a previous poll is still paging through events
+    if (this.suiPolling) {
+      return;
+    }
+
+    this.suiPolling = true;
+    try {
+      const client = this.chainManager.getSuiProvider().getClient();
+      const savedCursor = await this.database.getSyncCursor(ChainType.SUI, SUI_EVENT_STREAM);
+      let cursor: EventId | null = savedCursor ? JSON.parse(savedCursor) : null;
+      let hasNextPage = true;
+
+      while (hasNextPage) {
+        const page = await client.queryEvents({
+          query: { MoveEventModule: { package: this.suiPackageId, module: 'sui_swap_escrow' } },
+          cursor,
+          limit: SUI_EVENT_PAGE_SIZE,
+          order: 'ascending',
+        });
+
+        for (const event of page.data) {
+          await this.processSuiEvent(event);
+        }
+
+        if (page.nextCursor) {
+          cursor = page.nextCursor;
+          await this.database.saveSyncCursor(ChainType.SUI, SUI_EVENT_STREAM, JSON.stringify(cursor));
+        }
+        hasNextPage = page.hasNextPage;
+      }
+    } finally {
+      this.suiPolling = false;
+    }
+  }
+
+  private async processSuiEvent(event: SuiEvent): Promise<void> {
+    // Lock, claim and refund events are picked up by reading escrow state
+    if (event.type.endsWith('::sui_swap_escrow::SwapEscrowCreated')) {
+      await this.handleSuiSwapCreated(event);
+    }
+  }
+
+  private async handleSuiSwapCreated(event: SuiEvent): Promise<void> {
+    const fields = event.parsedJson as any;
+    const swapId = this.suiBytesToHex(fields.swap_id);
+
+    try {
+      // Check if this resolver should handle this swap
+      const suiProvider = this.chainManager.getSuiProvider();
+      if (fields.resolver_address !== suiProvider.getAddress()) {
+        return; // Not our swap
+      }
+
+      // The user's Ethereum address, checked by the validator before we lock anything
+      const recipient = this.suiBytesToHex(fields.recipient || []);
+      const recipientAddress = ethers.dataLength(recipient) === 20 ? ethers.getAddress(recipient) : recipient;
+
+      logSwapEvent('new_swap_detected', swapId, {
+        chain: 'sui',
+        userAddress: fields.user_address,
+        recipientAddress,
+        resolverAddress: fields.resolver_address,
+        escrowId: fields.escrow_id
+      });
+
+      const swapRequest: SwapRequest = {
+        id: swapId,
+        userAddress: fields.user_address,
+        recipientAddress,
+        resolverAddress: fields.resolver_address,
+        sourceChain: ChainType.SUI,
+        destinationChain: ChainType.ETHEREUM,
+        sourceToken: this.parseSuiCoinType(fields.coin_type),
+        destinationToken: ethers.ZeroAddress, // Counterpart of the locked coin
+        sourceAmount: '0', // Will be updated when user locks
+        destinationAmount: '0', // Priced once the user locks
+        secretHash: this.suiBytesToHex(fields.secret_hash),
+        sourceEscrowId: fields.escrow_id,
+        userTimelock: Number(fields.user_timelock),
+        resolverTimelock: Number(fields.resolver_timelock),
+        status: SwapStatus.PENDING,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      await this.applyQuote(swapRequest, Number(event.timestampMs || Date.now()));
+      await this.registerSwap(swapRequest);
+    } catch (error) {
+      logError('resolver', error as Error, { 
+        action: 'handleSuiSwapCreated',
+        swapId 
+      });
+    }
+  }
+
+  private async handleEthereumLog(log: EventLog): Promise<void> {
+    if (log.event === 'SwapEscrowCreated') {
+      await this.handleEthereumSwapCreated(
+        log.data.swapId,
+        log.data.escrowAddress,
+        log.data.userAddress,
+        log.data.resolverAddress,
+        log.data.recipient,
+        log.blockNumber
+      );
+      return;
+    }
+
+    // Escrow lock, claim and refund logs are picked up by reading escrow state
+    logBlockchainEvent(log.event, 'ethereum', { address: log.address, txHash: log.txHash });
+  }
+
+  private getEthereumEscrowAddresses(): string[] {
+    const addresses: string[] = [];
+
+    for (const swap of this.activeSwaps.values()) {
+      if (swap.sourceChain === ChainType.ETHEREUM && swap.sourceEscrowId) {
+        addresses.push(swap.sourceEscrowId);
+      }
+      if (swap.destinationChain === ChainType.ETHEREUM && swap.destinationEscrowId) {
+        addresses.push(swap.destinationEscrowId);
+      }
+    }
+
+    return addresses;
   }
 
   private async handleEthereumSwapCreated(
     swapId: string,
     escrowAddress: string,
     userAddress: string,
-    resolverAddress: string
+    resolverAddress: string,
+    recipient: string,
+    blockNumber: number
   ): Promise<void> {
     try {
       // Check if this resolver should handle this swap
@@ -275,12 +489,17 @@ export class ResolverService extends EventEmitter {
       const userSide = await escrowContract.userSide();
       const resolverSide = await escrowContract.resolverSide();
       const secretHash = userSide.secretHash;
-      const userTimelock = BigInt(userSide.timelock);
-      const resolverTimelock = BigInt(resolverSide.timelock);
+      // Ethereum timelocks are in seconds; swaps are tracked in milliseconds like Sui
+      const userTimelock = BigInt(userSide.timelock) * BigInt(1000);
+      const resolverTimelock = BigInt(resolverSide.timelock) * BigInt(1000);
+
+      // The user's Sui address, checked by the validator before we lock anything
+      const recipientAddress = ethers.dataLength(recipient) === 32 ? normalizeSuiAddress(recipient) : recipient;
 
       logSwapEvent('new_swap_detected', swapId, {
         chain: 'ethereum',
         userAddress,
+        recipientAddress,
         resolverAddress,
         escrowAddress
       });
@@ -289,14 +508,16 @@ export class ResolverService extends EventEmitter {
       const swapRequest: SwapRequest = {
         id: swapId,
         userAddress,
+        recipientAddress,
         resolverAddress,
         sourceChain: ChainType.ETHEREUM,
         destinationChain: ChainType.SUI,
-        sourceToken: '0x0', // ETH
-        destinationToken: '0x2::sui::SUI',
+        sourceToken: ethers.ZeroAddress, // Read from the escrow when the user locks
+        destinationToken: SUI_COIN_TYPE, // Counterpart of the locked token
         sourceAmount: '0', // Will be updated when user locks
-        destinationAmount: '0', // Will be calculated
+        destinationAmount: '0', // Priced once the user locks
         secretHash,
+        sourceEscrowId: escrowAddress,
         userTimelock: Number(userTimelock),
         resolverTimelock: Number(resolverTimelock),
         status: SwapStatus.PENDING,
@@ -304,37 +525,349 @@ export class ResolverService extends EventEmitter {
         updatedAt: new Date()
       };
 
-      await this.database.createSwap(swapRequest);
-      this.activeSwaps.set(swapId, swapRequest);
-      
-      // Start monitoring this swap
-      this.startSwapMonitoring(swapId, swapRequest);
-      
-      this.emit('swapCreated', swapRequest);
+      // Quote expiry is judged against the block the escrow was created in
+      const block = await ethProvider.getProvider().getBlock(blockNumber);
+      await this.applyQuote(swapRequest, block ? block.timestamp * 1000 : Date.now());
+      await this.registerSwap(swapRequest);
     } catch (error) {
       logError('resolver', error as Error, { 
         action: 'handleEthereumSwapCreated',
         swapId 
       });
+      // Leave the log unprocessed so the indexer retries it
+      throw error;
+    }
+  }
+
+  private async applyQuote(swapRequest: SwapRequest, createdAt: number): Promise<void> {
+    const quote = await this.quoteService.findMatchingQuote(swapRequest, createdAt);
+    if (!quote) {
+      return;
+    }
+
+    swapRequest.quoteId = quote.id;
+    swapRequest.destinationToken = quote.destinationToken;
+    swapRequest.destinationAmount = quote.destinationAmount;
+    logSwapEvent('quote_matched', swapRequest.id, { destinationAmount: quote.destinationAmount });
+  }
+
+  private async registerSwap(swapRequest: SwapRequest): Promise<void> {
+    // Events can be replayed after a restart; never create the same swap twice
+    if (this.activeSwaps.has(swapRequest.id) || await this.database.getSwap(swapRequest.id)) {
+      return;
     }
+
+    await this.database.createSwap(swapRequest);
+    
+    // The scheduler picks the swap up on its next tick
+    this.activeSwaps.set(swapRequest.id, swapRequest);
+    this.statusEnteredAt.set(swapRequest.id, Date.now());
+    
+    this.emit('swapCreated', swapRequest);
   }
 
-  private startSwapMonitoring(swapId: string, swap: SwapRequest): void {
-    const monitorInterval = setInterval(async () => {
+  private startJobWorker(): void {
+    const workerInterval = setInterval(async () => {
       try {
-        await this.monitorSwap(swapId, swap);
+        await this.processJobs();
       } catch (error) {
-        logError('resolver', error as Error, { 
-          action: 'monitorSwap',
-          swapId 
+        logError('resolver', error as Error, { action: 'processJobs' });
+      }
+    }, config.queue.pollInterval);
+
+    this.monitoringIntervals.set('job-worker', workerInterval);
+  }
+
+  private async processJobs(): Promise<void> {
+    // Jobs move funds, so never run two at once
+    if (this.processingJobs) {
+      return;
+    }
+
+    this.processingJobs = true;
+    try {
+      let job = await this.jobQueue.reserve();
+      while (job && this.running) {
+        await this.runJob(job);
+        job = await this.jobQueue.reserve();
+      }
+    } finally {
+      this.processingJobs = false;
+    }
+  }
+
+  private async runJob(job: SwapJob): Promise<void> {
+    const swap = this.activeSwaps.get(job.swapId) || await this.database.getSwap(job.swapId);
+    if (!swap) {
+      logger.warn('Dropping job for unknown swap', { jobId: job.id });
+      await this.jobQueue.complete(job);
+      return;
+    }
+
+    // A job recovered after a crash may find its step already done
+    if (this.isJobStepDone(job, swap)) {
+      await this.jobQueue.complete(job);
+      return;
+    }
+
+    // Locks and refunds run on the destination chain, claims on the source chain
+    const stopTimer = swapStepDuration.startTimer({
+      step: job.step,
+      chain: job.step === 'claim' ? swap.sourceChain : swap.destinationChain
+    });
+
+    try {
+      switch (job.step) {
+        case 'lock': {
+          // Checked on every attempt, as a retried lock has less time left
+          const validation = this.swapValidator.validate(swap);
+          if (!validation.valid) {
+            logSwapEvent('swap_rejected', job.swapId, { reason: validation.reason });
+            await this.failSwap(job.swapId, validation.reason);
+            break;
+          }
+
+          await this.createAndLockResolverSide(job.swapId, swap);
+          await this.updateSwapStatus(job.swapId, SwapStatus.BOTH_LOCKED);
+          logSwapEvent('resolver_locked', job.swapId);
+          break;
+        }
+
+        case 'claim':
+          await this.claimResolverSide(job.swapId, swap);
+          await this.updateSwapStatus(job.swapId, SwapStatus.COMPLETED);
+          logSwapEvent('swap_completed', job.swapId);
+          break;
+
+        case 'refund':
+          await this.refundResolverSide(swap);
+          break;
+      }
+
+      stopTimer({ result: 'success' });
+      await this.jobQueue.complete(job);
+    } catch (error) {
+      stopTimer({ result: 'failure' });
+      logError('resolver', error as Error, { action: `${job.step}Job`, swapId: job.swapId, attempt: job.attempts });
+
+      const outcome = await this.jobQueue.fail(job, error as Error);
+      if (job.step !== 'lock') {
+        this.raiseAlert(`${job.step}_failed`, `Resolver ${job.step} failed`, job.swapId, {
+          error: (error as Error).message,
+          attempt: job.attempts,
+          willRetry: outcome === 'retry'
+        });
+      }
+      if (outcome === 'dead') {
+        this.raiseAlert('job_dead_lettered', `Job ${job.id} moved to dead-letter list`, job.swapId, {
+          step: job.step,
+          attempts: job.attempts,
+          error: job.lastError
         });
+
+        if (job.step === 'lock') {
+          await this.handleDeadLock(job, swap);
+        }
+      }
+    }
+  }
+
+  // A swap we gave up locking must not keep its inventory reserved, unless the lock landed
+  // after all: then our funds are in the escrow and must come back by refund
+  private async handleDeadLock(job: SwapJob, swap: SwapRequest): Promise<void> {
+    let locked: boolean;
+    try {
+      locked = await this.isResolverSideLocked(swap);
+    } catch (error) {
+      // Not failed while our funds may be locked; the dead-letter alert has an operator look
+      logError('resolver', error as Error, { action: 'checkDeadLock', swapId: job.swapId });
+      return;
+    }
+
+    if (!locked) {
+      await this.failSwap(job.swapId, `lock failed after ${job.attempts} attempts: ${job.lastError}`);
+      return;
+    }
+
+    logSwapEvent('resolver_lock_found', job.swapId, { escrowId: swap.destinationEscrowId });
+    await this.updateSwapStatus(job.swapId, SwapStatus.BOTH_LOCKED);
+    await this.scheduleRefund(swap);
+  }
+
+  private isJobStepDone(job: SwapJob, swap: SwapRequest): boolean {
+    const finished = [SwapStatus.COMPLETED, SwapStatus.REFUNDED, SwapStatus.FAILED, SwapStatus.EXPIRED];
+
+    switch (job.step) {
+      case 'lock':
+        return swap.status !== SwapStatus.USER_LOCKED;
+      case 'claim':
+        return finished.includes(swap.status);
+      case 'refund':
+        // A failed swap can still hold our locked funds
+        return swap.status !== SwapStatus.FAILED && finished.includes(swap.status);
+    }
+  }
+
+  private startSwapScheduler(): void {
+    const schedulerInterval = setInterval(async () => {
+      try {
+        await this.runSchedulerTick();
+      } catch (error) {
+        logError('resolver', error as Error, { action: 'runSchedulerTick' });
+      }
+    }, config.resolver.monitorInterval);
+
+    this.monitoringIntervals.set('swap-scheduler', schedulerInterval);
+  }
+
+  private async runSchedulerTick(): Promise<void> {
+    // Skip the tick while the previous one is still working through swaps
+    if (this.schedulerBusy) {
+      return;
+    }
+
+    this.schedulerBusy = true;
+    try {
+      // Swaps closest to their deadline are checked first
+      const swaps = Array.from(this.activeSwaps.values())
+        .sort((a, b) => this.getSwapDeadline(a) - this.getSwapDeadline(b));
+
+      await this.prefetchEscrowStatuses(swaps);
+
+      for (const swap of swaps) {
+        if (!this.running) {
+          break;
+        }
+
+        try {
+          await this.monitorSwap(swap.id);
+        } catch (error) {
+          logError('resolver', error as Error, { 
+            action: 'monitorSwap',
+            swapId: swap.id 
+          });
+        }
+      }
+    } finally {
+      this.escrowStatusCache.clear();
+      this.escrowStatusBlockTag = undefined;
+      this.schedulerBusy = false;
+    }
+  }
+
+  // The timelock the resolver has to act before in the swap's current state
+  private getSwapDeadline(swap: SwapRequest): number {
+    switch (swap.status) {
+      case SwapStatus.PENDING:
+      case SwapStatus.USER_LOCKED:
+        // Locking must happen before the resolver's own timelock
+        return swap.resolverTimelock;
+      default:
+        // Claiming the user's side must happen before the user's timelock
+        return swap.userTimelock;
+    }
+  }
+
+  private async prefetchEscrowStatuses(swaps: SwapRequest[]): Promise<void> {
+    const escrows: Record<ChainType, Set<string>> = {
+      [ChainType.ETHEREUM]: new Set(),
+      [ChainType.SUI]: new Set()
+    };
+
+    for (const swap of swaps) {
+      if (swap.sourceEscrowId) {
+        escrows[swap.sourceChain].add(swap.sourceEscrowId);
+      }
+      if (swap.destinationEscrowId) {
+        escrows[swap.destinationChain].add(swap.destinationEscrowId);
+      }
+    }
+
+    try {
+      await this.prefetchEthereumStatuses(Array.from(escrows[ChainType.ETHEREUM]));
+    } catch (error) {
+      // Fall back to one read per escrow, e.g. where Multicall3 is not deployed
+      logger.debug('Ethereum status batch failed', { error: (error as Error).message });
+    }
+
+    try {
+      await this.prefetchSuiStatuses(Array.from(escrows[ChainType.SUI]));
+    } catch (error) {
+      logger.debug('Sui status batch failed', { error: (error as Error).message });
+    }
+  }
+
+  private async prefetchEthereumStatuses(addresses: string[]): Promise<void> {
+    if (addresses.length === 0) {
+      return;
+    }
+
+    const ethProvider = this.chainManager.getEthereumProvider();
+
+    // Batched reads use the confirmed block, the same view checkEthereumUserLocked relies on
+    const blockTag = await this.getConfirmedEthereumBlock();
+
+    const escrowInterface = new ethers.Interface(SWAP_ESCROW_ABI);
+    const callData = escrowInterface.encodeFunctionData('getStatus');
+    const multicall = new ethers.Contract(
+      config.ethereum.multicallAddress,
+      MULTICALL3_ABI,
+      ethProvider.getProvider()
+    );
+
+    const results = await multicall.aggregate3(
+      addresses.map(target => ({ target, allowFailure: true, callData })),
+      { blockTag }
+    );
+
+    results.forEach((result: { success: boolean; returnData: string }, index: number) => {
+      if (!result.success) {
+        return;
+      }
+      const decoded = escrowInterface.decodeFunctionResult('getStatus', result.returnData);
+      this.escrowStatusCache.set(this.statusCacheKey(ChainType.ETHEREUM, addresses[index]), this.toEscrowStatus(Array.from(decoded)));
+    });
+    this.escrowStatusBlockTag = blockTag;
+  }
+
+  private async prefetchSuiStatuses(escrowIds: string[]): Promise<void> {
+    const client = this.chainManager.getSuiProvider().getClient();
+
+    for (let i = 0; i < escrowIds.length; i += SUI_MULTI_GET_LIMIT) {
+      const objects = await client.multiGetObjects({
+        ids: escrowIds.slice(i, i + SUI_MULTI_GET_LIMIT),
+        options: { showContent: true },
+      });
+
+      for (const object of objects) {
+        const content = object.data?.content;
+        if (!object.data || content?.dataType !== 'moveObject') {
+          continue;
+        }
+
+        this.suiEscrowCoinTypes.set(object.data.objectId, this.parseSuiEscrowType(content.type));
+
+        // Same field order as sui_swap_escrow::get_escrow_status
+        const fields = content.fields as any;
+        this.escrowStatusCache.set(this.statusCacheKey(ChainType.SUI, object.data.objectId), this.toEscrowStatus([
+          fields.user_locked,
+          fields.user_claimed,
+          fields.user_refunded,
+          fields.resolver_locked,
+          fields.resolver_claimed,
+          fields.resolver_refunded,
+          fields.revealed_secret.length > 0,
+          fields.is_destroyed
+        ]));
       }
-    }, 10000); // Monitor every 10 seconds
+    }
+  }
 
-    this.monitoringIntervals.set(swapId, monitorInterval);
+  private statusCacheKey(chain: ChainType, escrowId: string): string {
+    return `${chain}:${escrowId.toLowerCase()}`;
   }
 
-  private async monitorSwap(swapId: string, swap: SwapRequest): Promise<void> {
+  private async monitorSwap(swapId: string): Promise<void> {
     const currentSwap = this.activeSwaps.get(swapId);
     if (!currentSwap) return;
 
@@ -356,6 +889,10 @@ export class ResolverService extends EventEmitter {
         await this.handleUserClaimedSwap(swapId, currentSwap);
         break;
       
+      case SwapStatus.RESOLVER_CLAIMED:
+        await this.handleResolverClaimedSwap(swapId, currentSwap);
+        break;
+      
       default:
         // Swap is complete or failed, stop monitoring
         this.stopSwapMonitoring(swapId);
@@ -368,6 +905,37 @@ export class ResolverService extends EventEmitter {
     const userLocked = await this.checkUserLocked(swap);
     
     if (userLocked) {
+      // A signed quote is honoured even if prices have moved since it was issued
+      if (!await this.honourQuote(swap)) {
+        const counterpart = tokenRegistry.getCounterpart(swap.sourceChain, swap.sourceToken);
+        if (!counterpart) {
+          const reason = `unsupported source token ${swap.sourceToken}`;
+          logSwapEvent('swap_skipped', swapId, { reason });
+          await this.failSwap(swapId, reason);
+          return;
+        }
+        swap.destinationToken = counterpart.address;
+
+        // The user's amount is only known once locked, so the swap is priced here
+        const result = await this.profitabilityEngine.evaluate(swap);
+        if (!result.profitable) {
+          logSwapEvent('swap_skipped', swapId, { reason: result.reason, ...result.quote });
+          await this.failSwap(swapId, result.reason);
+          return;
+        }
+
+        swap.destinationAmount = result.quote.destinationAmount;
+        logSwapEvent('swap_priced', swapId, { ...result.quote });
+      }
+
+      // Accepting the swap reserves its destination amount until we lock
+      const capacity = await this.inventoryService.checkCapacity(swap);
+      if (!capacity.accepted) {
+        logSwapEvent('swap_refused', swapId, { reason: capacity.reason });
+        await this.failSwap(swapId, capacity.reason);
+        return;
+      }
+
       await this.updateSwapStatus(swapId, SwapStatus.USER_LOCKED);
       logSwapEvent('user_locked', swapId);
     }
@@ -379,17 +947,30 @@ export class ResolverService extends EventEmitter {
     }
   }
 
+  private async honourQuote(swap: SwapRequest): Promise<boolean> {
+    if (!swap.quoteId) {
+      return false;
+    }
+
+    const quote = await this.database.getQuote(swap.quoteId);
+    if (quote && this.quoteService.matchesLock(quote, swap)) {
+      return true;
+    }
+
+    // The user locked something other than what was quoted; price it from scratch
+    logSwapEvent('quote_not_honoured', swap.id, {
+      quotedAmount: quote?.sourceAmount,
+      lockedAmount: swap.sourceAmount
+    });
+    swap.quoteId = undefined;
+    swap.destinationAmount = '0';
+    return false;
+  }
+
   private async handleUserLockedSwap(swapId: string, swap: SwapRequest): Promise<void> {
-    try {
-      // User has locked, now resolver should create matching escrow and lock on destination chain
-      await this.createAndLockResolverSide(swapId, swap);
-      await this.updateSwapStatus(swapId, SwapStatus.BOTH_LOCKED);
-      logSwapEvent('resolver_locked', swapId);
-    } catch (error) {
-      logError('resolver', error as Error, { 
-        action: 'handleUserLockedSwap',
-        swapId 
-      });
+    // User has locked, now resolver should create matching escrow and lock on destination chain
+    if (await this.jobQueue.enqueue(swapId, 'lock')) {
+      logSwapEvent('lock_queued', swapId);
     }
   }
 
@@ -398,13 +979,34 @@ export class ResolverService extends EventEmitter {
     const userClaimed = await this.checkUserClaimed(swap);
     const resolverClaimed = await this.checkResolverClaimed(swap);
     
-    if (userClaimed && !resolverClaimed) {
-      // User claimed, resolver should claim too using revealed secret
-      await this.claimResolverSide(swapId, swap);
+    if (userClaimed && resolverClaimed) {
+      // Both claims went through, e.g. our claim landed before its job recorded it
       await this.updateSwapStatus(swapId, SwapStatus.COMPLETED);
       logSwapEvent('swap_completed', swapId);
-    } else if (resolverClaimed && !userClaimed) {
+    } else if (userClaimed) {
+      // User claimed, resolver should claim too using revealed secret
+      if (await this.jobQueue.enqueue(swapId, 'claim')) {
+        logSwapEvent('claim_queued', swapId);
+      }
+    } else if (resolverClaimed) {
       await this.updateSwapStatus(swapId, SwapStatus.RESOLVER_CLAIMED);
+    } else if (Date.now() > swap.resolverTimelock && swap.destinationEscrowId) {
+      // Nobody claimed in time, so the user never revealed the secret; take our funds back
+      await this.scheduleRefund(swap);
+    }
+  }
+
+  private async handleResolverClaimedSwap(swapId: string, swap: SwapRequest): Promise<void> {
+    // Our side is paid; the swap completes once the user claims the destination escrow
+    if (await this.checkUserClaimed(swap)) {
+      await this.updateSwapStatus(swapId, SwapStatus.COMPLETED);
+      logSwapEvent('swap_completed', swapId);
+      return;
+    }
+
+    // A user who never claims leaves our destination funds to refund
+    if (Date.now() > swap.resolverTimelock && swap.destinationEscrowId) {
+      await this.scheduleRefund(swap);
     }
   }
 
@@ -419,19 +1021,260 @@ export class ResolverService extends EventEmitter {
   }
 
   private async checkUserLocked(swap: SwapRequest): Promise<boolean> {
-    // Implementation to check if user has locked funds
-    // Would query the escrow contract on the source chain
-    return false; // Placeholder
-  }
+    if (!swap.sourceEscrowId) {
+      return false;
+    }
+
+    if (swap.sourceChain === ChainType.ETHEREUM) {
+      return await this.checkEthereumUserLocked(swap, swap.sourceEscrowId);
+    }
+
+    return await this.checkSuiUserLocked(swap, swap.sourceEscrowId);
+  }
+
+  private async checkEthereumUserLocked(swap: SwapRequest, escrowAddress: string): Promise<boolean> {
+    // Read escrow state as of the newest block that has enough confirmations; a cached status
+    // was read at the batch's block, so the lock details are read there too
+    const cached = this.escrowStatusCache.get(this.statusCacheKey(ChainType.ETHEREUM, escrowAddress));
+    const blockTag = cached && this.escrowStatusBlockTag !== undefined
+      ? this.escrowStatusBlockTag
+      : await this.getConfirmedEthereumBlock();
+
+    const status = cached ?? await this.getEthereumEscrowStatus(escrowAddress, blockTag);
+    if (!status.userLocked) {
+      return false;
+    }
+
+    const userSide = await this.getEthereumEscrow(escrowAddress).userSide({ blockTag });
+    swap.sourceAmount = userSide.amount.toString();
+    swap.sourceToken = userSide.token;
+
+    return true;
+  }
+
+  private async checkSuiUserLocked(swap: SwapRequest, escrowId: string): Promise<boolean> {
+    const suiProvider = this.chainManager.getSuiProvider();
+    const { confirmations } = getChainConfig(ChainType.SUI);
+
+    const status = await this.getEscrowStatus(ChainType.SUI, escrowId);
+    if (!status.userLocked) {
+      return false;
+    }
+
+    // The lock is the last transaction to touch the escrow until the resolver responds
+    const escrowObject = await suiProvider.getObject(escrowId);
+    const lockCheckpoint = await suiProvider.getTransactionCheckpoint(
+      escrowObject.data.previousTransaction
+    );
+    if (lockCheckpoint === null) {
+      return false;
+    }
+
+    const latestCheckpoint = await suiProvider.getBlockNumber();
+    if (latestCheckpoint - lockCheckpoint + 1 < confirmations) {
+      return false;
+    }
+
+    swap.sourceAmount = escrowObject.data.content.fields.user_amount.toString();
+    swap.sourceToken = await this.getSuiEscrowCoinType(escrowId);
+
+    return true;
+  }
+
+  private async getConfirmedEthereumBlock(): Promise<number> {
+    const { confirmations } = getChainConfig(ChainType.ETHEREUM);
+    const latestBlock = await this.chainManager.getEthereumProvider().getBlockNumber();
+    return Math.max(latestBlock - confirmations + 1, 0);
+  }
+
+  private getEthereumEscrow(escrowAddress: string): ethers.Contract {
+    const ethProvider = this.chainManager.getEthereumProvider();
+    return new ethers.Contract(escrowAddress, SWAP_ESCROW_ABI, ethProvider.getWallet());
+  }
+
+  private async getEthereumEscrowStatus(
+    escrowAddress: string,
+    blockTag: number | string = 'latest'
+  ): Promise<EscrowStatus> {
+    const status = await this.getEthereumEscrow(escrowAddress).getStatus({ blockTag });
+    return this.toEscrowStatus(Array.from(status));
+  }
+
+  private async getSuiEscrowStatus(escrowId: string): Promise<EscrowStatus> {
+    const suiProvider = this.chainManager.getSuiProvider();
+
+    const txb = new TransactionBlock();
+    txb.moveCall({
+      target: `${this.suiPackageId}::sui_swap_escrow::get_escrow_status`,
+      typeArguments: [await this.getSuiEscrowCoinType(escrowId)],
+      arguments: [txb.object(escrowId)],
+    });
+
+    const result = await suiProvider.devInspectTransaction(txb);
+    const returnValues: Array<[number[], string]> = result.results?.[0]?.returnValues || [];
+
+    // Each return value is a BCS-encoded bool
+    return this.toEscrowStatus(returnValues.map(([bytes]) => bytes[0] === 1));
+  }
+
+  private toEscrowStatus(flags: any[]): EscrowStatus {
+    const [
+      userLocked,
+      userClaimed,
+      userRefunded,
+      resolverLocked,
+      resolverClaimed,
+      resolverRefunded,
+      secretRevealed,
+      destroyed
+    ] = flags.map(flag => Boolean(flag));
+
+    return {
+      userLocked,
+      userClaimed,
+      userRefunded,
+      resolverLocked,
+      resolverClaimed,
+      resolverRefunded,
+      secretRevealed,
+      destroyed
+    };
+  }
 
   private async checkUserClaimed(swap: SwapRequest): Promise<boolean> {
-    // Implementation to check if user has claimed funds
-    return false; // Placeholder
+    // The user claims the resolver's side of the destination escrow
+    if (!swap.destinationEscrowId) {
+      return false;
+    }
+
+    const status = await this.getEscrowStatus(swap.destinationChain, swap.destinationEscrowId);
+    if (!status.resolverClaimed) {
+      return false;
+    }
+
+    await this.extractSecret(swap, swap.destinationChain, swap.destinationEscrowId);
+
+    // Without the secret the resolver cannot claim its own side yet
+    return Boolean(swap.secret);
   }
 
   private async checkResolverClaimed(swap: SwapRequest): Promise<boolean> {
-    // Implementation to check if resolver has claimed funds
-    return false; // Placeholder
+    // The resolver claims the user's side of the source escrow
+    if (!swap.sourceEscrowId) {
+      return false;
+    }
+
+    const status = await this.getEscrowStatus(swap.sourceChain, swap.sourceEscrowId);
+    if (!status.userClaimed) {
+      return false;
+    }
+
+    await this.extractSecret(swap, swap.sourceChain, swap.sourceEscrowId);
+    return true;
+  }
+
+  private async getEscrowStatus(chain: ChainType, escrowId: string): Promise<EscrowStatus> {
+    const cached = this.escrowStatusCache.get(this.statusCacheKey(chain, escrowId));
+    if (cached) {
+      return cached;
+    }
+
+    if (chain === ChainType.ETHEREUM) {
+      return await this.getEthereumEscrowStatus(escrowId);
+    }
+
+    return await this.getSuiEscrowStatus(escrowId);
+  }
+
+  private async extractSecret(swap: SwapRequest, chain: ChainType, escrowId: string): Promise<void> {
+    if (swap.secret) {
+      return;
+    }
+
+    const claim = chain === ChainType.ETHEREUM
+      ? await this.findEthereumClaim(swap, escrowId)
+      : await this.findSuiClaim(swap, escrowId);
+
+    if (!claim) {
+      return;
+    }
+
+    const secretHash = ethers.keccak256(ethers.toUtf8Bytes(claim.secret));
+    if (secretHash.toLowerCase() !== swap.secretHash.toLowerCase()) {
+      logger.warn('Claimed secret does not match swap secret hash', {
+        swapId: swap.id,
+        chain,
+        txHash: claim.txHash
+      });
+      return;
+    }
+
+    await this.database.recordSecretReveal({
+      swapId: swap.id,
+      htlcId: escrowId,
+      secret: claim.secret,
+      secretHash: swap.secretHash,
+      revealedBy: claim.claimer,
+      chain,
+      txHash: claim.txHash,
+      blockNumber: claim.blockNumber,
+      revealedAt: new Date()
+    });
+
+    swap.secret = claim.secret;
+    swap.updatedAt = new Date();
+    await this.database.updateSwap(swap);
+
+    logSwapEvent('secret_revealed', swap.id, { chain, txHash: claim.txHash });
+  }
+
+  private async findEthereumClaim(swap: SwapRequest, escrowAddress: string): Promise<ClaimEvent | null> {
+    const escrow = this.getEthereumEscrow(escrowAddress);
+
+    // Start from the block the escrow was locked in when we know it
+    const htlcs = await this.database.getHTLCsBySwap(swap.id);
+    const htlc = htlcs.find(h => h.id.toLowerCase() === escrowAddress.toLowerCase());
+
+    const events = await escrow.queryFilter(escrow.filters.EscrowClaimed(), htlc?.blockNumber || 0);
+    const claim = events.find((event): event is ethers.EventLog => 'args' in event);
+    if (!claim) {
+      return null;
+    }
+
+    return {
+      secret: claim.args.secret,
+      claimer: claim.args.claimer,
+      txHash: claim.transactionHash,
+      blockNumber: claim.blockNumber
+    };
+  }
+
+  // Read from the escrow itself: claim events are only indexed globally, so a search
+  // through them can miss an older claim and lose the secret
+  private async findSuiClaim(swap: SwapRequest, escrowId: string): Promise<ClaimEvent | null> {
+    const suiProvider = this.chainManager.getSuiProvider();
+    const escrowObject = await suiProvider.getObject(escrowId);
+    const fields = escrowObject.data?.content?.fields;
+
+    if (!fields?.revealed_secret) {
+      logger.debug('No Sui claim found yet', { swapId: swap.id, escrowId });
+      return null;
+    }
+
+    // claim_funds only pays a side's beneficiary, so whoever claimed is named in the escrow;
+    // the claim is the last transaction to touch it until the other side is settled
+    const txHash = escrowObject.data.previousTransaction;
+    const checkpoint = await suiProvider.getTransactionCheckpoint(txHash);
+    return {
+      secret: fields.revealed_secret,
+      claimer: fields.resolver_claimed ? fields.resolver_beneficiary : fields.user_beneficiary,
+      txHash,
+      blockNumber: checkpoint ?? undefined
+    };
+  }
+
+  private suiBytesToHex(bytes: number[]): string {
+    return `0x${Buffer.from(bytes).toString('hex')}`;
   }
 
   private async createAndLockResolverSide(swapId: string, swap: SwapRequest): Promise<void> {
@@ -445,39 +1288,482 @@ export class ResolverService extends EventEmitter {
     }
   }
 
+  // A lock that landed after its attempt gave up waiting would be refused a second time, so a
+  // retried lock checks first. Read from chain, as the tick's status cache may predate the lock.
+  private async isResolverSideLocked(swap: SwapRequest): Promise<boolean> {
+    if (!swap.destinationEscrowId) {
+      return false;
+    }
+
+    const status = swap.destinationChain === ChainType.ETHEREUM
+      ? await this.getEthereumEscrowStatus(swap.destinationEscrowId)
+      : await this.getSuiEscrowStatus(swap.destinationEscrowId);
+    return status.resolverLocked;
+  }
+
   private async createSuiEscrowAndLock(swapId: string, swap: SwapRequest): Promise<void> {
     const suiProvider = this.chainManager.getSuiProvider();
     
-    // Create escrow on Sui
-    const txb = new TransactionBlock();
+    // Reuse an escrow created by a previous attempt that failed to lock
+    if (!swap.destinationEscrowId) {
+      const txb = new TransactionBlock();
+      addCreateDestinationEscrow(txb, {
+        coinType: swap.destinationToken,
+        swapId,
+        userAddress: swap.recipientAddress!,
+        secretHash: swap.secretHash,
+        userTimelock: swap.userTimelock,
+        resolverTimelock: swap.resolverTimelock
+      }, this.suiPackageId, this.suiFactoryId);
+
+      const result = await suiProvider.sendTransaction(txb);
+      const receipt = await suiProvider.waitForTransaction(result);
+      await this.recordGasSpent(swapId, ChainType.SUI, 'create_escrow', result, this.getSuiGasCost(receipt));
+      
+      swap.destinationEscrowId = this.extractSuiEscrowId(receipt);
+      swap.updatedAt = new Date();
+      await this.database.updateSwap(swap);
+      
+      logSwapEvent('sui_escrow_created', swapId, {
+        escrowId: swap.destinationEscrowId,
+        digest: result
+      });
+    }
+
+    if (await this.isResolverSideLocked(swap)) {
+      logSwapEvent('resolver_lock_found', swapId, { escrowId: swap.destinationEscrowId });
+      return;
+    }
+
+    // Lock resolver funds
+    const lockTxb = new TransactionBlock();
+    const lockCoin = await this.splitSuiCoin(lockTxb, swap.destinationToken, swap.destinationAmount);
     
-    txb.moveCall({
-      target: `${this.suiPackageId}::sui_swap_escrow::create_swap_escrow`,
+    lockTxb.moveCall({
+      target: `${this.suiPackageId}::sui_swap_escrow::lock_resolver_side`,
+      typeArguments: [swap.destinationToken],
       arguments: [
-        txb.object(this.suiFactoryId),
-        txb.pure(Array.from(Buffer.from(swapId.replace('0x', ''), 'hex'))),
-        txb.pure(swap.userAddress),
-        txb.pure(Array.from(Buffer.from(swap.secretHash.replace('0x', ''), 'hex'))),
-        txb.pure(swap.resolverTimelock),
-        txb.pure(swap.userTimelock),
-        txb.object('0x6'), // Clock object
+        lockTxb.object(swap.destinationEscrowId),
+        lockCoin,
+        lockTxb.object('0x6'), // Clock object
       ],
     });
 
-    const result = await suiProvider.sendTransaction(txb);
-    const receipt = await suiProvider.waitForTransaction(result);
+    const lockDigest = await suiProvider.sendTransaction(lockTxb);
+    const lockReceipt = await suiProvider.waitForTransaction(lockDigest);
+    await this.recordGasSpent(swapId, ChainType.SUI, 'lock', lockDigest, this.getSuiGasCost(lockReceipt));
     
-    // Extract escrow ID from events
-    // Then lock resolver funds...
+    await this.database.createHTLC({
+      id: swap.destinationEscrowId,
+      swapId,
+      chain: ChainType.SUI,
+      sender: suiProvider.getAddress(),
+      beneficiary: swap.recipientAddress!,
+      token: swap.destinationToken,
+      amount: swap.destinationAmount,
+      hashLock: swap.secretHash,
+      timelock: swap.resolverTimelock,
+      claimed: false,
+      refunded: false,
+      txHash: lockDigest,
+      blockNumber: lockReceipt.checkpoint ? parseInt(lockReceipt.checkpoint) : undefined,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+  }
+
+  // A coin of exactly `amount`, split from the gas coin for SUI or from merged coins of the type
+  private async splitSuiCoin(
+    txb: TransactionBlock,
+    coinType: string,
+    amount: string
+  ): Promise<TransactionArgument> {
+    if (isNativeToken(ChainType.SUI, coinType)) {
+      const [coin] = txb.splitCoins(txb.gas, [txb.pure.u64(amount)]);
+      return coin;
+    }
+
+    const coins = await this.chainManager.getSuiProvider().getCoins(coinType, amount);
+    const [primary, ...others] = coins.map(coin => txb.object(coin.coinObjectId));
+    if (others.length > 0) {
+      txb.mergeCoins(primary, others);
+    }
+
+    const [coin] = txb.splitCoins(primary, [txb.pure.u64(amount)]);
+    return coin;
+  }
+
+  // The escrow's type argument, e.g. 0x2::sui::SUI for SwapEscrow<0x2::sui::SUI>
+  private async getSuiEscrowCoinType(escrowId: string): Promise<string> {
+    const cached = this.suiEscrowCoinTypes.get(escrowId);
+    if (cached) {
+      return cached;
+    }
+
+    const escrowObject = await this.chainManager.getSuiProvider().getObject(escrowId);
+    const coinType = this.parseSuiEscrowType(escrowObject.data.type);
+    this.suiEscrowCoinTypes.set(escrowId, coinType);
+    return coinType;
+  }
+
+  private parseSuiEscrowType(objectType: string): string {
+    const start = objectType.indexOf('<');
+    if (start === -1) {
+      throw new Error(`Not a generic SwapEscrow: ${objectType}`);
+    }
+    return normalizeToken(ChainType.SUI, objectType.slice(start + 1, -1));
+  }
+
+  // type_name strings in events carry no 0x prefix
+  private parseSuiCoinType(typeName: string): string {
+    return normalizeToken(ChainType.SUI, typeName.startsWith('0x') ? typeName : `0x${typeName}`);
+  }
+
+  private extractSuiEscrowId(receipt: any): string {
+    const createdEvent = (receipt.events || []).find((event: any) =>
+      event.type.endsWith('::sui_swap_escrow::DestinationEscrowCreated')
+    );
+    if (createdEvent) {
+      return createdEvent.parsedJson.escrow_id;
+    }
+
+    // Fall back to the shared object created by the transaction
+    const sharedObject = (receipt.effects?.created || []).find((created: any) =>
+      typeof created.owner === 'object' && 'Shared' in created.owner
+    );
+    if (sharedObject) {
+      return sharedObject.reference.objectId;
+    }
+
+    throw new Error(`No SwapEscrow created in transaction ${receipt.digest}`);
   }
 
   private async createEthereumEscrowAndLock(swapId: string, swap: SwapRequest): Promise<void> {
-    // Implementation for Ethereum escrow creation and locking
+    const ethProvider = this.chainManager.getEthereumProvider();
+    const resolverAddress = ethProvider.getWallet().address;
+
+    // Reuse an escrow created by a previous attempt that failed to lock
+    if (!swap.destinationEscrowId) {
+      // Swaps track timelocks in milliseconds; the contracts expect seconds
+      // The factory makes us the locker of the resolver side and the user its beneficiary
+      const request = await this.ethFactoryContract!.createDestinationEscrow.populateTransaction(
+        swapId,
+        swap.recipientAddress,
+        swap.secretHash,
+        Math.floor(swap.userTimelock / 1000),
+        Math.floor(swap.resolverTimelock / 1000)
+      );
+      const receipt = await this.ethTransactions.send('create_escrow', request, { swapId });
+      await this.recordGasSpent(swapId, ChainType.ETHEREUM, 'create_escrow', receipt.hash, receipt.fee);
+
+      swap.destinationEscrowId = this.extractEthereumEscrowAddress(receipt);
+      swap.updatedAt = new Date();
+      await this.database.updateSwap(swap);
+
+      logTransaction('ethereum', receipt.hash, 'createDestinationEscrow', {
+        swapId,
+        escrowAddress: swap.destinationEscrowId
+      });
+    }
+
+    if (await this.isResolverSideLocked(swap)) {
+      logSwapEvent('resolver_lock_found', swapId, { escrowId: swap.destinationEscrowId });
+      return;
+    }
+
+    const escrowAddress = swap.destinationEscrowId;
+    const amount = BigInt(swap.destinationAmount);
+    const isNative = isNativeToken(ChainType.ETHEREUM, swap.destinationToken);
+    const token = isNative ? ethers.ZeroAddress : swap.destinationToken;
+
+    if (!isNative) {
+      await this.ensureErc20Allowance(swapId, token, escrowAddress, amount);
+    }
+
+    const escrow = this.getEthereumEscrow(escrowAddress);
+    const lockRequest = await escrow.lockResolverSide.populateTransaction(token, amount, {
+      value: isNative ? amount : BigInt(0)
+    });
+    const lockReceipt = await this.ethTransactions.send('lock', lockRequest, { swapId });
+    await this.recordGasSpent(swapId, ChainType.ETHEREUM, 'lock', lockReceipt.hash, lockReceipt.fee);
+
+    logTransaction('ethereum', lockReceipt.hash, 'lockResolverSide', {
+      swapId,
+      escrowAddress,
+      amount: amount.toString()
+    });
+
+    await this.database.createHTLC({
+      id: escrowAddress,
+      swapId,
+      chain: ChainType.ETHEREUM,
+      sender: resolverAddress,
+      beneficiary: swap.recipientAddress!,
+      token,
+      amount: amount.toString(),
+      hashLock: swap.secretHash,
+      timelock: swap.resolverTimelock,
+      claimed: false,
+      refunded: false,
+      txHash: lockReceipt.hash,
+      blockNumber: lockReceipt.blockNumber,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+  }
+
+  private extractEthereumEscrowAddress(receipt: ethers.TransactionReceipt): string {
+    const factoryInterface = this.ethFactoryContract!.interface;
+
+    for (const log of receipt.logs) {
+      const parsed = factoryInterface.parseLog(log);
+      if (parsed?.name === 'DestinationEscrowCreated') {
+        return parsed.args.escrowAddress;
+      }
+    }
+
+    throw new Error(`No DestinationEscrowCreated event in transaction ${receipt.hash}`);
+  }
+
+  private async ensureErc20Allowance(swapId: string, token: string, spender: string, amount: bigint): Promise<void> {
+    const wallet = this.chainManager.getEthereumProvider().getWallet();
+    const erc20 = new ethers.Contract(token, ERC20_ABI, wallet);
+
+    const allowance: bigint = await erc20.allowance(wallet.address, spender);
+    if (allowance >= amount) {
+      return;
+    }
+
+    // Tokens such as USDT refuse to change a non-zero allowance directly
+    if (allowance > BigInt(0)) {
+      const resetRequest = await erc20.approve.populateTransaction(spender, 0);
+      const resetReceipt = await this.ethTransactions.send('approve', resetRequest, { swapId });
+      await this.recordGasSpent(swapId, ChainType.ETHEREUM, 'approve', resetReceipt.hash, resetReceipt.fee);
+    }
+
+    const request = await erc20.approve.populateTransaction(spender, amount);
+    const receipt = await this.ethTransactions.send('approve', request, { swapId });
+    await this.recordGasSpent(swapId, ChainType.ETHEREUM, 'approve', receipt.hash, receipt.fee);
+
+    logTransaction('ethereum', receipt.hash, 'approve', {
+      token,
+      spender,
+      amount: amount.toString()
+    });
   }
 
   private async claimResolverSide(swapId: string, swap: SwapRequest): Promise<void> {
-    // Implementation to claim resolver funds using revealed secret
     logSwapEvent('claiming_resolver_funds', swapId);
+
+    if (!swap.secret || !swap.sourceEscrowId) {
+      throw new Error(`Swap ${swapId} has no revealed secret or source escrow`);
+    }
+
+    // The user's side of the source escrow stays claimable until the user timelock
+    if (Date.now() >= swap.userTimelock) {
+      throw new Error(`User timelock passed before resolver claimed swap ${swapId}`);
+    }
+
+    const { txHash, blockNumber, gasCost } = swap.sourceChain === ChainType.ETHEREUM
+      ? await this.claimEthereumSide(swap, swap.sourceEscrowId, swap.secret)
+      : await this.claimSuiSide(swap.sourceEscrowId, swap.secret);
+    await this.recordGasSpent(swapId, swap.sourceChain, 'claim', txHash, gasCost);
+
+    await this.recordSourceClaim(swap, txHash, blockNumber);
+    logSwapEvent('resolver_claimed', swapId, { txHash });
+  }
+
+  private async claimEthereumSide(
+    swap: SwapRequest,
+    escrowAddress: string,
+    secret: string
+  ): Promise<{ txHash: string; blockNumber?: number; gasCost: bigint }> {
+    const { confirmations } = getChainConfig(ChainType.ETHEREUM);
+    const escrow = this.getEthereumEscrow(escrowAddress);
+
+    // The user's side is claimable until the user timelock, so the claim may pay more near it
+    const request = await escrow.claimFunds.populateTransaction(secret, EscrowSide.USER);
+    const receipt = await this.ethTransactions.send('claim', request, {
+      swapId: swap.id,
+      deadline: swap.userTimelock,
+      confirmations
+    });
+
+    logTransaction('ethereum', receipt.hash, 'claimFunds', { escrowAddress });
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber, gasCost: receipt.fee };
+  }
+
+  private async claimSuiSide(
+    escrowId: string,
+    secret: string
+  ): Promise<{ txHash: string; blockNumber?: number; gasCost: bigint }> {
+    const suiProvider = this.chainManager.getSuiProvider();
+
+    const txb = new TransactionBlock();
+    txb.moveCall({
+      target: `${this.suiPackageId}::sui_swap_escrow::claim_funds`,
+      typeArguments: [await this.getSuiEscrowCoinType(escrowId)],
+      arguments: [
+        txb.object(escrowId),
+        txb.pure.string(secret),
+        txb.pure.u8(EscrowSide.USER),
+        txb.object('0x6'), // Clock object
+      ],
+    });
+
+    const digest = await suiProvider.sendTransaction(txb);
+    const receipt = await suiProvider.waitForTransaction(digest);
+
+    logTransaction('sui', digest, 'claim_funds', { escrowId });
+    return {
+      txHash: digest,
+      blockNumber: receipt.checkpoint ? parseInt(receipt.checkpoint) : undefined,
+      gasCost: this.getSuiGasCost(receipt)
+    };
+  }
+
+  private async recordSourceClaim(swap: SwapRequest, txHash: string, blockNumber?: number): Promise<void> {
+    const htlcs = await this.database.getHTLCsBySwap(swap.id);
+    const existing = htlcs.find(htlc => htlc.id === swap.sourceEscrowId);
+
+    if (existing) {
+      existing.claimed = true;
+      existing.claimTxHash = txHash;
+      existing.updatedAt = new Date();
+      await this.database.updateHTLC(existing);
+      return;
+    }
+
+    // The user's lock transaction is not tracked, so the row is keyed to the claim
+    await this.database.createHTLC({
+      id: swap.sourceEscrowId!,
+      swapId: swap.id,
+      chain: swap.sourceChain,
+      sender: swap.userAddress,
+      beneficiary: swap.resolverAddress,
+      token: swap.sourceToken,
+      amount: swap.sourceAmount,
+      hashLock: swap.secretHash,
+      timelock: swap.userTimelock,
+      claimed: true,
+      refunded: false,
+      txHash,
+      claimTxHash: txHash,
+      blockNumber,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+  }
+
+  private raiseAlert(type: string, message: string, swapId?: string, data?: any): void {
+    const alert: ResolverAlert = { type, swapId, message, data, timestamp: new Date() };
+    logger.error(`Resolver alert: ${message}`, { type, swapId, ...data });
+    this.emit('alert', alert);
+  }
+
+  // For conditions checked repeatedly: alerts on the first check that finds the condition
+  private raiseAlertOnce(key: string, type: string, message: string, swapId?: string, data?: any): void {
+    if (this.openAlerts.has(key)) {
+      return;
+    }
+    this.openAlerts.add(key);
+    this.raiseAlert(type, message, swapId, data);
+  }
+
+  private clearAlert(key: string): void {
+    if (this.openAlerts.delete(key)) {
+      logger.info('Resolver alert cleared', { alert: key });
+    }
+  }
+
+  private startAlertChecks(): void {
+    const alertInterval = setInterval(async () => {
+      try {
+        await this.runAlertChecks();
+      } catch (error) {
+        logError('monitor', error as Error, { action: 'runAlertChecks' });
+      }
+    }, config.alerts.checkInterval);
+
+    this.monitoringIntervals.set('alert-checks', alertInterval);
+  }
+
+  private async runAlertChecks(): Promise<void> {
+    const reachable = await this.checkProviders();
+    this.checkUnconfirmedClaims();
+
+    // Balances cannot be read while a chain is unreachable
+    if (reachable) {
+      await this.checkBalances();
+    }
+  }
+
+  private async checkProviders(): Promise<boolean> {
+    let reachable = true;
+
+    for (const chain of [ChainType.ETHEREUM, ChainType.SUI]) {
+      const key = `provider_disconnected:${chain}`;
+      try {
+        await this.chainManager.getProvider(chain).getBlockNumber();
+        this.clearAlert(key);
+      } catch (error) {
+        reachable = false;
+        this.raiseAlertOnce(key, 'provider_disconnected', `${chain} provider unreachable`, undefined, {
+          chain,
+          error: (error as Error).message
+        });
+      }
+    }
+
+    return reachable;
+  }
+
+  // The secret is public once revealed, so an unclaimed source side is at risk until we claim it
+  private checkUnconfirmedClaims(): void {
+    const now = Date.now();
+    // Past these our claim of the source side is confirmed, or there is nothing left to claim
+    const claimPending = [SwapStatus.BOTH_LOCKED, SwapStatus.USER_CLAIMED];
+
+    for (const swap of this.activeSwaps.values()) {
+      if (!swap.secret || !claimPending.includes(swap.status)) {
+        continue;
+      }
+
+      const deadline = this.getSwapDeadline(swap);
+      if (deadline - now < config.alerts.claimWindow) {
+        this.raiseAlertOnce(`claim_unconfirmed:${swap.id}`, 'claim_unconfirmed', 'Secret revealed but claim not confirmed', swap.id, {
+          status: swap.status,
+          deadline: new Date(deadline).toISOString(),
+          minutesLeft: Math.floor((deadline - now) / 60000)
+        });
+      }
+    }
+  }
+
+  private async checkBalances(): Promise<void> {
+    const thresholds = config.alerts.lowBalanceThresholds;
+    if (Object.keys(thresholds).length === 0) {
+      return;
+    }
+
+    for (const balance of await this.inventoryService.getInventory()) {
+      const threshold = thresholds[`${balance.chain}:${balance.token}`];
+      if (threshold === undefined) {
+        continue;
+      }
+
+      const key = `low_balance:${balance.chain}:${balance.token}`;
+      if (BigInt(balance.total) < BigInt(threshold)) {
+        this.raiseAlertOnce(key, 'low_balance', `${balance.symbol} balance on ${balance.chain} below threshold`, undefined, {
+          chain: balance.chain,
+          token: balance.token,
+          balance: balance.total,
+          threshold
+        });
+      } else {
+        this.clearAlert(key);
+      }
+    }
   }
 
   private async updateSwapStatus(swapId: string, newStatus: SwapStatus): Promise<void> {
@@ -491,25 +1777,99 @@ export class ResolverService extends EventEmitter {
     await this.database.updateSwap(swap);
     this.activeSwaps.set(swapId, swap);
 
+    const enteredAt = this.statusEnteredAt.get(swapId);
+    if (enteredAt !== undefined) {
+      swapStateDuration.observe({ status: oldStatus }, (swap.updatedAt.getTime() - enteredAt) / 1000);
+    }
+    this.statusEnteredAt.set(swapId, swap.updatedAt.getTime());
+
     logSwapStatus(swapId, oldStatus, newStatus);
     this.emit('swapStatusChanged', { swapId, oldStatus, newStatus, swap });
   }
 
+  private async failSwap(swapId: string, reason: string): Promise<void> {
+    const swap = this.activeSwaps.get(swapId);
+    if (!swap) return;
+
+    // Persisted together with the status change
+    swap.failureReason = reason;
+    await this.updateSwapStatus(swapId, SwapStatus.FAILED);
+  }
+
   private stopSwapMonitoring(swapId: string): void {
-    const interval = this.monitoringIntervals.get(swapId);
-    if (interval) {
-      clearInterval(interval);
-      this.monitoringIntervals.delete(swapId);
-    }
-    
     // Remove from active swaps if completed
     const swap = this.activeSwaps.get(swapId);
-    if (swap && [SwapStatus.COMPLETED, SwapStatus.FAILED, SwapStatus.EXPIRED].includes(swap.status)) {
+    if (swap && [SwapStatus.COMPLETED, SwapStatus.FAILED, SwapStatus.EXPIRED, SwapStatus.REFUNDED].includes(swap.status)) {
       this.activeSwaps.delete(swapId);
+      this.statusEnteredAt.delete(swapId);
+      this.openAlerts.delete(`claim_unconfirmed:${swapId}`);
+    }
+  }
+
+  // Refreshes the gauges that are read rather than recorded, on each metrics scrape
+  private async collectMetrics(): Promise<void> {
+    const counts = await this.database.countSwapsByStatus();
+    swapsByStatus.reset();
+    for (const status of Object.values(SwapStatus)) {
+      swapsByStatus.set({ status }, counts[status] || 0);
+    }
+
+    jobsPending.set({}, await this.jobQueue.size());
+    jobsDead.set({}, (await this.jobQueue.getDeadLetters()).length);
+
+    const now = Date.now();
+    const nearTimelock: Record<string, number> = {};
+    for (const swap of this.activeSwaps.values()) {
+      if (this.getSwapDeadline(swap) - now < config.monitoring.timelockWarning) {
+        nearTimelock[swap.status] = (nearTimelock[swap.status] || 0) + 1;
+      }
+    }
+    swapsNearTimelock.reset();
+    for (const [status, count] of Object.entries(nearTimelock)) {
+      swapsNearTimelock.set({ status }, count);
+    }
+
+    // Reads balances from the chains, so it goes last
+    const inventory = await this.inventoryService.getInventory();
+    walletBalance.reset();
+    for (const balance of inventory) {
+      const { decimals } = tokenRegistry.require(balance.chain, balance.token);
+      const labels = { chain: balance.chain, symbol: balance.symbol };
+      walletBalance.set({ ...labels, kind: 'total' }, Number(ethers.formatUnits(balance.total, decimals)));
+      walletBalance.set({ ...labels, kind: 'free' }, Number(ethers.formatUnits(balance.free, decimals)));
     }
   }
 
   // Public methods for external interaction
+  async getInventory(): Promise<InventoryBalance[]> {
+    return await this.inventoryService.getInventory();
+  }
+
+  async createQuote(request: QuoteRequest): Promise<QuoteResult> {
+    return await this.quoteService.createQuote(request);
+  }
+
+  async getStakes(): Promise<StakeStatus[]> {
+    return await this.stakeManager.getStakes();
+  }
+
+  async topUpStake(chain: ChainType, amount: string): Promise<ResolverStake> {
+    return await this.stakeManager.topUp(chain, amount);
+  }
+
+  async unstake(chain: ChainType): Promise<ResolverStake> {
+    // Escrows we still have to create on this chain need the registration
+    const pending = Array.from(this.activeSwaps.values()).filter(swap =>
+      swap.destinationChain === chain
+      && [SwapStatus.PENDING, SwapStatus.USER_LOCKED].includes(swap.status)
+    );
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} swaps still need a ${chain} escrow`);
+    }
+
+    return await this.stakeManager.unstake(chain);
+  }
+
   async getSwapStatus(swapId: string): Promise<SwapRequest | null> {
     return this.activeSwaps.get(swapId) || null;
   }
@@ -518,29 +1878,202 @@ export class ResolverService extends EventEmitter {
     return Array.from(this.activeSwaps.values());
   }
 
-  async forceRefund(swapId: string): Promise<void> {
-    // Emergency refund mechanism
-    const swap = this.activeSwaps.get(swapId);
+  // Active swaps come from memory, where they are freshest; finished ones from the database
+  async getSwapDetails(swapId: string): Promise<SwapDetails | null> {
+    const swap = this.activeSwaps.get(swapId) || await this.database.getSwap(swapId);
+    if (!swap) {
+      return null;
+    }
+
+    return {
+      ...swap,
+      htlcs: await this.database.getHTLCsBySwap(swapId),
+      secretReveals: await this.database.getSecretReveals(swapId)
+    };
+  }
+
+  async querySwaps(query: SwapQuery): Promise<SwapPage> {
+    return await this.database.querySwaps(query);
+  }
+
+  // Emergency refund mechanism; null if the swap does not exist. Finished swaps come from the
+  // database, as one can be failed with our funds still locked.
+  async forceRefund(swapId: string): Promise<ForceRefundResult | null> {
+    const swap = this.activeSwaps.get(swapId) || await this.database.getSwap(swapId);
     if (!swap) {
-      throw new Error(`Swap ${swapId} not found`);
+      return null;
     }
 
-    // Implementation to force refund both sides
     logSwapEvent('force_refund', swapId);
+
+    // The resolver only ever locks the resolver side of the destination escrow
+    if (!swap.destinationEscrowId) {
+      return { refundable: false, reason: `Swap ${swapId} has no resolver funds to refund` };
+    }
+
+    const chain = swap.destinationChain;
+    const escrowId = swap.destinationEscrowId;
+    const result: RefundResult = { swapId, refunds: [], scheduled: [] };
+
+    const status = await this.getEscrowStatus(chain, escrowId);
+    if (!status.resolverLocked || status.resolverClaimed || status.resolverRefunded) {
+      return { refundable: false, reason: `Swap ${swapId} has no resolver funds to refund` };
+    }
+
+    if (await this.canRefund(chain, escrowId, EscrowSide.RESOLVER)) {
+      const txHash = await this.refundResolverSide(swap);
+      result.refunds.push({ chain, escrowId, txHash });
+    } else {
+      result.scheduled.push({ chain, escrowId, executeAt: await this.scheduleRefund(swap) });
+    }
+
+    return { refundable: true, refund: result };
+  }
+
+  private async canRefund(chain: ChainType, escrowId: string, side: EscrowSide): Promise<boolean> {
+    if (chain === ChainType.ETHEREUM) {
+      return await this.getEthereumEscrow(escrowId).canRefund(side);
+    }
+
+    const suiProvider = this.chainManager.getSuiProvider();
+    const txb = new TransactionBlock();
+    txb.moveCall({
+      target: `${this.suiPackageId}::sui_swap_escrow::can_refund`,
+      typeArguments: [await this.getSuiEscrowCoinType(escrowId)],
+      arguments: [txb.object(escrowId), txb.pure.u8(side), txb.object('0x6')],
+    });
+
+    const inspection = await suiProvider.devInspectTransaction(txb);
+    const [bytes] = inspection.results?.[0]?.returnValues?.[0] || [[0]];
+    return bytes[0] === 1;
+  }
+
+  private async scheduleRefund(swap: SwapRequest): Promise<Date> {
+    // Refunds are only accepted strictly after the timelock, so aim one second past it
+    const executeAt = new Date(swap.resolverTimelock + 1000);
+
+    if (await this.jobQueue.enqueue(swap.id, 'refund', { runAt: executeAt.getTime() })) {
+      logSwapEvent('refund_scheduled', swap.id, { executeAt: executeAt.toISOString() });
+    }
+
+    return executeAt;
+  }
+
+  private async refundResolverSide(swap: SwapRequest): Promise<string> {
+    const escrowId = swap.destinationEscrowId!;
+    const { txHash, gasCost } = swap.destinationChain === ChainType.ETHEREUM
+      ? await this.refundEthereumSide(swap.id, escrowId, EscrowSide.RESOLVER)
+      : await this.refundSuiSide(escrowId, EscrowSide.RESOLVER);
+    await this.recordGasSpent(swap.id, swap.destinationChain, 'refund', txHash, gasCost);
+
+    const htlcs = await this.database.getHTLCsBySwap(swap.id);
+    const htlc = htlcs.find(h => h.id === escrowId);
+    if (htlc) {
+      htlc.refunded = true;
+      htlc.refundTxHash = txHash;
+      htlc.updatedAt = new Date();
+      await this.database.updateHTLC(htlc);
+    }
+
+    // A failed swap is no longer tracked, but its status still has to change
+    if (!this.activeSwaps.has(swap.id)) {
+      this.activeSwaps.set(swap.id, swap);
+    }
+    await this.updateSwapStatus(swap.id, SwapStatus.REFUNDED);
+    this.stopSwapMonitoring(swap.id);
+
+    logSwapEvent('refund_executed', swap.id, { chain: swap.destinationChain, txHash });
+    this.emit('refundExecuted', { swapId: swap.id, chain: swap.destinationChain, escrowId, txHash });
+
+    return txHash;
+  }
+
+  private async refundEthereumSide(
+    swapId: string,
+    escrowAddress: string,
+    side: EscrowSide
+  ): Promise<{ txHash: string; gasCost: bigint }> {
+    const { confirmations } = getChainConfig(ChainType.ETHEREUM);
+    const escrow = this.getEthereumEscrow(escrowAddress);
+
+    const request = await escrow.refundFunds.populateTransaction(side);
+    const receipt = await this.ethTransactions.send('refund', request, { swapId, confirmations });
+
+    logTransaction('ethereum', receipt.hash, 'refundFunds', { escrowAddress, side });
+    return { txHash: receipt.hash, gasCost: receipt.fee };
+  }
+
+  private async refundSuiSide(escrowId: string, side: EscrowSide): Promise<{ txHash: string; gasCost: bigint }> {
+    const suiProvider = this.chainManager.getSuiProvider();
+
+    const txb = new TransactionBlock();
+    txb.moveCall({
+      target: `${this.suiPackageId}::sui_swap_escrow::refund_funds`,
+      typeArguments: [await this.getSuiEscrowCoinType(escrowId)],
+      arguments: [
+        txb.object(escrowId),
+        txb.pure.u8(side),
+        txb.object('0x6'), // Clock object
+      ],
+    });
+
+    const digest = await suiProvider.sendTransaction(txb);
+    const receipt = await suiProvider.waitForTransaction(digest);
+
+    logTransaction('sui', digest, 'refund_funds', { escrowId, side });
+    return { txHash: digest, gasCost: this.getSuiGasCost(receipt) };
+  }
+
+  // A failure to record is logged rather than thrown, so a step that went through on chain is not retried
+  private async recordGasSpent(
+    swapId: string,
+    chain: ChainType,
+    action: string,
+    txHash: string,
+    gasCost: bigint
+  ): Promise<void> {
+    try {
+      await this.database.insertSwapTransaction({
+        swapId,
+        chain,
+        action,
+        txHash,
+        gasCost: gasCost.toString(),
+        createdAt: new Date()
+      });
+    } catch (error) {
+      logError('database', error as Error, { action: 'recordGasSpent', swapId, txHash });
+    }
+  }
+
+  // Computation and storage, less the rebate for storage the transaction freed
+  private getSuiGasCost(receipt: any): bigint {
+    const gasUsed = receipt.effects?.gasUsed;
+    if (!gasUsed) {
+      return BigInt(0);
+    }
+    return BigInt(gasUsed.computationCost) + BigInt(gasUsed.storageCost) - BigInt(gasUsed.storageRebate);
   }
 
   isRunning(): boolean {
     return this.running;
   }
 
-  getStats() {
+  async getStats() {
     const swaps = Array.from(this.activeSwaps.values());
+    const startOfDay = new Date().setUTCHours(0, 0, 0, 0);
     return {
       totalActiveSwaps: swaps.length,
       pendingSwaps: swaps.filter(s => s.status === SwapStatus.PENDING).length,
       lockedSwaps: swaps.filter(s => [SwapStatus.USER_LOCKED, SwapStatus.BOTH_LOCKED].includes(s.status)).length,
-      completedToday: 0, // Would query database
+      // Since midnight UTC
+      completedToday: await this.swapMetricsService.countCompletedSince(startOfDay),
       isRunning: this.running
     };
   }
+
+  // Swaps that finished in [from, to), timestamps in milliseconds
+  async getSwapMetrics(from: number, to: number): Promise<SwapMetrics> {
+    return await this.swapMetricsService.getMetrics(from, to, this.activeSwaps.size);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,182 @@
+import { ethers } from 'ethers';
+import { TransactionBlock } from '@mysten/sui.js/transactions';
+import { normalizeSuiAddress, SUI_CLOCK_OBJECT_ID } from '@mysten/sui.js/utils';
+import { ChainManager } from '../blockchain/providers';
+import { EthereumTransactionManager } from '../blockchain/transactions';
+import { Database } from '../database';
+import { config } from '../config';
+import { ChainType, ResolverStake } from '../types';
+import { logger, logTransaction } from '../utils/logger';
+
+export interface StakeStatus {
+  chain: ChainType;
+  resolver: string;
+  staked: string;
+  target: string;
+  recorded: ResolverStake | null;
+}
+
+// Resolver stakes on both factories, in base units: wei on Ethereum, MIST on Sui.
+// Every stake change is read back from chain and recorded in resolver_stakes.
+export class StakeManager {
+  private chainManager: ChainManager;
+  private database: Database;
+  private ethTransactions: EthereumTransactionManager;
+  private getFactoryContract: () => ethers.Contract;
+
+  constructor(
+    chainManager: ChainManager,
+    database: Database,
+    ethTransactions: EthereumTransactionManager,
+    getFactoryContract: () => ethers.Contract
+  ) {
+    this.chainManager = chainManager;
+    this.database = database;
+    this.ethTransactions = ethTransactions;
+    this.getFactoryContract = getFactoryContract;
+  }
+
+  // Tops the stake on each chain up to the configured amount; never withdraws an excess
+  async ensureStake(): Promise<void> {
+    for (const chain of [ChainType.ETHEREUM, ChainType.SUI]) {
+      const staked = await this.getStake(chain);
+      const target = BigInt(this.getTargetStake(chain));
+
+      if (staked >= target) {
+        logger.info('Resolver stake sufficient', { chain, staked: staked.toString() });
+        continue;
+      }
+
+      await this.topUp(chain, (target - staked).toString());
+    }
+  }
+
+  async getStakes(): Promise<StakeStatus[]> {
+    const recorded = await this.database.getResolverStakes();
+    const stakes: StakeStatus[] = [];
+
+    for (const chain of [ChainType.ETHEREUM, ChainType.SUI]) {
+      const resolver = this.getResolverAddress(chain);
+      stakes.push({
+        chain,
+        resolver,
+        staked: (await this.getStake(chain)).toString(),
+        target: this.getTargetStake(chain),
+        recorded: recorded.find(stake => stake.chain === chain && stake.resolver === resolver) || null
+      });
+    }
+
+    return stakes;
+  }
+
+  async getStake(chain: ChainType): Promise<bigint> {
+    const resolver = this.getResolverAddress(chain);
+
+    if (chain === ChainType.ETHEREUM) {
+      return BigInt(await this.getFactoryContract().getResolverStake(resolver));
+    }
+
+    const factory = await this.chainManager.getSuiProvider().getObject(config.sui.swapEscrowFactoryId);
+    const fields = factory.data?.content?.fields;
+    if (!fields) {
+      throw new Error(`Sui factory ${config.sui.swapEscrowFactoryId} not found`);
+    }
+
+    const index = (fields.resolvers as string[])
+      .findIndex(address => normalizeSuiAddress(address) === normalizeSuiAddress(resolver));
+    return index === -1 ? BigInt(0) : BigInt(fields.resolver_stakes[index]);
+  }
+
+  // Registers with the amount if not yet registered, otherwise adds it to the stake
+  async topUp(chain: ChainType, amount: string): Promise<ResolverStake> {
+    if (BigInt(amount) <= BigInt(0)) {
+      throw new Error('Stake amount must be positive');
+    }
+
+    if (chain === ChainType.ETHEREUM) {
+      const factory = this.getFactoryContract();
+      const registered = await factory.isAuthorizedResolver(this.getResolverAddress(chain));
+
+      const request = registered
+        ? await factory.increaseStake.populateTransaction({ value: amount })
+        : await factory.registerResolver.populateTransaction({ value: amount });
+      const receipt = await this.ethTransactions.send('stake', request);
+
+      logTransaction('ethereum', receipt.hash, registered ? 'increaseStake' : 'registerResolver', { amount });
+      return await this.recordStake(chain, receipt.hash, receipt.blockNumber);
+    }
+
+    const suiProvider = this.chainManager.getSuiProvider();
+    const txb = new TransactionBlock();
+    const [stakeCoin] = txb.splitCoins(txb.gas, [txb.pure.u64(amount)]);
+
+    txb.moveCall({
+      target: `${config.sui.packageId}::sui_swap_escrow::register_resolver`,
+      arguments: [
+        txb.object(config.sui.swapEscrowFactoryId),
+        stakeCoin,
+      ],
+    });
+
+    const digest = await suiProvider.sendTransaction(txb);
+    const result = await suiProvider.waitForTransaction(digest);
+
+    logTransaction('sui', digest, 'registerResolver', { amount });
+    return await this.recordStake(chain, digest, result.checkpoint ? Number(result.checkpoint) : undefined);
+  }
+
+  // Unregisters and refunds the whole stake; new swaps can no longer be filled on that chain
+  async unstake(chain: ChainType): Promise<ResolverStake> {
+    if (chain === ChainType.ETHEREUM) {
+      const request = await this.getFactoryContract().unregisterResolver.populateTransaction();
+      const receipt = await this.ethTransactions.send('stake', request);
+
+      logTransaction('ethereum', receipt.hash, 'unregisterResolver');
+      return await this.recordStake(chain, receipt.hash, receipt.blockNumber);
+    }
+
+    const suiProvider = this.chainManager.getSuiProvider();
+    const txb = new TransactionBlock();
+
+    txb.moveCall({
+      target: `${config.sui.packageId}::sui_swap_escrow::withdraw_stake`,
+      arguments: [
+        txb.object(config.sui.swapEscrowFactoryId),
+        txb.object(SUI_CLOCK_OBJECT_ID),
+      ],
+    });
+
+    const digest = await suiProvider.sendTransaction(txb);
+    const result = await suiProvider.waitForTransaction(digest);
+
+    logTransaction('sui', digest, 'withdrawStake');
+    return await this.recordStake(chain, digest, result.checkpoint ? Number(result.checkpoint) : undefined);
+  }
+
+  private async recordStake(chain: ChainType, txHash: string, blockNumber?: number): Promise<ResolverStake> {
+    const stake: ResolverStake = {
+      resolver: this.getResolverAddress(chain),
+      chain,
+      amount: (await this.getStake(chain)).toString(),
+      txHash,
+      blockNumber,
+      stakedAt: new Date()
+    };
+
+    await this.database.upsertResolverStake(stake);
+    logger.info('Resolver stake updated', { chain, amount: stake.amount, txHash });
+
+    return stake;
+  }
+
+  private getTargetStake(chain: ChainType): string {
+    return chain === ChainType.ETHEREUM ? config.ethereum.stakeAmount : config.sui.stakeAmount;
+  }
+
+  private getResolverAddress(chain: ChainType): string {
+    if (chain === ChainType.ETHEREUM) {
+      return this.chainManager.getEthereumProvider().getWallet().address;
+    }
+    return this.chainManager.getSuiProvider().getAddress();
+  }
+}
\ No newline at end of file
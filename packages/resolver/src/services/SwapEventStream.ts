@@ -0,0 +1,112 @@
+import { EventEmitter } from 'events';
+import { Database } from '../database';
+import { config } from '../config';
+import { SwapEvent, SwapEventFilter, SwapEventType, SwapRequest, SwapStatus } from '../types';
+import { logger, logError } from '../utils/logger';
+
+export type SwapEventListener = (event: SwapEvent) => void;
+
+interface Subscription {
+  filter: SwapEventFilter;
+  listener: SwapEventListener;
+  onClose: () => void;
+}
+
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+export function matchesFilter(filter: SwapEventFilter, event: SwapEvent): boolean {
+  if (filter.swapId && filter.swapId !== event.swapId) {
+    return false;
+  }
+  if (filter.userAddress && filter.userAddress.toLowerCase() !== event.userAddress.toLowerCase()) {
+    return false;
+  }
+  return true;
+}
+
+// Persists the resolver's swap lifecycle events, so a client can replay what it missed,
+// and pushes each one to the subscribers whose filter it matches
+export class SwapEventStream {
+  private database: Database;
+  private subscriptions: Set<Subscription> = new Set();
+  private pruneInterval?: NodeJS.Timeout;
+
+  constructor(database: Database) {
+    this.database = database;
+  }
+
+  attach(resolverService: EventEmitter): void {
+    resolverService.on('swapCreated', (swap: SwapRequest) => {
+      this.record('swap_created', swap);
+    });
+
+    resolverService.on('swapStatusChanged', ({ oldStatus, swap }: { oldStatus: SwapStatus; swap: SwapRequest }) => {
+      this.record('swap_status_changed', swap, oldStatus);
+    });
+  }
+
+  start(): void {
+    this.pruneInterval = setInterval(() => this.prune(), PRUNE_INTERVAL);
+    this.prune();
+  }
+
+  // Ends every subscription; open streams would otherwise keep the HTTP server from closing
+  stop(): void {
+    if (this.pruneInterval) {
+      clearInterval(this.pruneInterval);
+      this.pruneInterval = undefined;
+    }
+
+    for (const subscription of this.subscriptions) {
+      subscription.onClose();
+    }
+    this.subscriptions.clear();
+  }
+
+  // Returns the unsubscribe function; onClose is called if the stream stops first
+  subscribe(filter: SwapEventFilter, listener: SwapEventListener, onClose: () => void): () => void {
+    const subscription = { filter, listener, onClose };
+    this.subscriptions.add(subscription);
+    return () => {
+      this.subscriptions.delete(subscription);
+    };
+  }
+
+  async getEventsAfter(id: number, filter: SwapEventFilter): Promise<SwapEvent[]> {
+    return await this.database.getSwapEventsAfter(id, filter);
+  }
+
+  private async record(type: SwapEventType, swap: SwapRequest, oldStatus?: SwapStatus): Promise<void> {
+    try {
+      // The swap keeps changing after the event; subscribers get the state at the time
+      const event = await this.database.insertSwapEvent({
+        type,
+        swapId: swap.id,
+        userAddress: swap.userAddress,
+        oldStatus,
+        status: swap.status,
+        swap: { ...swap },
+        createdAt: new Date()
+      });
+
+      for (const { filter, listener } of this.subscriptions) {
+        if (matchesFilter(filter, event)) {
+          listener(event);
+        }
+      }
+    } catch (error) {
+      logError('api', error as Error, { action: 'recordSwapEvent', swapId: swap.id, type });
+    }
+  }
+
+  private async prune(): Promise<void> {
+    try {
+      const deleted = await this.database.deleteSwapEventsBefore(Date.now() - config.api.streamRetention);
+      if (deleted > 0) {
+        logger.info('Pruned swap events', { deleted });
+      }
+    } catch (error) {
+      logError('api', error as Error, { action: 'pruneSwapEvents' });
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,146 @@
+import { ethers } from 'ethers';
+import { Database } from '../database';
+import { PriceSource } from '../pricing';
+import { SUI_COIN_TYPE, tokenRegistry } from '../tokens';
+import { ChainType, GasSpent, SwapMetrics, SwapStatus, TokenVolume } from '../types';
+import { logger } from '../utils/logger';
+
+// Gas is paid in each chain's native token
+const NATIVE_TOKENS: Record<ChainType, string> = {
+  [ChainType.ETHEREUM]: ethers.ZeroAddress,
+  [ChainType.SUI]: SUI_COIN_TYPE
+};
+
+// Amounts stay in base units as bigints until the end; summing wei as floats loses precision
+class TokenTotals {
+  private totals: Map<string, { chain: ChainType; token: string; amount: bigint }> = new Map();
+
+  add(chain: ChainType, token: string, amount: bigint): void {
+    const key = `${chain}:${token}`;
+    const entry = this.totals.get(key) || { chain, token, amount: BigInt(0) };
+    entry.amount += amount;
+    this.totals.set(key, entry);
+  }
+
+  get(chain: ChainType, token: string): bigint {
+    return this.totals.get(`${chain}:${token}`)?.amount || BigInt(0);
+  }
+
+  entries(): Array<{ chain: ChainType; token: string; amount: bigint }> {
+    return Array.from(this.totals.values());
+  }
+}
+
+// Outcome, volume and realised profit of the swaps that finished in a time window.
+// Profit is what completed swaps received less what they paid, less the gas spent on
+// every finished swap, refunds and failures included.
+export class SwapMetricsService {
+  private database: Database;
+  private priceSource: PriceSource;
+
+  constructor(database: Database, priceSource: PriceSource) {
+    this.database = database;
+    this.priceSource = priceSource;
+  }
+
+  async getMetrics(from: number, to: number, activeSwaps: number): Promise<SwapMetrics> {
+    const swaps = await this.database.getFinishedSwaps(from, to);
+    const transactions = await this.database.getFinishedSwapTransactions(from, to);
+    const completed = swaps.filter(swap => swap.status === SwapStatus.COMPLETED);
+    const refunded = swaps.filter(swap => swap.status === SwapStatus.REFUNDED);
+
+    const received = new TokenTotals();
+    const paid = new TokenTotals();
+    for (const swap of completed) {
+      received.add(swap.sourceChain, swap.sourceToken, BigInt(swap.sourceAmount));
+      paid.add(swap.destinationChain, swap.destinationToken, BigInt(swap.destinationAmount));
+    }
+
+    const gas = new TokenTotals();
+    for (const transaction of transactions) {
+      gas.add(transaction.chain, NATIVE_TOKENS[transaction.chain], BigInt(transaction.gasCost));
+    }
+
+    const volume = this.toVolume(received, paid);
+    const gasSpent: GasSpent[] = gas.entries().map(({ chain, amount }) => ({ chain, amount: amount.toString() }));
+    const valuation = await this.valueInUsd(volume, gas);
+
+    const completionTimes = completed.map(swap => swap.updatedAt.getTime() - swap.createdAt.getTime());
+
+    return {
+      from: new Date(from),
+      to: new Date(to),
+      totalSwaps: swaps.length,
+      completedSwaps: completed.length,
+      refundedSwaps: refunded.length,
+      failedSwaps: swaps.length - completed.length - refunded.length,
+      successRate: swaps.length > 0 ? completed.length / swaps.length : 0,
+      refundRate: swaps.length > 0 ? refunded.length / swaps.length : 0,
+      volume,
+      gasSpent,
+      totalVolume: valuation?.volumeUsd ?? null,
+      gasCost: valuation?.gasUsd ?? null,
+      profitGenerated: valuation?.profitUsd ?? null,
+      // Per finished swap, so refunds and failures pull the average down
+      averageProfit: valuation && swaps.length > 0 ? valuation.profitUsd / swaps.length : null,
+      averageCompletionTime: completionTimes.length > 0
+        ? completionTimes.reduce((sum, time) => sum + time, 0) / completionTimes.length
+        : 0,
+      activeSwaps
+    };
+  }
+
+  async countCompletedSince(since: number): Promise<number> {
+    return await this.database.countSwapsFinishedSince(SwapStatus.COMPLETED, since);
+  }
+
+  private toVolume(received: TokenTotals, paid: TokenTotals): TokenVolume[] {
+    const tokens = new Map<string, { chain: ChainType; token: string }>();
+    for (const { chain, token } of [...received.entries(), ...paid.entries()]) {
+      tokens.set(`${chain}:${token}`, { chain, token });
+    }
+
+    return Array.from(tokens.values()).map(({ chain, token }) => ({
+      chain,
+      token,
+      symbol: tokenRegistry.get(chain, token)?.symbol || token,
+      received: received.get(chain, token).toString(),
+      paid: paid.get(chain, token).toString()
+    }));
+  }
+
+  // Volume is valued on the received side; returns null if any token cannot be priced
+  private async valueInUsd(
+    volume: TokenVolume[],
+    gas: TokenTotals
+  ): Promise<{ volumeUsd: number; gasUsd: number; profitUsd: number } | null> {
+    try {
+      let volumeUsd = 0;
+      let paidUsd = 0;
+      for (const { chain, token, received, paid } of volume) {
+        volumeUsd += await this.toUsd(chain, token, BigInt(received));
+        paidUsd += await this.toUsd(chain, token, BigInt(paid));
+      }
+
+      let gasUsd = 0;
+      for (const { chain, token, amount } of gas.entries()) {
+        gasUsd += await this.toUsd(chain, token, amount);
+      }
+
+      return { volumeUsd, gasUsd, profitUsd: volumeUsd - paidUsd - gasUsd };
+    } catch (error) {
+      logger.warn('Swap metrics left without USD values', { error: (error as Error).message });
+      return null;
+    }
+  }
+
+  private async toUsd(chain: ChainType, token: string, amount: bigint): Promise<number> {
+    if (amount === BigInt(0)) {
+      return 0;
+    }
+
+    const info = tokenRegistry.require(chain, token);
+    const price = await this.priceSource.getPrice(chain, info.address);
+    return Number(ethers.formatUnits(amount, info.decimals)) * price;
+  }
+}
\ No newline at end of file
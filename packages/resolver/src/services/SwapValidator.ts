@@ -0,0 +1,73 @@
+import { ethers } from 'ethers';
+import { isValidSuiAddress } from '@mysten/sui.js/utils';
+import { config, getChainConfig } from '../config';
+import { tokenRegistry } from '../tokens';
+import { ChainType, SwapRequest } from '../types';
+
+export type ValidationResult =
+  | { valid: true }
+  | { valid: false; reason: string };
+
+// Safety limits checked right before the resolver locks its own funds
+export class SwapValidator {
+  validate(swap: SwapRequest, now: number = Date.now()): ValidationResult {
+    // Without it our lock would pay out to an address the user may not control
+    if (!swap.recipientAddress || !this.isValidAddress(swap.destinationChain, swap.recipientAddress)) {
+      return { valid: false, reason: `invalid ${swap.destinationChain} recipient ${swap.recipientAddress ?? '(none)'}` };
+    }
+
+    const sourceCap = this.getMaxSwapAmount(swap.sourceChain, swap.sourceToken);
+    if (BigInt(swap.sourceAmount) > sourceCap) {
+      return { valid: false, reason: `source amount ${swap.sourceAmount} exceeds cap ${sourceCap}` };
+    }
+
+    const destinationCap = this.getMaxSwapAmount(swap.destinationChain, swap.destinationToken);
+    if (BigInt(swap.destinationAmount) > destinationCap) {
+      return { valid: false, reason: `destination amount ${swap.destinationAmount} exceeds cap ${destinationCap}` };
+    }
+
+    const timelockGap = swap.userTimelock - swap.resolverTimelock;
+    if (timelockGap < config.safety.minTimelockBuffer) {
+      return {
+        valid: false,
+        reason: `timelock gap ${timelockGap}ms is below the ${config.safety.minTimelockBuffer}ms buffer`
+      };
+    }
+
+    // Our lock has to be final before the resolver timelock lets us refund it
+    const lockLatency = this.getConfirmationLatency(swap.destinationChain);
+    if (swap.resolverTimelock - now < lockLatency) {
+      return {
+        valid: false,
+        reason: `resolver timelock leaves less than ${lockLatency}ms to confirm the lock`
+      };
+    }
+
+    // After the user claims on the destination chain we still need to claim on the source chain
+    const claimLatency = lockLatency + this.getConfirmationLatency(swap.sourceChain);
+    if (swap.userTimelock - now < claimLatency) {
+      return {
+        valid: false,
+        reason: `user timelock leaves less than ${claimLatency}ms to confirm both claims`
+      };
+    }
+
+    return { valid: true };
+  }
+
+  private isValidAddress(chain: ChainType, address: string): boolean {
+    return chain === ChainType.SUI ? isValidSuiAddress(address) : ethers.isAddress(address);
+  }
+
+  // Caps are keyed `<chain>:<token>` like prices; MAX_SWAP_AMOUNT applies to the rest
+  private getMaxSwapAmount(chain: ChainType, token: string): bigint {
+    const capToken = tokenRegistry.get(chain, token)?.address ?? token;
+    return BigInt(config.safety.maxSwapAmounts[`${chain}:${capToken}`] ?? config.safety.maxSwapAmount);
+  }
+
+  // One block to include the transaction plus the confirmations we wait for
+  private getConfirmationLatency(chain: ChainType): number {
+    const { confirmations, blockTime } = getChainConfig(chain);
+    return (confirmations + 1) * blockTime;
+  }
+}
\ No newline at end of file
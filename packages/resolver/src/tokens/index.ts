@@ -0,0 +1,119 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { normalizeStructTag } from '@mysten/sui.js/utils';
+import { config } from '../config';
+import { ChainType } from '../types';
+import { logger } from '../utils/logger';
+
+export const SUI_COIN_TYPE = '0x2::sui::SUI';
+
+export interface TokenInfo {
+  chain: ChainType;
+  address: string; // ERC-20 address (zero address for ETH) or Sui coin type
+  symbol: string;
+  decimals: number;
+}
+
+// Registry file entries: an ERC-20 and the Sui coin type it swaps against
+export interface TokenRegistryEntry {
+  symbol: string;
+  address: string;
+  decimals: number;
+  suiCoinType: string;
+  suiSymbol?: string;
+  suiDecimals: number;
+}
+
+export function isNativeToken(chain: ChainType, token: string): boolean {
+  if (chain === ChainType.ETHEREUM) {
+    return normalizeToken(chain, token) === ethers.ZeroAddress;
+  }
+  return normalizeToken(chain, token) === normalizeStructTag(SUI_COIN_TYPE);
+}
+
+// Comparable form of a token: lower-case addresses with 0x0 meaning ETH, and full-length Sui coin types
+export function normalizeToken(chain: ChainType, token: string): string {
+  if (chain === ChainType.ETHEREUM) {
+    return token === '0x0' ? ethers.ZeroAddress : token.toLowerCase();
+  }
+  return normalizeStructTag(token);
+}
+
+export class TokenRegistry {
+  private tokens: Map<string, TokenInfo> = new Map();
+  private counterparts: Map<string, TokenInfo> = new Map();
+
+  constructor(entries: TokenRegistryEntry[] = []) {
+    // ETH <-> SUI is always supported
+    this.register({
+      symbol: 'ETH',
+      address: ethers.ZeroAddress,
+      decimals: 18,
+      suiCoinType: SUI_COIN_TYPE,
+      suiSymbol: 'SUI',
+      suiDecimals: 9
+    });
+
+    for (const entry of entries) {
+      this.register(entry);
+    }
+  }
+
+  register(entry: TokenRegistryEntry): void {
+    const ethereumToken: TokenInfo = {
+      chain: ChainType.ETHEREUM,
+      address: entry.address,
+      symbol: entry.symbol,
+      decimals: entry.decimals
+    };
+    const suiToken: TokenInfo = {
+      chain: ChainType.SUI,
+      address: entry.suiCoinType,
+      symbol: entry.suiSymbol || entry.symbol,
+      decimals: entry.suiDecimals
+    };
+
+    this.tokens.set(this.key(ethereumToken.chain, ethereumToken.address), ethereumToken);
+    this.tokens.set(this.key(suiToken.chain, suiToken.address), suiToken);
+    this.counterparts.set(this.key(ethereumToken.chain, ethereumToken.address), suiToken);
+    this.counterparts.set(this.key(suiToken.chain, suiToken.address), ethereumToken);
+  }
+
+  get(chain: ChainType, token: string): TokenInfo | undefined {
+    return this.tokens.get(this.key(chain, token));
+  }
+
+  // Like get, for callers that cannot continue with an unknown token
+  require(chain: ChainType, token: string): TokenInfo {
+    const info = this.get(chain, token);
+    if (!info) {
+      throw new Error(`Unsupported ${chain} token ${token}`);
+    }
+    return info;
+  }
+
+  // The token a swap from this one pays out on the other chain
+  getCounterpart(chain: ChainType, token: string): TokenInfo | undefined {
+    return this.counterparts.get(this.key(chain, token));
+  }
+
+  list(): TokenInfo[] {
+    return Array.from(this.tokens.values());
+  }
+
+  private key(chain: ChainType, token: string): string {
+    return `${chain}:${normalizeToken(chain, token)}`;
+  }
+}
+
+function loadTokenRegistry(): TokenRegistry {
+  if (!config.tokens.registryFile) {
+    return new TokenRegistry();
+  }
+
+  const entries: TokenRegistryEntry[] = JSON.parse(fs.readFileSync(config.tokens.registryFile, 'utf8'));
+  logger.info('Loaded token registry', { file: config.tokens.registryFile, pairs: entries.length });
+  return new TokenRegistry(entries);
+}
+
+export const tokenRegistry = loadTokenRegistry();
\ No newline at end of file
@@ -19,6 +19,8 @@ export enum ChainType {
 export interface SwapRequest {
   id: string;
   userAddress: string;
+  // The user's address on the destination chain, where the resolver pays out
+  recipientAddress?: string;
   resolverAddress: string;
   sourceChain: ChainType;
   destinationChain: ChainType;
@@ -28,13 +30,33 @@ export interface SwapRequest {
   destinationAmount: string;
   secretHash: string;
   secret?: string;
+  sourceEscrowId?: string;
+  destinationEscrowId?: string;
+  quoteId?: string;
   userTimelock: number;
   resolverTimelock: number;
   status: SwapStatus;
+  failureReason?: string;
   createdAt: Date;
   updatedAt: Date;
 }
 
+export enum EscrowSide {
+  USER = 0,
+  RESOLVER = 1
+}
+
+export interface EscrowStatus {
+  userLocked: boolean;
+  userClaimed: boolean;
+  userRefunded: boolean;
+  resolverLocked: boolean;
+  resolverClaimed: boolean;
+  resolverRefunded: boolean;
+  secretRevealed: boolean;
+  destroyed: boolean;
+}
+
 export interface HTLCInfo {
   id: string;
   swapId: string;
@@ -48,6 +70,8 @@ export interface HTLCInfo {
   claimed: boolean;
   refunded: boolean;
   txHash: string;
+  claimTxHash?: string;
+  refundTxHash?: string;
   blockNumber?: number;
   createdAt: Date;
   updatedAt: Date;
@@ -66,6 +90,77 @@ export interface SecretReveal {
   revealedAt: Date;
 }
 
+// A swap with its on-chain records
+export interface SwapDetails extends SwapRequest {
+  htlcs: HTLCInfo[];
+  secretReveals: SecretReveal[];
+}
+
+// Position after the last swap of a page: its sort value and ID
+export interface SwapCursor {
+  value: number;
+  id: string;
+}
+
+export interface SwapQuery {
+  status?: SwapStatus;
+  active?: boolean;
+  // Matches either side of the swap
+  chain?: ChainType;
+  userAddress?: string;
+  createdFrom?: number;
+  createdTo?: number;
+  updatedFrom?: number;
+  updatedTo?: number;
+  sortBy: 'createdAt' | 'updatedAt';
+  order: 'asc' | 'desc';
+  limit: number;
+  after?: SwapCursor;
+}
+
+export interface SwapPage {
+  swaps: SwapRequest[];
+  next?: SwapCursor;
+}
+
+export type SwapEventType = 'swap_created' | 'swap_status_changed';
+
+// A persisted lifecycle event; IDs increase, so clients can resume after the last one seen
+export interface SwapEvent {
+  id: number;
+  type: SwapEventType;
+  swapId: string;
+  userAddress: string;
+  oldStatus?: SwapStatus;
+  status: SwapStatus;
+  swap: SwapRequest;
+  createdAt: Date;
+}
+
+export interface SwapEventFilter {
+  swapId?: string;
+  userAddress?: string;
+}
+
+export type ApiScope = 'read' | 'admin';
+
+export interface ApiKey {
+  id: string;
+  key: string;
+  scope: ApiScope;
+}
+
+export interface AuditLogEntry {
+  id?: number;
+  keyId: string;
+  action: string;
+  target?: string;
+  params?: Record<string, any>;
+  statusCode: number;
+  ip?: string;
+  createdAt: Date;
+}
+
 export interface ResolverStake {
   resolver: string;
   chain: ChainType;
@@ -75,16 +170,149 @@ export interface ResolverStake {
   stakedAt: Date;
 }
 
+// Gas paid by the resolver for one transaction of a swap, in the chain's native base units
+export interface SwapTransaction {
+  id?: number;
+  swapId: string;
+  chain: ChainType;
+  action: string;
+  txHash: string;
+  gasCost: string;
+  createdAt: Date;
+}
+
+// Base units of a token moved by completed swaps: received on the source side, paid on the destination side
+export interface TokenVolume {
+  chain: ChainType;
+  token: string;
+  symbol: string;
+  received: string;
+  paid: string;
+}
+
+export interface GasSpent {
+  chain: ChainType;
+  amount: string;
+}
+
+// Swaps that reached a final status in [from, to). USD figures use current prices and are
+// null when a price is unavailable.
 export interface SwapMetrics {
+  from: Date;
+  to: Date;
   totalSwaps: number;
   completedSwaps: number;
+  refundedSwaps: number;
   failedSwaps: number;
-  totalVolume: string;
-  profitGenerated: string;
+  successRate: number;
+  refundRate: number;
+  volume: TokenVolume[];
+  gasSpent: GasSpent[];
+  totalVolume: number | null;
+  gasCost: number | null;
+  profitGenerated: number | null;
+  averageProfit: number | null;
+  // Milliseconds from creation to completion
   averageCompletionTime: number;
   activeSwaps: number;
 }
 
+export interface QuoteRequest {
+  sourceChain: ChainType;
+  sourceToken: string;
+  destinationToken: string;
+  sourceAmount: string;
+  userAddress: string;
+}
+
+export interface Quote {
+  id: string; // The swap ID the user must create the source escrow with
+  sourceChain: ChainType;
+  destinationChain: ChainType;
+  sourceToken: string;
+  destinationToken: string;
+  sourceAmount: string;
+  destinationAmount: string;
+  userAddress: string;
+  resolverAddress: string;
+  userTimelock: number;
+  resolverTimelock: number;
+  expiresAt: number;
+  signature: string;
+  createdAt: Date;
+}
+
+export interface InventoryBalance {
+  chain: ChainType;
+  token: string;
+  symbol: string;
+  total: string; // In the resolver's wallet
+  reserved: string; // Promised to accepted swaps not yet locked
+  locked: string; // Held in destination escrows
+  free: string;
+}
+
+export interface RefundResult {
+  swapId: string;
+  refunds: Array<{ chain: ChainType; escrowId: string; txHash: string }>;
+  scheduled: Array<{ chain: ChainType; escrowId: string; executeAt: Date }>;
+}
+
+export interface ResolverAlert {
+  type: string;
+  swapId?: string;
+  message: string;
+  data?: any;
+  timestamp: Date;
+}
+
+// An Ethereum transaction sent by the resolver, one per nonce. Replacements keep the
+// nonce and call and add a hash; fees are those of the latest broadcast.
+export interface EthereumTransaction {
+  sender: string;
+  nonce: number;
+  action: string;
+  swapId?: string;
+  to: string;
+  data: string;
+  value: string;
+  gasLimit: string;
+  maxFeePerGas: string;
+  // Absent on networks without EIP-1559, where maxFeePerGas is the gas price
+  maxPriorityFeePerGas?: string;
+  hashes: string[];
+  status: 'pending' | 'mined' | 'dropped';
+  minedHash?: string;
+  // Timelock in ms the transaction has to be mined before
+  deadline?: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+// Resolver conditions an operator is notified about
+export type NotificationEvent =
+  | 'claim_failed'
+  | 'claim_unconfirmed'
+  | 'log_failed'
+  | 'low_balance'
+  | 'provider_disconnected'
+  | 'refund_executed';
+
+export interface Notification {
+  event: NotificationEvent;
+  message: string;
+  swapId?: string;
+  data?: Record<string, any>;
+  timestamp: Date;
+}
+
+// A webhook receives the events listed, or every event when events is omitted
+export interface WebhookConfig {
+  url: string;
+  format?: 'json' | 'slack';
+  events?: NotificationEvent[];
+}
+
 export interface ChainConfig {
   name: string;
   type: ChainType;
@@ -102,8 +330,14 @@ export interface EventLog {
   event: string;
   txHash: string;
   blockNumber: number;
+  blockHash?: string;
+  logIndex?: number;
   address: string;
   data: any;
   processedAt?: Date;
+  attempts?: number;
+  // Set once the handler has failed logMaxAttempts times; the log is then skipped
+  failedAt?: Date;
+  lastError?: string;
   createdAt: Date;
 }
\ No newline at end of file
@@ -0,0 +1,191 @@
+import express from 'express';
+import http from 'http';
+import { AddressInfo } from 'net';
+import { config } from '../src/config';
+
+const insertAuditLog = jest.fn().mockResolvedValue(undefined);
+
+jest.mock('../src/index', () => ({
+  app: { getDatabase: () => ({ insertAuditLog }) }
+}));
+
+import { authenticate, requestSignature, requireScope } from '../src/api/auth';
+
+const READ_KEY = { id: 'ops', key: 'read-secret', scope: 'read' as const };
+const ADMIN_KEY = { id: 'admin', key: 'admin-secret', scope: 'admin' as const };
+
+describe('API authentication', () => {
+  let server: http.Server;
+  let url: string;
+  let nonceCounter = 0;
+
+  beforeAll(async () => {
+    config.api.apiKey = '';
+    config.api.keys = [READ_KEY, ADMIN_KEY];
+
+    const app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        (req as express.Request).rawBody = buf;
+      }
+    }));
+    app.use(express.urlencoded({
+      extended: true,
+      verify: (req, res, buf) => {
+        (req as express.Request).rawBody = buf;
+      }
+    }));
+    app.use(authenticate);
+    app.get('/swaps', requireScope('read'), (req, res) => {
+      res.json({ success: true, data: req.apiKey!.id });
+    });
+    app.post('/admin/pause', requireScope('admin'), (req, res) => {
+      res.json({ success: true, data: req.body });
+    });
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    insertAuditLog.mockClear();
+  });
+
+  function nextNonce(): string {
+    nonceCounter++;
+    return `nonce-${nonceCounter.toString().padStart(16, '0')}`;
+  }
+
+  // Signs like a client: the signature covers what the server will see as the request
+  function signedHeaders(
+    key: { id: string; key: string },
+    method: string,
+    path: string,
+    body = '',
+    overrides: { timestamp?: string; nonce?: string } = {}
+  ): Record<string, string> {
+    const timestamp = overrides.timestamp ?? Date.now().toString();
+    const nonce = overrides.nonce ?? nextNonce();
+    const req = { method, originalUrl: path, rawBody: Buffer.from(body) } as express.Request;
+
+    return {
+      'X-Key-Id': key.id,
+      'X-Timestamp': timestamp,
+      'X-Nonce': nonce,
+      'X-Signature': requestSignature(key.key, timestamp, nonce, req)
+    };
+  }
+
+  async function send(method: string, path: string, headers: Record<string, string>, body?: string) {
+    const response = await fetch(`${url}${path}`, { method, headers, body });
+    return { status: response.status, body: await response.json() as any };
+  }
+
+  it('accepts an API key with the required scope', async () => {
+    const response = await send('GET', '/swaps', { 'X-API-Key': READ_KEY.key });
+    expect(response).toEqual({ status: 200, body: { success: true, data: 'ops' } });
+  });
+
+  it('rejects an unknown API key', async () => {
+    const response = await send('GET', '/swaps', { 'X-API-Key': 'wrong' });
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Invalid API key');
+  });
+
+  it('accepts a signed JSON request', async () => {
+    const body = JSON.stringify({ reason: 'maintenance' });
+    const headers = { ...signedHeaders(ADMIN_KEY, 'POST', '/admin/pause', body), 'Content-Type': 'application/json' };
+
+    const response = await send('POST', '/admin/pause', headers, body);
+    expect(response).toEqual({ status: 200, body: { success: true, data: { reason: 'maintenance' } } });
+  });
+
+  it('covers urlencoded bodies with the signature', async () => {
+    const body = 'reason=maintenance';
+    const headers = {
+      ...signedHeaders(ADMIN_KEY, 'POST', '/admin/pause', body),
+      'Content-Type': 'application/x-www-form-urlencoded'
+    };
+
+    expect((await send('POST', '/admin/pause', headers, body)).status).toBe(200);
+
+    const tampered = {
+      ...signedHeaders(ADMIN_KEY, 'POST', '/admin/pause', body),
+      'Content-Type': 'application/x-www-form-urlencoded'
+    };
+    const response = await send('POST', '/admin/pause', tampered, 'reason=takeover');
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Invalid request signature');
+  });
+
+  it('rejects a signature over a different path', async () => {
+    const response = await send('GET', '/swaps?status=active', signedHeaders(READ_KEY, 'GET', '/swaps'));
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Invalid request signature');
+  });
+
+  it('rejects a timestamp outside the window', async () => {
+    const timestamp = (Date.now() - config.api.signatureMaxAge - 1000).toString();
+    const response = await send('GET', '/swaps', signedHeaders(READ_KEY, 'GET', '/swaps', '', { timestamp }));
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Request timestamp missing or outside the allowed window');
+  });
+
+  it('rejects a missing nonce', async () => {
+    const headers = signedHeaders(READ_KEY, 'GET', '/swaps', '', { nonce: '' });
+    const response = await send('GET', '/swaps', headers);
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Request nonce missing or malformed');
+  });
+
+  it('rejects a replayed request within the window', async () => {
+    const headers = signedHeaders(READ_KEY, 'GET', '/swaps');
+
+    expect((await send('GET', '/swaps', headers)).status).toBe(200);
+    const replay = await send('GET', '/swaps', headers);
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Request nonce already used');
+  });
+
+  it('does not spend a nonce on a request with a bad signature', async () => {
+    const nonce = nextNonce();
+    const forged = { ...signedHeaders(READ_KEY, 'GET', '/swaps', '', { nonce }), 'X-Signature': '00'.repeat(32) };
+
+    expect((await send('GET', '/swaps', forged)).status).toBe(401);
+    expect((await send('GET', '/swaps', signedHeaders(READ_KEY, 'GET', '/swaps', '', { nonce }))).status).toBe(200);
+  });
+
+  it('refuses and audits a request without credentials', async () => {
+    const response = await send('GET', '/swaps', {});
+
+    expect(response.status).toBe(401);
+    expect(insertAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+      keyId: 'anonymous',
+      action: 'scope:read',
+      target: 'GET /swaps',
+      statusCode: 401
+    }));
+  });
+
+  it('refuses and audits a key without the required scope', async () => {
+    const body = JSON.stringify({ reason: 'maintenance' });
+    const headers = { ...signedHeaders(READ_KEY, 'POST', '/admin/pause', body), 'Content-Type': 'application/json' };
+
+    const response = await send('POST', '/admin/pause', headers, body);
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Requires admin scope');
+    expect(insertAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+      keyId: 'ops',
+      action: 'scope:admin',
+      target: 'POST /admin/pause',
+      statusCode: 403
+    }));
+  });
+});
\ No newline at end of file
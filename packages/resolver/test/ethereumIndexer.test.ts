@@ -0,0 +1,192 @@
+import { ethers } from 'ethers';
+import { EthereumProvider } from '../src/blockchain/providers';
+import { SWAP_ESCROW_FACTORY_ABI } from '../src/blockchain/abis';
+import { config } from '../src/config';
+import { Database } from '../src/database';
+import { EthereumIndexer } from '../src/services/EthereumIndexer';
+import { ChainType, EventLog } from '../src/types';
+
+const FACTORY = ethers.getAddress('0x00000000000000000000000000000000000000fa');
+const factoryInterface = new ethers.Interface(SWAP_ESCROW_FACTORY_ABI);
+
+interface FakeLog {
+  txHash: string;
+  blockNumber: number;
+  logIndex: number;
+}
+
+// Stands in for the node: a chain of blocks whose tail can be replaced to simulate a reorg
+class FakeChain {
+  // Hash of each block by number; a reorg gives the replaced blocks new hashes
+  private hashes: string[] = [];
+  private logs: FakeLog[] = [];
+  private forks = 0;
+  // fromBlock of each getLogs call, in order
+  requestedFrom: number[] = [];
+
+  constructor(height: number) {
+    for (let number = 0; number <= height; number++) {
+      this.hashes.push(this.blockHash(number));
+    }
+  }
+
+  addLog(txHash: string, blockNumber: number): void {
+    this.logs.push({ txHash, blockNumber, logIndex: 0 });
+  }
+
+  // Replaces every block from `fromBlock` on, dropping their logs unless they are included again
+  reorg(fromBlock: number, included: FakeLog[]): void {
+    this.forks++;
+    for (let number = fromBlock; number < this.hashes.length; number++) {
+      this.hashes[number] = this.blockHash(number);
+    }
+    this.logs = [...this.logs.filter(log => log.blockNumber < fromBlock), ...included];
+  }
+
+  provider(): EthereumProvider {
+    const rpc = {
+      getBlock: async (number: number) => ({ number, hash: this.hashes[number] }),
+      getLogs: async (filter: { address: string | string[]; fromBlock: number; toBlock: number }) => {
+        this.requestedFrom.push(filter.fromBlock);
+        if (filter.address !== FACTORY) {
+          return [];
+        }
+        return this.logs
+          .filter(log => log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock)
+          .map(log => ({
+            ...factoryInterface.encodeEventLog('ResolverRegistered', [FACTORY, 1]),
+            transactionHash: log.txHash,
+            blockNumber: log.blockNumber,
+            blockHash: this.hashes[log.blockNumber],
+            index: log.logIndex,
+            address: FACTORY
+          }));
+      }
+    };
+
+    return {
+      getBlockNumber: async () => this.hashes.length - 1,
+      getProvider: () => rpc
+    } as unknown as EthereumProvider;
+  }
+
+  private blockHash(number: number): string {
+    return ethers.id(`block ${number} fork ${this.forks}`);
+  }
+}
+
+describe('EthereumIndexer', () => {
+  let database: Database;
+  let chain: FakeChain;
+  let indexer: EthereumIndexer;
+  // Transaction hashes of the logs the handler applied, in order
+  let applied: string[];
+  // Transaction hashes the handler throws for
+  let failing: Set<string>;
+  let skipped: EventLog[];
+
+  const tx = (name: string) => ethers.id(name);
+
+  beforeEach(async () => {
+    config.ethereum.escrowAddress = FACTORY;
+    config.ethereum.confirmations = 1;
+    config.ethereum.startBlock = 1;
+    config.ethereum.logBatchSize = 1;
+    config.ethereum.reorgDepth = 12;
+    config.ethereum.logMaxAttempts = 3;
+
+    database = new Database(':memory:');
+    await database.initialize();
+    chain = new FakeChain(5);
+    applied = [];
+    failing = new Set();
+    skipped = [];
+
+    indexer = new EthereumIndexer(
+      chain.provider(),
+      database,
+      async log => {
+        if (failing.has(log.txHash)) {
+          throw new Error(`cannot apply ${log.txHash}`);
+        }
+        applied.push(log.txHash);
+      },
+      () => [],
+      log => skipped.push(log)
+    );
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  async function cursorBlock(): Promise<number> {
+    return JSON.parse((await database.getSyncCursor(ChainType.ETHEREUM, 'logs'))!).blockNumber;
+  }
+
+  it('applies each confirmed log once', async () => {
+    chain.addLog(tx('a'), 2);
+    chain.addLog(tx('b'), 4);
+
+    await indexer.sync();
+    await indexer.sync();
+
+    expect(applied).toEqual([tx('a'), tx('b')]);
+    expect(await cursorBlock()).toBe(5);
+  });
+
+  it('rewinds the cursor to the fork point when the cursor block hash changed', async () => {
+    chain.addLog(tx('a'), 2);
+    chain.addLog(tx('b'), 4);
+    await indexer.sync();
+
+    // Blocks 4 and 5 are replaced: b is included again one block later, next to a new log
+    chain.reorg(4, [{ txHash: tx('c'), blockNumber: 4, logIndex: 0 }, { txHash: tx('b'), blockNumber: 5, logIndex: 0 }]);
+    chain.requestedFrom = [];
+    await indexer.sync();
+
+    // Block 3 is the newest one still canonical, so indexing resumes right after it
+    expect(chain.requestedFrom[0]).toBe(4);
+    expect(await cursorBlock()).toBe(5);
+    expect(applied).toEqual([tx('a'), tx('b'), tx('c')]);
+
+    await indexer.sync();
+    expect(applied).toEqual([tx('a'), tx('b'), tx('c')]);
+  });
+
+  it('drops unapplied logs of reorged blocks and applies the new branch once', async () => {
+    chain.addLog(tx('a'), 2);
+    chain.addLog(tx('b'), 4);
+    failing.add(tx('b'));
+    await indexer.sync();
+    expect(applied).toEqual([tx('a')]);
+
+    // b was reorged out before it could be applied
+    chain.reorg(4, [{ txHash: tx('c'), blockNumber: 4, logIndex: 0 }]);
+    await indexer.sync();
+    await indexer.sync();
+
+    expect(applied).toEqual([tx('a'), tx('c')]);
+    expect(await database.getUnprocessedEventLogs(ChainType.ETHEREUM)).toEqual([]);
+  });
+
+  it('skips a log after repeated failures so the ones after it are applied', async () => {
+    chain.addLog(tx('a'), 2);
+    chain.addLog(tx('b'), 4);
+    failing.add(tx('a'));
+
+    await indexer.sync();
+    await indexer.sync();
+    // The failing log holds back the ones after it while it may still succeed
+    expect(applied).toEqual([]);
+    expect(skipped).toEqual([]);
+
+    await indexer.sync();
+    expect(skipped).toEqual([expect.objectContaining({ txHash: tx('a'), event: 'ResolverRegistered', attempts: 2 })]);
+    expect(applied).toEqual([tx('b')]);
+
+    await indexer.sync();
+    expect(skipped).toHaveLength(1);
+    expect(applied).toEqual([tx('b')]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,210 @@
+import { EventEmitter } from 'events';
+import http from 'http';
+import { AddressInfo } from 'net';
+import { Notifier } from '../src/notifications';
+import { config } from '../src/config';
+import { ChainManager } from '../src/blockchain/providers';
+import { Database } from '../src/database';
+import { InMemoryJobQueue } from '../src/queue';
+import { ResolverService } from '../src/services/ResolverService';
+import { ChainType, Notification, ResolverAlert, SwapRequest, SwapStatus } from '../src/types';
+
+describe('Notifier', () => {
+  let server: http.Server;
+  let url: string;
+  // Status codes the stub answers with, in order; 200 once they run out
+  let statuses: number[];
+  let received: Array<{ path: string; contentType?: string; body: any }>;
+
+  const notification: Notification = {
+    event: 'claim_failed',
+    message: 'Resolver claim failed',
+    swapId: '0x01',
+    data: { error: 'nonce too low', attempt: 2, willRetry: true },
+    timestamp: new Date('2025-01-01T00:00:00.000Z')
+  };
+
+  beforeAll(async () => {
+    config.alerts.webhookRetries = 2;
+    config.alerts.webhookRetryDelay = 10;
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url!, contentType: req.headers['content-type'], body: JSON.parse(body) });
+        res.writeHead(statuses.shift() ?? 200);
+        res.end();
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    statuses = [];
+    received = [];
+  });
+
+  it('posts the notification as JSON', async () => {
+    await new Notifier([{ url: `${url}/json` }]).notify(notification);
+
+    expect(received).toEqual([{
+      path: '/json',
+      contentType: 'application/json',
+      body: {
+        event: 'claim_failed',
+        message: 'Resolver claim failed',
+        swapId: '0x01',
+        data: { error: 'nonce too low', attempt: 2, willRetry: true },
+        timestamp: '2025-01-01T00:00:00.000Z'
+      }
+    }]);
+  });
+
+  it('posts a Slack message to Slack webhooks', async () => {
+    await new Notifier([{ url: `${url}/slack`, format: 'slack' }]).notify(notification);
+
+    expect(received).toHaveLength(1);
+    expect(received[0].body).toEqual({
+      text: [
+        '*[claim_failed]* Resolver claim failed',
+        'Swap: `0x01`',
+        '• error: nonce too low',
+        '• attempt: 2',
+        '• willRetry: true'
+      ].join('\n')
+    });
+  });
+
+  it('only posts the events a webhook subscribed to', async () => {
+    const notifier = new Notifier([
+      { url: `${url}/claims`, events: ['claim_failed'] },
+      { url: `${url}/refunds`, events: ['refund_executed'] }
+    ]);
+
+    await notifier.notify(notification);
+    expect(received.map(request => request.path)).toEqual(['/claims']);
+  });
+
+  it('retries 5xx and 429 responses until delivered', async () => {
+    statuses = [503, 429];
+    await new Notifier([{ url: `${url}/flaky` }]).notify(notification);
+
+    expect(received).toHaveLength(3);
+    expect(received.every(request => request.body.swapId === '0x01')).toBe(true);
+  });
+
+  it('gives up after the configured retries without throwing', async () => {
+    statuses = [500, 500, 500, 500];
+    await expect(new Notifier([{ url: `${url}/down` }]).notify(notification)).resolves.toBeUndefined();
+
+    expect(received).toHaveLength(1 + config.alerts.webhookRetries);
+  });
+
+  it('does not retry a request the webhook rejected', async () => {
+    statuses = [400];
+    await new Notifier([{ url: `${url}/bad` }]).notify(notification);
+
+    expect(received).toHaveLength(1);
+  });
+
+  it('still delivers to the other webhooks when one cannot be reached', async () => {
+    const closed = http.createServer();
+    await new Promise<void>(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const closedUrl = `http://127.0.0.1:${(closed.address() as AddressInfo).port}`;
+    await new Promise(resolve => closed.close(resolve));
+
+    const notifier = new Notifier([{ url: closedUrl }, { url: `${url}/up` }]);
+    await expect(notifier.notify(notification)).resolves.toBeUndefined();
+    expect(received.map(request => request.path)).toEqual(['/up']);
+  });
+
+  it('forwards listed alerts and executed refunds from the resolver', async () => {
+    const resolver = new EventEmitter();
+    const notifier = new Notifier([{ url: `${url}/events` }]);
+    const notify = jest.spyOn(notifier, 'notify');
+    notifier.attach(resolver);
+
+    resolver.emit('alert', { type: 'swap_stuck', message: 'Not forwarded', timestamp: new Date() });
+    resolver.emit('alert', { type: 'low_balance', message: 'ETH balance low', data: { chain: 'ethereum' }, timestamp: new Date() });
+    resolver.emit('refundExecuted', { swapId: '0x02', chain: 'sui', escrowId: '0xescrow', txHash: '0xdigest' });
+    await Promise.all(notify.mock.results.map(result => result.value));
+
+    // Both are posted at once, so they may arrive in either order
+    const bodies = received.map(request => request.body).sort((a, b) => a.event.localeCompare(b.event));
+    expect(bodies).toEqual([
+      expect.objectContaining({ event: 'low_balance', message: 'ETH balance low' }),
+      expect.objectContaining({
+        event: 'refund_executed',
+        message: 'Refunded resolver side of swap on sui',
+        swapId: '0x02',
+        data: { chain: 'sui', escrowId: '0xescrow', txHash: '0xdigest' }
+      })
+    ]);
+  });
+});
+
+describe('claim_unconfirmed alerts', () => {
+  let database: Database;
+  let resolver: ResolverService;
+  let alerts: ResolverAlert[];
+
+  beforeEach(async () => {
+    database = new Database(':memory:');
+    await database.initialize();
+    const chainManager = { getEthereumProvider: () => ({}) } as unknown as ChainManager;
+    resolver = new ResolverService(chainManager, database, new InMemoryJobQueue(), { getPrice: async () => 1 });
+    alerts = [];
+    resolver.on('alert', alert => alerts.push(alert));
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  // A swap whose secret is out and whose claim deadline is inside the alert window
+  function revealedSwap(id: string, status: SwapStatus): SwapRequest {
+    return {
+      id,
+      userAddress: '0xuser',
+      resolverAddress: '0xresolver',
+      sourceChain: ChainType.ETHEREUM,
+      destinationChain: ChainType.SUI,
+      sourceToken: '0x0000000000000000000000000000000000000000',
+      destinationToken: '0x2::sui::SUI',
+      sourceAmount: '1000',
+      destinationAmount: '2000',
+      secretHash: '0x' + 'ab'.repeat(32),
+      secret: '0x' + 'cd'.repeat(32),
+      userTimelock: Date.now() + config.alerts.claimWindow / 2,
+      resolverTimelock: Date.now(),
+      status,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+  }
+
+  it('alerts only while our claim of the source side is outstanding', () => {
+    const statuses = [
+      SwapStatus.BOTH_LOCKED,
+      SwapStatus.USER_CLAIMED,
+      SwapStatus.RESOLVER_CLAIMED,
+      SwapStatus.COMPLETED,
+      SwapStatus.REFUNDED
+    ];
+    const activeSwaps: Map<string, SwapRequest> = (resolver as any).activeSwaps;
+    statuses.forEach((status, index) => activeSwaps.set(`0x0${index}`, revealedSwap(`0x0${index}`, status)));
+
+    (resolver as any).checkUnconfirmedClaims();
+
+    expect(alerts.map(alert => [alert.type, alert.swapId, alert.data.status])).toEqual([
+      ['claim_unconfirmed', '0x00', SwapStatus.BOTH_LOCKED],
+      ['claim_unconfirmed', '0x01', SwapStatus.USER_CLAIMED]
+    ]);
+  });
+});
\ No newline at end of file
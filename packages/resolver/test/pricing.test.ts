@@ -0,0 +1,113 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { AddressInfo } from 'net';
+import { FallbackPriceSource, HttpPriceSource, StaticPriceSource } from '../src/pricing';
+import { ChainType } from '../src/types';
+
+const ETH = '0x0000000000000000000000000000000000000000';
+const SUI = '0x2::sui::SUI';
+
+describe('price sources', () => {
+  let dir: string;
+  let priceFile: string;
+  let server: http.Server;
+  let url: string;
+  // Status and body the stub answers with, per request path
+  let responses: Record<string, { status: number; body: unknown }>;
+  let requests: string[];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url!);
+      const response = responses[req.url!] || { status: 404, body: { error: 'not found' } };
+      res.writeHead(response.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response.body));
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+    priceFile = path.join(dir, 'prices.json');
+    fs.writeFileSync(priceFile, JSON.stringify({ [`ethereum:${ETH}`]: 3000, [`sui:${SUI}`]: 1.2 }));
+    responses = {};
+    requests = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('StaticPriceSource', () => {
+    it('reads prices keyed by chain and token', async () => {
+      const source = new StaticPriceSource(priceFile);
+      expect(await source.getPrice(ChainType.ETHEREUM, ETH)).toBe(3000);
+      expect(await source.getPrice(ChainType.SUI, SUI)).toBe(1.2);
+    });
+
+    it('rejects tokens without a positive price', async () => {
+      fs.writeFileSync(priceFile, JSON.stringify({ [`sui:${SUI}`]: 0 }));
+      const source = new StaticPriceSource(priceFile);
+
+      await expect(source.getPrice(ChainType.SUI, SUI)).rejects.toThrow(`No valid price for sui:${SUI}`);
+      await expect(source.getPrice(ChainType.ETHEREUM, ETH)).rejects.toThrow('No valid price');
+    });
+  });
+
+  describe('HttpPriceSource', () => {
+    it('queries the price of the token', async () => {
+      responses[`/prices/sui/${encodeURIComponent(SUI)}`] = { status: 200, body: { price: 1.5 } };
+
+      expect(await new HttpPriceSource(`${url}/`).getPrice(ChainType.SUI, SUI)).toBe(1.5);
+      expect(requests).toEqual([`/prices/sui/${encodeURIComponent(SUI)}`]);
+    });
+
+    it('fails on an error response or an invalid price', async () => {
+      responses[`/prices/ethereum/${ETH}`] = { status: 500, body: { error: 'down' } };
+      responses[`/prices/sui/${encodeURIComponent(SUI)}`] = { status: 200, body: { price: 'n/a' } };
+      const source = new HttpPriceSource(url);
+
+      await expect(source.getPrice(ChainType.ETHEREUM, ETH)).rejects.toThrow();
+      await expect(source.getPrice(ChainType.SUI, SUI)).rejects.toThrow('No valid price');
+    });
+  });
+
+  describe('FallbackPriceSource', () => {
+    it('prefers the primary source', async () => {
+      responses[`/prices/ethereum/${ETH}`] = { status: 200, body: { price: 3100 } };
+      const source = new FallbackPriceSource(new HttpPriceSource(url), new StaticPriceSource(priceFile));
+
+      expect(await source.getPrice(ChainType.ETHEREUM, ETH)).toBe(3100);
+    });
+
+    it('falls back to the price file when the primary fails', async () => {
+      responses[`/prices/ethereum/${ETH}`] = { status: 503, body: { error: 'unavailable' } };
+      const source = new FallbackPriceSource(new HttpPriceSource(url), new StaticPriceSource(priceFile));
+
+      expect(await source.getPrice(ChainType.ETHEREUM, ETH)).toBe(3000);
+      expect(requests).toHaveLength(1);
+    });
+
+    it('falls back when the primary is unreachable', async () => {
+      const closed = http.createServer();
+      await new Promise<void>(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const closedUrl = `http://127.0.0.1:${(closed.address() as AddressInfo).port}`;
+      await new Promise(resolve => closed.close(resolve));
+
+      const source = new FallbackPriceSource(new HttpPriceSource(closedUrl), new StaticPriceSource(priceFile));
+      expect(await source.getPrice(ChainType.SUI, SUI)).toBe(1.2);
+    });
+
+    it('fails when neither source has a price', async () => {
+      const source = new FallbackPriceSource(new HttpPriceSource(url), new StaticPriceSource(priceFile));
+      await expect(source.getPrice(ChainType.SUI, '0x5::usdc::USDC')).rejects.toThrow('No valid price');
+    });
+  });
+});
\ No newline at end of file
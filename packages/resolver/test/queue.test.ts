@@ -0,0 +1,88 @@
+import { InMemoryJobQueue, jobId } from '../src/queue';
+import { config } from '../src/config';
+
+describe('InMemoryJobQueue', () => {
+  let now: number;
+  let queue: InMemoryJobQueue;
+
+  beforeEach(() => {
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    queue = new InMemoryJobQueue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps one job per swap and step', async () => {
+    expect(await queue.enqueue('0x01', 'lock')).toBe(true);
+    expect(await queue.enqueue('0x01', 'lock')).toBe(false);
+    expect(await queue.enqueue('0x01', 'claim')).toBe(true);
+    expect(await queue.size()).toBe(2);
+
+    // Nor while the job is running
+    const job = await queue.reserve();
+    expect(job?.id).toBe(jobId('0x01', 'lock'));
+    expect(await queue.enqueue('0x01', 'lock')).toBe(false);
+  });
+
+  it('only reserves jobs that are due', async () => {
+    await queue.enqueue('0x01', 'refund', { runAt: now + 1000 });
+    expect(await queue.reserve()).toBeNull();
+
+    now += 1000;
+    expect((await queue.reserve())?.step).toBe('refund');
+  });
+
+  it('backs off exponentially between attempts', async () => {
+    await queue.enqueue('0x01', 'lock', { maxAttempts: 5 });
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const job = (await queue.reserve())!;
+      expect(job.attempts).toBe(attempt);
+      expect(await queue.fail(job, new Error('rpc down'))).toBe('retry');
+
+      const delay = config.queue.backoffMs * Math.pow(2, attempt - 1);
+      now += delay - 1;
+      expect(await queue.reserve()).toBeNull();
+      now += 1;
+    }
+
+    expect((await queue.reserve())?.lastError).toBe('rpc down');
+  });
+
+  it('dead-letters a job after maxAttempts and never re-creates it', async () => {
+    await queue.enqueue('0x01', 'lock', { maxAttempts: 2 });
+
+    let job = (await queue.reserve())!;
+    expect(await queue.fail(job, new Error('first'))).toBe('retry');
+    now += config.queue.backoffMs;
+    job = (await queue.reserve())!;
+    expect(await queue.fail(job, new Error('second'))).toBe('dead');
+
+    const deadLetters = await queue.getDeadLetters();
+    expect(deadLetters).toHaveLength(1);
+    expect(deadLetters[0]).toMatchObject({ id: jobId('0x01', 'lock'), attempts: 2, lastError: 'second' });
+
+    expect(await queue.enqueue('0x01', 'lock')).toBe(false);
+    now += config.queue.backoffMs * 10;
+    expect(await queue.reserve()).toBeNull();
+  });
+
+  it('does not run a completed job again', async () => {
+    await queue.enqueue('0x01', 'claim');
+    await queue.complete((await queue.reserve())!);
+
+    expect(await queue.enqueue('0x01', 'claim')).toBe(false);
+    expect(await queue.reserve()).toBeNull();
+  });
+
+  it('forgets finished jobs once their marker expires', async () => {
+    await queue.enqueue('0x01', 'claim');
+    await queue.complete((await queue.reserve())!);
+
+    now += config.queue.finishedTtl;
+    expect(await queue.enqueue('0x01', 'claim')).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,156 @@
+import { ethers } from 'ethers';
+import { Ed25519Keypair } from '@mysten/sui.js/keypairs/ed25519';
+import { verifyPersonalMessage } from '@mysten/sui.js/verify';
+import { ChainManager } from '../src/blockchain/providers';
+import { Database } from '../src/database';
+import { ProfitabilityEngine } from '../src/services/ProfitabilityEngine';
+import { QuoteService, quoteMessage } from '../src/services/QuoteService';
+import * as logging from '../src/utils/logger';
+import { ChainType, Quote, QuoteRequest, SwapRequest, SwapStatus } from '../src/types';
+
+const ETH = '0x0000000000000000000000000000000000000000';
+const SUI = '0x2::sui::SUI';
+
+describe('QuoteService', () => {
+  let database: Database;
+  let service: QuoteService;
+  let wallet: ethers.HDNodeWallet;
+  let keypair: Ed25519Keypair;
+  let logSwapEvent: jest.SpyInstance;
+
+  const ethRequest: QuoteRequest = {
+    sourceChain: ChainType.ETHEREUM,
+    sourceToken: ETH,
+    destinationToken: SUI,
+    sourceAmount: '1000000000000000000',
+    userAddress: ethers.getAddress('0x00000000000000000000000000000000000a11ce')
+  };
+
+  beforeEach(async () => {
+    database = new Database(':memory:');
+    await database.initialize();
+    wallet = ethers.Wallet.createRandom();
+    keypair = new Ed25519Keypair();
+
+    const chainManager = {
+      getEthereumProvider: () => ({ getWallet: () => wallet }),
+      getSuiProvider: () => ({ getAddress: () => keypair.toSuiAddress(), getKeypair: () => keypair })
+    } as unknown as ChainManager;
+    const profitabilityEngine = {
+      evaluate: async () => ({ profitable: true, quote: { destinationAmount: '2000000000' } })
+    } as unknown as ProfitabilityEngine;
+
+    service = new QuoteService(chainManager, database, profitabilityEngine);
+    logSwapEvent = jest.spyOn(logging, 'logSwapEvent');
+  });
+
+  afterEach(async () => {
+    logSwapEvent.mockRestore();
+    await database.close();
+  });
+
+  async function issue(request: QuoteRequest): Promise<Quote> {
+    const result = await service.createQuote(request);
+    if (!result.quoted) {
+      throw new Error(`not quoted: ${result.reason}`);
+    }
+    return result.quote;
+  }
+
+  // The swap a user creates from the quote, with the quoted terms unless overridden
+  function swapFrom(quote: Quote, overrides: Partial<SwapRequest> = {}): SwapRequest {
+    return {
+      id: quote.id,
+      userAddress: quote.userAddress,
+      resolverAddress: quote.resolverAddress,
+      sourceChain: quote.sourceChain,
+      destinationChain: quote.destinationChain,
+      sourceToken: quote.sourceToken,
+      destinationToken: quote.destinationToken,
+      sourceAmount: quote.sourceAmount,
+      destinationAmount: quote.destinationAmount,
+      secretHash: '0x' + 'ab'.repeat(32),
+      userTimelock: quote.userTimelock,
+      resolverTimelock: quote.resolverTimelock,
+      status: SwapStatus.PENDING,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      ...overrides
+    };
+  }
+
+  function mismatchReasons(): string[] {
+    return logSwapEvent.mock.calls
+      .filter(([event]) => event === 'quote_mismatch')
+      .map(([, , data]) => data.reason);
+  }
+
+  it('signs Ethereum quotes with the resolver wallet', async () => {
+    const quote = await issue(ethRequest);
+
+    expect(quote.resolverAddress).toBe(wallet.address);
+    expect(ethers.verifyMessage(quoteMessage(quote), quote.signature)).toBe(wallet.address);
+  });
+
+  it('signs Sui quotes with the resolver keypair', async () => {
+    const quote = await issue({
+      sourceChain: ChainType.SUI,
+      sourceToken: SUI,
+      destinationToken: ETH,
+      sourceAmount: '1000000000',
+      userAddress: '0x' + 'a1'.repeat(32)
+    });
+
+    const publicKey = await verifyPersonalMessage(Buffer.from(quoteMessage(quote), 'utf8'), quote.signature);
+    expect(publicKey.toSuiAddress()).toBe(keypair.toSuiAddress());
+    expect(quote.resolverAddress).toBe(keypair.toSuiAddress());
+  });
+
+  it('does not verify a signature over different terms', async () => {
+    const quote = await issue(ethRequest);
+
+    const altered = quoteMessage({ ...quote, destinationAmount: '3000000000' });
+    expect(ethers.verifyMessage(altered, quote.signature)).not.toBe(wallet.address);
+  });
+
+  it('matches a swap created in time with the quoted terms', async () => {
+    const quote = await issue(ethRequest);
+    const swap = swapFrom(quote, { userAddress: quote.userAddress.toLowerCase() });
+
+    expect(await service.findMatchingQuote(swap, quote.expiresAt)).toMatchObject({ id: quote.id });
+    expect(mismatchReasons()).toEqual([]);
+  });
+
+  it('does not match a swap without a quote', async () => {
+    const quote = await issue(ethRequest);
+
+    expect(await service.findMatchingQuote(swapFrom(quote, { id: '0x' + '00'.repeat(32) }), Date.now())).toBeNull();
+  });
+
+  it.each([
+    ['it was created after the quote expired', 'quote expired before the escrow was created', (quote: Quote) => ({ swap: swapFrom(quote), createdAt: quote.expiresAt + 1 })],
+    ['its source chain differs', 'source chain differs', (quote: Quote) => ({ swap: swapFrom(quote, { sourceChain: ChainType.SUI }), createdAt: Date.now() })],
+    ['its user address differs', 'user address differs', (quote: Quote) => ({
+      swap: swapFrom(quote, { userAddress: ethers.getAddress('0x00000000000000000000000000000000000b0b00') }),
+      createdAt: Date.now()
+    })],
+    ['its user timelock differs', 'timelocks differ', (quote: Quote) => ({ swap: swapFrom(quote, { userTimelock: quote.userTimelock + 1000 }), createdAt: Date.now() })],
+    ['its resolver timelock differs', 'timelocks differ', (quote: Quote) => ({ swap: swapFrom(quote, { resolverTimelock: quote.resolverTimelock - 1000 }), createdAt: Date.now() })]
+  ])('rejects a swap when %s', async (_case, reason, mismatch) => {
+    const quote = await issue(ethRequest);
+    const { swap, createdAt } = mismatch(quote);
+
+    expect(await service.findMatchingQuote(swap, createdAt)).toBeNull();
+    expect(mismatchReasons()).toEqual([reason]);
+  });
+
+  it('only matches a lock of the quoted amount and token', async () => {
+    const quote = await issue(ethRequest);
+
+    expect(service.matchesLock(quote, swapFrom(quote))).toBe(true);
+    expect(service.matchesLock(quote, swapFrom(quote, { sourceAmount: '999999999999999999' }))).toBe(false);
+    expect(service.matchesLock(quote, swapFrom(quote, {
+      sourceToken: ethers.getAddress('0x00000000000000000000000000000000000c0ffe')
+    }))).toBe(false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,206 @@
+import { EventEmitter } from 'events';
+import express from 'express';
+import http from 'http';
+import { AddressInfo } from 'net';
+import { Database } from '../src/database';
+import { SwapEventStream } from '../src/services/SwapEventStream';
+import { ChainType, SwapRequest, SwapStatus } from '../src/types';
+
+let swapEventStream: SwapEventStream;
+
+jest.mock('../src/index', () => ({
+  app: { getSwapEventStream: () => swapEventStream }
+}));
+
+import streamApi from '../src/api/stream';
+
+interface ReceivedEvent {
+  id: number;
+  type: string;
+  swapId: string;
+  status: string;
+}
+
+// An open SSE connection and the events received on it so far
+interface OpenStream {
+  events: ReceivedEvent[];
+  waitFor(count: number): Promise<void>;
+  close(): void;
+}
+
+function makeSwap(id: string, userAddress: string, status: SwapStatus): SwapRequest {
+  return {
+    id,
+    userAddress,
+    resolverAddress: '0xresolver',
+    sourceChain: ChainType.ETHEREUM,
+    destinationChain: ChainType.SUI,
+    sourceToken: '0x0000000000000000000000000000000000000000',
+    destinationToken: '0x2::sui::SUI',
+    sourceAmount: '1000',
+    destinationAmount: '2000',
+    secretHash: '0x' + 'ab'.repeat(32),
+    userTimelock: 1_700_007_200_000,
+    resolverTimelock: 1_700_003_600_000,
+    status,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+}
+
+describe('swap event stream', () => {
+  let database: Database;
+  let resolver: EventEmitter;
+  let server: http.Server;
+  let port: number;
+  let streams: OpenStream[];
+
+  beforeEach(async () => {
+    database = new Database(':memory:');
+    await database.initialize();
+    swapEventStream = new SwapEventStream(database);
+    resolver = new EventEmitter();
+    swapEventStream.attach(resolver);
+    streams = [];
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.apiKey = { id: 'test', key: 'test', scope: 'read' };
+      next();
+    });
+    app.use(streamApi.basePath, streamApi.router);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    port = (server.address() as AddressInfo).port;
+  });
+
+  afterEach(async () => {
+    streams.forEach(stream => stream.close());
+    swapEventStream.stop();
+    await new Promise(resolve => server.close(resolve));
+    await database.close();
+  });
+
+  // Emits a lifecycle event and waits until it is stored, as the resolver would
+  async function emit(name: 'swapCreated' | 'swapStatusChanged', swap: SwapRequest): Promise<number> {
+    const before = await swapEventStream.getEventsAfter(0, {});
+    if (name === 'swapCreated') {
+      resolver.emit(name, swap);
+    } else {
+      resolver.emit(name, { oldStatus: SwapStatus.PENDING, swap });
+    }
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const after = await swapEventStream.getEventsAfter(0, {});
+      if (after.length > before.length) {
+        return after[after.length - 1].id;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`${name} for ${swap.id} was not recorded`);
+  }
+
+  function open(path: string, headers: Record<string, string> = {}): Promise<OpenStream> {
+    return new Promise((resolve, reject) => {
+      const events: ReceivedEvent[] = [];
+      let waiting: { count: number; resolve: () => void } | null = null;
+      let buffer = '';
+
+      const req = http.get({ host: '127.0.0.1', port, path, headers }, res => {
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          let end = buffer.indexOf('\n\n');
+          while (end !== -1) {
+            const data = buffer.slice(0, end).split('\n').find(line => line.startsWith('data: '));
+            buffer = buffer.slice(end + 2);
+            if (data) {
+              events.push(JSON.parse(data.slice('data: '.length)));
+            }
+            end = buffer.indexOf('\n\n');
+          }
+          if (waiting && events.length >= waiting.count) {
+            waiting.resolve();
+            waiting = null;
+          }
+        });
+
+        const stream: OpenStream = {
+          events,
+          waitFor: count => new Promise<void>((resolveWait, rejectWait) => {
+            if (events.length >= count) {
+              resolveWait();
+              return;
+            }
+            const timer = setTimeout(() => rejectWait(new Error(`Got ${events.length} of ${count} events`)), 5000);
+            waiting = { count, resolve: () => { clearTimeout(timer); resolveWait(); } };
+          }),
+          close: () => req.destroy()
+        };
+        streams.push(stream);
+        resolve(stream);
+      });
+      req.on('error', error => {
+        if (!req.destroyed) {
+          reject(error);
+        }
+      });
+    });
+  }
+
+  it('pushes live events once connected', async () => {
+    const stream = await open('/api/stream');
+
+    await emit('swapCreated', makeSwap('0x01', '0xAlice', SwapStatus.PENDING));
+    await stream.waitFor(1);
+
+    expect(stream.events).toEqual([expect.objectContaining({ type: 'swap_created', swapId: '0x01' })]);
+  });
+
+  it('replays the events after Last-Event-ID before the live ones', async () => {
+    const first = await emit('swapCreated', makeSwap('0x01', '0xalice', SwapStatus.PENDING));
+    await emit('swapStatusChanged', makeSwap('0x01', '0xalice', SwapStatus.USER_LOCKED));
+    await emit('swapCreated', makeSwap('0x02', '0xbob', SwapStatus.PENDING));
+
+    const stream = await open('/api/stream', { 'Last-Event-ID': first.toString() });
+    await stream.waitFor(2);
+
+    await emit('swapStatusChanged', makeSwap('0x02', '0xbob', SwapStatus.USER_LOCKED));
+    await stream.waitFor(3);
+
+    expect(stream.events.map(event => [event.type, event.swapId, event.status])).toEqual([
+      ['swap_status_changed', '0x01', 'user_locked'],
+      ['swap_created', '0x02', 'pending'],
+      ['swap_status_changed', '0x02', 'user_locked']
+    ]);
+    expect(stream.events.map(event => event.id)).toEqual([first + 1, first + 2, first + 3]);
+  });
+
+  it('takes the Last-Event-ID header over the query parameter', async () => {
+    const first = await emit('swapCreated', makeSwap('0x01', '0xalice', SwapStatus.PENDING));
+    await emit('swapCreated', makeSwap('0x02', '0xbob', SwapStatus.PENDING));
+
+    const stream = await open('/api/stream?lastEventId=0', { 'Last-Event-ID': first.toString() });
+    await stream.waitFor(1);
+
+    expect(stream.events.map(event => event.swapId)).toEqual(['0x02']);
+  });
+
+  it('applies the filter to replayed and live events', async () => {
+    await emit('swapCreated', makeSwap('0x01', '0xalice', SwapStatus.PENDING));
+    await emit('swapCreated', makeSwap('0x02', '0xbob', SwapStatus.PENDING));
+
+    const stream = await open('/api/stream?userAddress=0xALICE&lastEventId=0');
+    await stream.waitFor(1);
+
+    await emit('swapStatusChanged', makeSwap('0x02', '0xbob', SwapStatus.USER_LOCKED));
+    await emit('swapStatusChanged', makeSwap('0x01', '0xalice', SwapStatus.USER_LOCKED));
+    await stream.waitFor(2);
+
+    expect(stream.events.map(event => [event.swapId, event.status])).toEqual([
+      ['0x01', 'pending'],
+      ['0x01', 'user_locked']
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,92 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { TransactionBlock } from '@mysten/sui.js/transactions';
+import { bcs } from '@mysten/sui.js/bcs';
+import { normalizeSuiAddress } from '@mysten/sui.js/utils';
+import { addCreateDestinationEscrow } from '../src/blockchain/suiEscrow';
+
+const MOVE_SOURCE = path.join(__dirname, '../../sui-modules/fusion_plus/sources/sui_swap_escrow.move');
+
+// Parameter names and types of a public function, without the trailing TxContext
+function moveParams(functionName: string): Array<{ name: string; type: string }> {
+  const source = fs.readFileSync(MOVE_SOURCE, 'utf8');
+  const match = source.match(new RegExp(`public fun ${functionName}<T>\\(([^)]*)\\)`));
+  if (!match) {
+    throw new Error(`${functionName} not found in ${MOVE_SOURCE}`);
+  }
+
+  return match[1]
+    .split(',')
+    .map(param => param.trim())
+    .filter(param => param.length > 0)
+    .map(param => {
+      const [name, type] = param.split(':').map(part => part.trim());
+      return { name, type };
+    })
+    .filter(param => param.type !== '&mut TxContext');
+}
+
+const params = {
+  coinType: '0x2::sui::SUI',
+  swapId: '0x' + 'ab'.repeat(32),
+  userAddress: normalizeSuiAddress('0x1234'),
+  secretHash: '0x' + 'cd'.repeat(32),
+  userTimelock: 1_700_007_200_000,
+  resolverTimelock: 1_700_003_600_000
+};
+
+// The value each create_destination_escrow parameter should carry
+const expected: Record<string, unknown> = {
+  factory: normalizeSuiAddress('0xfac'),
+  swap_id: Array.from(Buffer.from('ab'.repeat(32), 'hex')),
+  user_address: params.userAddress,
+  secret_hash: Array.from(Buffer.from('cd'.repeat(32), 'hex')),
+  user_timelock: params.userTimelock.toString(),
+  resolver_timelock: params.resolverTimelock.toString(),
+  clock: normalizeSuiAddress('0x6')
+};
+
+function decodePure(type: string, bytes: number[]): unknown {
+  const data = Uint8Array.from(bytes);
+  switch (type) {
+    case 'vector<u8>':
+      return bcs.vector(bcs.u8()).parse(data);
+    case 'address':
+      return bcs.Address.parse(data);
+    case 'u64':
+      return bcs.u64().parse(data);
+    default:
+      throw new Error(`No decoder for pure type ${type}`);
+  }
+}
+
+describe('addCreateDestinationEscrow', () => {
+  const txb = new TransactionBlock();
+  addCreateDestinationEscrow(txb, params, '0xbeef', '0xfac');
+  const { inputs, transactions } = txb.blockData;
+  const call = transactions[0] as any;
+
+  it('calls create_destination_escrow with the coin type', () => {
+    expect(call.kind).toBe('MoveCall');
+    expect(call.target).toBe('0xbeef::sui_swap_escrow::create_destination_escrow');
+    expect(call.typeArguments).toEqual([params.coinType]);
+  });
+
+  it('passes one argument per Move parameter, in order and of the right type', () => {
+    const moveSignature = moveParams('create_destination_escrow');
+    expect(call.arguments).toHaveLength(moveSignature.length);
+
+    moveSignature.forEach(({ name, type }, index) => {
+      const input = inputs[call.arguments[index].index] as any;
+
+      if (type.startsWith('&')) {
+        expect(input.type).toBe('object');
+        expect(normalizeSuiAddress(input.value)).toBe(expected[name]);
+        return;
+      }
+
+      expect(input.type).toBe('pure');
+      expect(decodePure(type, input.value.Pure)).toEqual(expected[name]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,216 @@
+import { ChainManager } from '../src/blockchain/providers';
+import { Database } from '../src/database';
+import { InMemoryJobQueue } from '../src/queue';
+import { ResolverService } from '../src/services/ResolverService';
+import { SwapMetricsService } from '../src/services/SwapMetricsService';
+import { ChainType, SwapRequest, SwapStatus } from '../src/types';
+
+const FROM = 1_700_000_000_000;
+const TO = FROM + 3_600_000;
+const ETH = '0x0000000000000000000000000000000000000000';
+const SUI = '0x2::sui::SUI';
+
+// An ETH -> SUI swap of 1 ETH for 2000 SUI, created a minute before it last changed
+function makeSwap(id: string, status: SwapStatus, updatedAt: number, overrides: Partial<SwapRequest> = {}): SwapRequest {
+  return {
+    id,
+    userAddress: '0xalice',
+    resolverAddress: '0xresolver',
+    sourceChain: ChainType.ETHEREUM,
+    destinationChain: ChainType.SUI,
+    sourceToken: ETH,
+    destinationToken: SUI,
+    sourceAmount: '1000000000000000000',
+    destinationAmount: '2000000000000',
+    secretHash: '0x' + 'ab'.repeat(32),
+    userTimelock: updatedAt + 7_200_000,
+    resolverTimelock: updatedAt + 3_600_000,
+    status,
+    createdAt: new Date(updatedAt - 60_000),
+    updatedAt: new Date(updatedAt),
+    ...overrides
+  };
+}
+
+describe('SwapMetricsService', () => {
+  let database: Database;
+  let prices: Record<ChainType, number>;
+  let service: SwapMetricsService;
+
+  beforeEach(async () => {
+    database = new Database(':memory:');
+    await database.initialize();
+    prices = { [ChainType.ETHEREUM]: 3000, [ChainType.SUI]: 1 };
+    service = new SwapMetricsService(database, {
+      getPrice: async chain => {
+        if (!prices[chain]) {
+          throw new Error(`no price on ${chain}`);
+        }
+        return prices[chain];
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  async function insert(...swaps: SwapRequest[]): Promise<void> {
+    for (const swap of swaps) {
+      await database.createSwap(swap);
+    }
+  }
+
+  async function spendGas(swapId: string, chain: ChainType, gasCost: string): Promise<void> {
+    await database.insertSwapTransaction({
+      swapId,
+      chain,
+      action: 'claim',
+      txHash: `${swapId}-${chain}`,
+      gasCost,
+      createdAt: new Date(FROM)
+    });
+  }
+
+  it('only counts swaps that finished in [from, to)', async () => {
+    await insert(
+      makeSwap('0x01', SwapStatus.COMPLETED, FROM),
+      makeSwap('0x02', SwapStatus.COMPLETED, FROM - 1),
+      makeSwap('0x03', SwapStatus.COMPLETED, TO),
+      makeSwap('0x04', SwapStatus.REFUNDED, TO - 1),
+      makeSwap('0x05', SwapStatus.BOTH_LOCKED, FROM + 1000)
+    );
+    // Gas of swaps outside the window is left out too
+    await spendGas('0x02', ChainType.ETHEREUM, '1000000000000000');
+    await spendGas('0x03', ChainType.SUI, '10000000');
+
+    const metrics = await service.getMetrics(FROM, TO, 1);
+
+    expect(metrics).toMatchObject({
+      from: new Date(FROM),
+      to: new Date(TO),
+      totalSwaps: 2,
+      completedSwaps: 1,
+      refundedSwaps: 1,
+      failedSwaps: 0,
+      gasSpent: [],
+      activeSwaps: 1
+    });
+  });
+
+  it('reports outcomes, volume, gas and profit of the finished swaps', async () => {
+    await insert(
+      makeSwap('0x01', SwapStatus.COMPLETED, FROM + 1000),
+      makeSwap('0x02', SwapStatus.COMPLETED, FROM + 2000, { createdAt: new Date(FROM - 178_000) }),
+      makeSwap('0x03', SwapStatus.REFUNDED, FROM + 3000),
+      makeSwap('0x04', SwapStatus.FAILED, FROM + 4000)
+    );
+    await spendGas('0x01', ChainType.ETHEREUM, '1000000000000000');
+    await spendGas('0x01', ChainType.SUI, '10000000');
+    await spendGas('0x03', ChainType.SUI, '20000000');
+
+    const metrics = await service.getMetrics(FROM, TO, 0);
+
+    expect(metrics).toMatchObject({
+      totalSwaps: 4,
+      completedSwaps: 2,
+      refundedSwaps: 1,
+      failedSwaps: 1,
+      successRate: 0.5,
+      refundRate: 0.25,
+      volume: [
+        { chain: ChainType.ETHEREUM, token: ETH, symbol: 'ETH', received: '2000000000000000000', paid: '0' },
+        { chain: ChainType.SUI, token: SUI, symbol: 'SUI', received: '0', paid: '4000000000000' }
+      ],
+      // Minutes of 1 and 3, from createdAt to completion
+      averageCompletionTime: 120_000
+    });
+    expect(metrics.gasSpent).toHaveLength(2);
+    expect(metrics.gasSpent).toEqual(expect.arrayContaining([
+      { chain: ChainType.ETHEREUM, amount: '1000000000000000' },
+      { chain: ChainType.SUI, amount: '30000000' }
+    ]));
+    // 2 ETH received for 4000 SUI paid, less 0.001 ETH and 0.03 SUI of gas
+    expect(metrics.totalVolume).toBeCloseTo(6000);
+    expect(metrics.gasCost).toBeCloseTo(3.03);
+    expect(metrics.profitGenerated).toBeCloseTo(1996.97);
+    expect(metrics.averageProfit).toBeCloseTo(1996.97 / 4);
+  });
+
+  it('leaves the USD values empty when a token cannot be priced', async () => {
+    await insert(makeSwap('0x01', SwapStatus.COMPLETED, FROM));
+    delete (prices as Partial<Record<ChainType, number>>)[ChainType.SUI];
+
+    const metrics = await service.getMetrics(FROM, TO, 0);
+
+    expect(metrics).toMatchObject({
+      completedSwaps: 1,
+      totalVolume: null,
+      gasCost: null,
+      profitGenerated: null,
+      averageProfit: null
+    });
+  });
+
+  it('reports an empty window without rates or USD averages', async () => {
+    const metrics = await service.getMetrics(FROM, TO, 0);
+
+    expect(metrics).toMatchObject({
+      totalSwaps: 0,
+      successRate: 0,
+      refundRate: 0,
+      volume: [],
+      totalVolume: 0,
+      averageProfit: null,
+      averageCompletionTime: 0
+    });
+  });
+});
+
+describe('completedToday', () => {
+  // Mid-afternoon UTC; only the clock is faked so sqlite callbacks still run
+  const NOW = Date.UTC(2024, 0, 15, 15, 0, 0);
+  const MIDNIGHT = Date.UTC(2024, 0, 15);
+  let database: Database;
+  let resolver: ResolverService;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({
+      now: NOW,
+      doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask']
+    });
+    database = new Database(':memory:');
+    await database.initialize();
+    const chainManager = { getEthereumProvider: () => ({}) } as unknown as ChainManager;
+    resolver = new ResolverService(chainManager, database, new InMemoryJobQueue(), { getPrice: async () => 1 });
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await database.close();
+  });
+
+  it('counts the swaps completed since midnight UTC', async () => {
+    for (const swap of [
+      makeSwap('0x01', SwapStatus.COMPLETED, MIDNIGHT),
+      makeSwap('0x02', SwapStatus.COMPLETED, NOW - 1000),
+      makeSwap('0x03', SwapStatus.COMPLETED, MIDNIGHT - 1),
+      makeSwap('0x04', SwapStatus.REFUNDED, NOW - 1000),
+      makeSwap('0x05', SwapStatus.BOTH_LOCKED, NOW - 1000)
+    ]) {
+      await database.createSwap(swap);
+    }
+
+    expect((await resolver.getStats()).completedToday).toBe(2);
+  });
+
+  it('counts a swap locked before midnight and completed today', async () => {
+    const swap = makeSwap('0x01', SwapStatus.BOTH_LOCKED, MIDNIGHT - 60_000);
+    await database.createSwap(swap);
+    expect((await resolver.getStats()).completedToday).toBe(0);
+
+    await database.updateSwap({ ...swap, status: SwapStatus.COMPLETED, updatedAt: new Date() });
+
+    expect((await resolver.getStats()).completedToday).toBe(1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,163 @@
+import express from 'express';
+import http from 'http';
+import { AddressInfo } from 'net';
+import { Database } from '../src/database';
+import { ChainType, SwapRequest, SwapStatus } from '../src/types';
+
+let database: Database;
+
+jest.mock('../src/index', () => ({
+  app: { getResolverService: () => ({ querySwaps: (query: any) => database.querySwaps(query) }) }
+}));
+
+import swapsApi from '../src/api/swaps';
+
+function makeSwap(id: string, createdAt: number, overrides: Partial<SwapRequest> = {}): SwapRequest {
+  return {
+    id,
+    userAddress: '0xalice',
+    resolverAddress: '0xresolver',
+    sourceChain: ChainType.ETHEREUM,
+    destinationChain: ChainType.SUI,
+    sourceToken: '0x0000000000000000000000000000000000000000',
+    destinationToken: '0x2::sui::SUI',
+    sourceAmount: '1000',
+    destinationAmount: '2000',
+    secretHash: '0x' + 'ab'.repeat(32),
+    userTimelock: 1_700_007_200_000,
+    resolverTimelock: 1_700_003_600_000,
+    status: SwapStatus.USER_LOCKED,
+    createdAt: new Date(createdAt),
+    updatedAt: new Date(createdAt),
+    ...overrides
+  };
+}
+
+describe('swap search', () => {
+  let server: http.Server;
+  let url: string;
+
+  beforeEach(async () => {
+    database = new Database(':memory:');
+    await database.initialize();
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.apiKey = { id: 'test', key: 'test', scope: 'read' };
+      next();
+    });
+    app.use(swapsApi.basePath, swapsApi.router);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}${swapsApi.basePath}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await database.close();
+  });
+
+  async function search(query: Record<string, string | number>) {
+    const params = new URLSearchParams(Object.entries(query).map(([key, value]): [string, string] => [key, String(value)]));
+    const response = await fetch(`${url}?${params}`);
+    return { status: response.status, body: await response.json() as any };
+  }
+
+  // Follows nextCursor from the first page to the last, returning the IDs of each page
+  async function pages(query: Record<string, string | number>): Promise<string[][]> {
+    const result: string[][] = [];
+    let cursor: string | null = null;
+    do {
+      const { status, body } = await search(cursor ? { ...query, cursor } : query);
+      expect(status).toBe(200);
+      result.push(body.data.swaps.map((swap: SwapRequest) => swap.id));
+      cursor = body.data.nextCursor;
+    } while (cursor && result.length < 10);
+    return result;
+  }
+
+  async function insert(...swaps: SwapRequest[]): Promise<void> {
+    for (const swap of swaps) {
+      await database.createSwap(swap);
+    }
+  }
+
+  it('pages through swaps created at the same time without skipping or repeating any', async () => {
+    await insert(
+      makeSwap('0x01', 1000),
+      makeSwap('0x02', 2000),
+      makeSwap('0x03', 2000),
+      makeSwap('0x04', 2000),
+      makeSwap('0x05', 3000)
+    );
+
+    expect(await pages({ limit: 2 })).toEqual([['0x05', '0x04'], ['0x03', '0x02'], ['0x01']]);
+    expect(await pages({ limit: 2, order: 'asc' })).toEqual([['0x01', '0x02'], ['0x03', '0x04'], ['0x05']]);
+  });
+
+  it('returns no nextCursor on a last page that is exactly full', async () => {
+    await insert(makeSwap('0x01', 1000), makeSwap('0x02', 2000));
+
+    const { body } = await search({ limit: 2 });
+    expect(body.data.swaps.map((swap: SwapRequest) => swap.id)).toEqual(['0x02', '0x01']);
+    expect(body.data.nextCursor).toBeNull();
+  });
+
+  it('returns an empty page without nextCursor for a cursor past the oldest swap', async () => {
+    await insert(makeSwap('0x01', 1000));
+
+    const { status, body } = await search({ cursor: Buffer.from(JSON.stringify([500, '0x00'])).toString('base64url') });
+    expect(status).toBe(200);
+    expect(body.data).toEqual({ swaps: [], nextCursor: null });
+  });
+
+  it.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['the wrong shape', Buffer.from(JSON.stringify({ value: 1000, id: '0x01' })).toString('base64url')],
+    ['a non-integer sort value', Buffer.from(JSON.stringify(['1000', '0x01'])).toString('base64url')]
+  ])('rejects a cursor that is %s', async (_case, cursor) => {
+    const response = await search({ cursor });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error: 'Invalid request', message: 'cursor is malformed' });
+  });
+
+  it('filters by status, activity, user and time range', async () => {
+    await insert(
+      makeSwap('0x01', 1000),
+      makeSwap('0x02', 2000, { status: SwapStatus.COMPLETED, updatedAt: new Date(5000) }),
+      makeSwap('0x03', 3000, { userAddress: '0xBob', sourceChain: ChainType.SUI, destinationChain: ChainType.ETHEREUM }),
+      makeSwap('0x04', 4000, { status: SwapStatus.FAILED, updatedAt: new Date(6000) })
+    );
+
+    const ids = async (query: Record<string, string | number>) =>
+      (await search(query)).body.data.swaps.map((swap: SwapRequest) => swap.id);
+
+    expect(await ids({ status: SwapStatus.COMPLETED })).toEqual(['0x02']);
+    expect(await ids({ active: 'true' })).toEqual(['0x03', '0x01']);
+    expect(await ids({ active: 'false' })).toEqual(['0x04', '0x02']);
+    expect(await ids({ userAddress: '0xBOB' })).toEqual(['0x03']);
+    expect(await ids({ createdFrom: 2000, createdTo: 4000 })).toEqual(['0x03', '0x02']);
+    expect(await ids({ updatedFrom: 5000, sortBy: 'updatedAt' })).toEqual(['0x04', '0x02']);
+  });
+
+  it('keeps the filters across pages', async () => {
+    await insert(
+      makeSwap('0x01', 1000),
+      makeSwap('0x02', 2000, { userAddress: '0xbob' }),
+      makeSwap('0x03', 3000),
+      makeSwap('0x04', 4000, { userAddress: '0xbob' }),
+      makeSwap('0x05', 5000)
+    );
+
+    expect(await pages({ userAddress: '0xalice', limit: 2 })).toEqual([['0x05', '0x03'], ['0x01']]);
+  });
+
+  it('rejects an unknown filter value before querying', async () => {
+    const response = await search({ status: 'lost' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/^status must be one of/);
+  });
+});
\ No newline at end of file
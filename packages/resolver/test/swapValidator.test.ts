@@ -0,0 +1,165 @@
+import { ChainManager } from '../src/blockchain/providers';
+import { config } from '../src/config';
+import { Database } from '../src/database';
+import { InMemoryJobQueue } from '../src/queue';
+import { ResolverService } from '../src/services/ResolverService';
+import { SwapValidator } from '../src/services/SwapValidator';
+import { ChainType, SwapRequest, SwapStatus } from '../src/types';
+
+const NOW = 1_700_000_000_000;
+const ETH = '0x0000000000000000000000000000000000000000';
+const SUI = '0x2::sui::SUI';
+const ETH_USER = '0x00000000000000000000000000000000000A11cE';
+
+// An ETH -> SUI swap within every limit, checked at NOW
+function makeSwap(overrides: Partial<SwapRequest> = {}): SwapRequest {
+  return {
+    id: '0x01',
+    userAddress: ETH_USER,
+    resolverAddress: '0xresolver',
+    recipientAddress: '0x' + 'a1'.repeat(32),
+    sourceChain: ChainType.ETHEREUM,
+    destinationChain: ChainType.SUI,
+    sourceToken: ETH,
+    destinationToken: SUI,
+    sourceAmount: '1000000000000000000',
+    destinationAmount: '2000000000',
+    secretHash: '0x' + 'ab'.repeat(32),
+    userTimelock: NOW + 7_200_000,
+    resolverTimelock: NOW + 3_600_000,
+    status: SwapStatus.USER_LOCKED,
+    createdAt: new Date(NOW),
+    updatedAt: new Date(NOW),
+    ...overrides
+  };
+}
+
+// The same swap in the other direction, so our lock confirms on Ethereum
+function makeSuiToEthSwap(overrides: Partial<SwapRequest> = {}): SwapRequest {
+  return makeSwap({
+    userAddress: '0x' + 'a1'.repeat(32),
+    recipientAddress: ETH_USER,
+    sourceChain: ChainType.SUI,
+    destinationChain: ChainType.ETHEREUM,
+    sourceToken: SUI,
+    destinationToken: ETH,
+    sourceAmount: '2000000000',
+    destinationAmount: '1000000000000000000',
+    ...overrides
+  });
+}
+
+describe('SwapValidator', () => {
+  const validator = new SwapValidator();
+  const safety = { ...config.safety };
+
+  beforeEach(() => {
+    config.safety.maxSwapAmount = '100000000000000000000';
+    config.safety.maxSwapAmounts = { 'sui:0x2::sui::SUI': '50000000000' };
+    config.safety.minTimelockBuffer = 1_800_000;
+  });
+
+  afterAll(() => {
+    Object.assign(config.safety, safety);
+  });
+
+  it('accepts a swap within the limits', () => {
+    expect(validator.validate(makeSwap(), NOW)).toEqual({ valid: true });
+    expect(validator.validate(makeSuiToEthSwap(), NOW)).toEqual({ valid: true });
+  });
+
+  it('rejects a source amount over MAX_SWAP_AMOUNT', () => {
+    expect(validator.validate(makeSwap({ sourceAmount: '100000000000000000001' }), NOW)).toEqual({
+      valid: false,
+      reason: 'source amount 100000000000000000001 exceeds cap 100000000000000000000'
+    });
+  });
+
+  it('applies a per-token cap to the destination amount', () => {
+    expect(validator.validate(makeSwap({ destinationAmount: '50000000000' }), NOW)).toEqual({ valid: true });
+    expect(validator.validate(makeSwap({ destinationAmount: '50000000001' }), NOW)).toEqual({
+      valid: false,
+      reason: 'destination amount 50000000001 exceeds cap 50000000000'
+    });
+  });
+
+  it('finds the per-token cap for a coin type in its long form', () => {
+    const longSui = '0x0000000000000000000000000000000000000000000000000000000000000002::sui::SUI';
+
+    expect(validator.validate(makeSuiToEthSwap({ sourceToken: longSui, sourceAmount: '50000000001' }), NOW)).toEqual({
+      valid: false,
+      reason: 'source amount 50000000001 exceeds cap 50000000000'
+    });
+  });
+
+  it('rejects timelocks closer than the buffer', () => {
+    const swap = makeSwap({ resolverTimelock: NOW + 7_200_000 - 1_799_999 });
+
+    expect(validator.validate(swap, NOW)).toEqual({
+      valid: false,
+      reason: 'timelock gap 1799999ms is below the 1800000ms buffer'
+    });
+  });
+
+  it('rejects a resolver timelock too close for our lock to confirm', () => {
+    // Ethereum: one block to include the lock plus the confirmations, 12s each
+    const latency = (config.ethereum.confirmations + 1) * 12000;
+
+    expect(validator.validate(makeSuiToEthSwap({ resolverTimelock: NOW + latency }), NOW)).toEqual({ valid: true });
+    expect(validator.validate(makeSuiToEthSwap({ resolverTimelock: NOW + latency - 1 }), NOW)).toEqual({
+      valid: false,
+      reason: `resolver timelock leaves less than ${latency}ms to confirm the lock`
+    });
+  });
+
+  it('rejects a user timelock too close to confirm both claims', () => {
+    config.safety.minTimelockBuffer = 0;
+    const latency = (config.ethereum.confirmations + 1) * 12000 + (config.sui.confirmations + 1) * 500;
+    const swap = makeSuiToEthSwap({ resolverTimelock: NOW + latency - 1, userTimelock: NOW + latency - 1 });
+
+    expect(validator.validate(swap, NOW - 1)).toEqual({ valid: true });
+    expect(validator.validate(swap, NOW)).toEqual({
+      valid: false,
+      reason: `user timelock leaves less than ${latency}ms to confirm both claims`
+    });
+  });
+});
+
+describe('lock job validation', () => {
+  let database: Database;
+  let jobQueue: InMemoryJobQueue;
+  let resolver: ResolverService;
+
+  beforeEach(async () => {
+    database = new Database(':memory:');
+    await database.initialize();
+    jobQueue = new InMemoryJobQueue();
+    // No chain is reachable: a lock that got past validation would fail the job instead
+    const chainManager = { getEthereumProvider: () => ({}) } as unknown as ChainManager;
+    resolver = new ResolverService(chainManager, database, jobQueue, { getPrice: async () => 1 });
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  it('fails a swap over the cap with the reason stored', async () => {
+    const swap = makeSwap({
+      sourceAmount: '100000000000000000001',
+      userTimelock: Date.now() + 7_200_000,
+      resolverTimelock: Date.now() + 3_600_000
+    });
+    await database.createSwap(swap);
+    (resolver as any).activeSwaps.set(swap.id, swap);
+
+    await jobQueue.enqueue(swap.id, 'lock');
+    await (resolver as any).runJob(await jobQueue.reserve());
+
+    expect(await database.getSwap(swap.id)).toMatchObject({
+      status: SwapStatus.FAILED,
+      failureReason: 'source amount 100000000000000000001 exceeds cap 100000000000000000000'
+    });
+    expect(await jobQueue.size()).toBe(0);
+    expect(await jobQueue.getDeadLetters()).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,188 @@
+import { ethers } from 'ethers';
+import { EthereumProvider } from '../src/blockchain/providers';
+import { EthereumTransactionManager } from '../src/blockchain/transactions';
+import { Database } from '../src/database';
+import { EthereumTransaction } from '../src/types';
+
+const ESCROW = ethers.getAddress('0x00000000000000000000000000000000000000e5');
+const LOCK_DATA = '0x12345678';
+
+// Stands in for the node: mines every broadcast at once unless told to fail it
+class FakeNode {
+  wallet = ethers.Wallet.createRandom();
+  // Hash and nonce of each broadcast, in order
+  broadcasts: Array<{ hash: string; nonce: number }> = [];
+  receipts: Map<string, { hash: string; status: number; blockNumber: number }> = new Map();
+  minedCount = 0;
+  // Thrown by the next broadcast, after which the node may or may not have the transaction
+  broadcastError?: { error: Error; received: boolean };
+  private pendingMine?: string;
+
+  provider(): EthereumProvider {
+    const wallet = {
+      address: this.wallet.address,
+      estimateGas: async () => BigInt(50000),
+      populateTransaction: async (tx: ethers.TransactionRequest) => ({ ...tx, chainId: 1 }),
+      signTransaction: (tx: ethers.TransactionRequest) => this.wallet.signTransaction(tx)
+    };
+    const provider = {
+      getFeeData: async () => ({ maxFeePerGas: BigInt(2e9), maxPriorityFeePerGas: BigInt(1e9), gasPrice: null }),
+      getTransactionCount: async () => {
+        if (this.pendingMine) {
+          this.mine(this.pendingMine);
+          this.pendingMine = undefined;
+        }
+        return this.minedCount;
+      },
+      getTransactionReceipt: async (hash: string) => this.receipts.get(hash) || null,
+      broadcastTransaction: async (signed: string) => this.broadcast(signed)
+    };
+
+    return {
+      getWallet: () => wallet,
+      getProvider: () => provider,
+      getNonce: async () => this.minedCount
+    } as unknown as EthereumProvider;
+  }
+
+  // Mines the hash when the mined count is read, before its receipt can be looked up
+  mineOnCount(hash: string): void {
+    this.pendingMine = hash;
+  }
+
+  mine(hash: string, status: number = 1): void {
+    this.receipts.set(hash, { hash, status, blockNumber: 100 + this.minedCount });
+    this.minedCount++;
+  }
+
+  private broadcast(signed: string): void {
+    const transaction = ethers.Transaction.from(signed);
+    const hash = transaction.hash!;
+    this.broadcasts.push({ hash, nonce: transaction.nonce });
+
+    const failure = this.broadcastError;
+    this.broadcastError = undefined;
+    if (failure && !failure.received) {
+      throw failure.error;
+    }
+    this.mine(hash);
+    if (failure) {
+      throw failure.error;
+    }
+  }
+}
+
+describe('EthereumTransactionManager', () => {
+  let database: Database;
+  let node: FakeNode;
+  let manager: EthereumTransactionManager;
+
+  const lock = { to: ESCROW, data: LOCK_DATA };
+
+  beforeEach(async () => {
+    database = new Database(':memory:');
+    await database.initialize();
+    node = new FakeNode();
+    manager = new EthereumTransactionManager(node.provider(), database);
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  function pendingAt(nonce: number, hash: string): EthereumTransaction {
+    return {
+      sender: node.wallet.address,
+      nonce,
+      action: 'lock',
+      swapId: '0x01',
+      to: ESCROW,
+      data: LOCK_DATA,
+      value: '0',
+      gasLimit: '60000',
+      maxFeePerGas: '2000000000',
+      maxPriorityFeePerGas: '1000000000',
+      hashes: [hash],
+      status: 'pending',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+  }
+
+  it('sends at the next nonce and records the mined transaction', async () => {
+    const receipt = await manager.send('lock', lock, { swapId: '0x01' });
+
+    expect(node.broadcasts).toEqual([{ hash: receipt.hash, nonce: 0 }]);
+    expect(await database.findEthereumTransaction(node.wallet.address, '0x01', 'lock', ESCROW, LOCK_DATA))
+      .toMatchObject({ nonce: 0, status: 'mined', minedHash: receipt.hash });
+  });
+
+  it('resumes the pending transaction of a retried step instead of sending it again', async () => {
+    const hash = '0x' + 'aa'.repeat(32);
+    await database.saveEthereumTransaction(pendingAt(0, hash));
+    node.mine(hash);
+
+    const receipt = await manager.send('lock', lock, { swapId: '0x01' });
+
+    expect(receipt.hash).toBe(hash);
+    expect(node.broadcasts).toHaveLength(0);
+  });
+
+  it('settles a transaction mined between the receipt lookup and the nonce check', async () => {
+    const hash = '0x' + 'cc'.repeat(32);
+    await database.saveEthereumTransaction(pendingAt(0, hash));
+    node.mineOnCount(hash);
+
+    const receipt = await manager.send('lock', lock, { swapId: '0x01' });
+
+    expect(receipt.hash).toBe(hash);
+    expect(node.broadcasts).toHaveLength(0);
+    expect(await database.findEthereumTransaction(node.wallet.address, '0x01', 'lock', ESCROW, LOCK_DATA))
+      .toMatchObject({ nonce: 0, status: 'mined', minedHash: hash });
+  });
+
+  it('does not send a step again once it was mined', async () => {
+    const first = await manager.send('lock', lock, { swapId: '0x01' });
+    const second = await manager.send('lock', lock, { swapId: '0x01' });
+
+    expect(second.hash).toBe(first.hash);
+    expect(node.broadcasts).toHaveLength(1);
+  });
+
+  it('sends a step again when the earlier transaction reverted', async () => {
+    const hash = '0x' + 'bb'.repeat(32);
+    await database.saveEthereumTransaction({ ...pendingAt(0, hash), status: 'mined', minedHash: hash });
+    node.mine(hash, 0);
+
+    const receipt = await manager.send('lock', lock, { swapId: '0x01' });
+
+    expect(receipt.hash).not.toBe(hash);
+    expect(node.broadcasts).toEqual([{ hash: receipt.hash, nonce: 1 }]);
+  });
+
+  it('keeps a transaction pending when the broadcast fails without a rejection', async () => {
+    node.broadcastError = { error: ethers.makeError('request timeout', 'TIMEOUT'), received: true };
+
+    const receipt = await manager.send('lock', lock, { swapId: '0x01' });
+
+    expect(node.broadcasts).toEqual([{ hash: receipt.hash, nonce: 0 }]);
+    expect(await database.findEthereumTransaction(node.wallet.address, '0x01', 'lock', ESCROW, LOCK_DATA))
+      .toMatchObject({ nonce: 0, status: 'mined' });
+  });
+
+  it('drops a rejected transaction and reuses its nonce', async () => {
+    node.broadcastError = {
+      error: ethers.makeError('insufficient funds', 'INSUFFICIENT_FUNDS', { transaction: {} }),
+      received: false
+    };
+
+    await expect(manager.send('lock', lock, { swapId: '0x01' })).rejects.toThrow('insufficient funds');
+    expect(await database.findEthereumTransaction(node.wallet.address, '0x01', 'lock', ESCROW, LOCK_DATA)).toBeNull();
+
+    const receipt = await manager.send('lock', lock, { swapId: '0x01' });
+    expect(node.broadcasts.map(broadcast => broadcast.nonce)).toEqual([0, 0]);
+    expect(receipt.hash).toBe(node.broadcasts[1].hash);
+    expect(await database.findEthereumTransaction(node.wallet.address, '0x01', 'lock', ESCROW, LOCK_DATA))
+      .toMatchObject({ nonce: 0, status: 'mined' });
+  });
+});
\ No newline at end of file
@@ -7,6 +7,8 @@ module fusion_plus::sui_swap_escrow {
     use sui::clock::{Self, Clock};
     use sui::hash;
     use std::string::{Self, String};
+    use std::ascii;
+    use std::type_name;
 
     // Error codes
     const E_INVALID_SECRET_HASH: u64 = 2;
@@ -21,14 +23,17 @@ module fusion_plus::sui_swap_escrow {
     const E_ESCROW_DESTROYED: u64 = 11;
     const E_USER_MUST_LOCK_FIRST: u64 = 12;
     const E_INVALID_TIMELOCK_RELATIONSHIP: u64 = 13;
+    const E_USER_SIDE_UNUSED: u64 = 14;
+    const E_INVALID_RECIPIENT: u64 = 15;
+    const E_STAKE_LOCKED: u64 = 16;
 
     // Constants
     const MIN_TIMELOCK_BUFFER: u64 = 1800000; // 30 minutes in milliseconds
     const MAX_SWAP_DURATION: u64 = 86400000; // 24 hours in milliseconds
     const CLEANUP_DELAY: u64 = 3600000; // 1 hour in milliseconds
 
-    // Individual Swap Escrow struct
-    public struct SwapEscrow has key {
+    // Individual Swap Escrow struct, holding coins of type T on both sides
+    public struct SwapEscrow<phantom T> has key {
         id: UID,
         swap_id: vector<u8>,
         factory_id: ID,
@@ -41,7 +46,7 @@ module fusion_plus::sui_swap_escrow {
         user_locked: bool,
         user_claimed: bool,
         user_refunded: bool,
-        user_balance: Balance<SUI>,
+        user_balance: Balance<T>,
         
         // Resolver side (locks in response)
         resolver_address: address,
@@ -51,13 +56,15 @@ module fusion_plus::sui_swap_escrow {
         resolver_locked: bool,
         resolver_claimed: bool,
         resolver_refunded: bool,
-        resolver_balance: Balance<SUI>,
+        resolver_balance: Balance<T>,
         
         // Shared
         secret_hash: vector<u8>,
         revealed_secret: String,
         is_destroyed: bool,
         created_at: u64,
+        // False for destination escrows, where only the resolver side is used
+        user_lock_required: bool,
     }
 
     // Factory for creating swap escrows
@@ -65,6 +72,9 @@ module fusion_plus::sui_swap_escrow {
         id: UID,
         resolvers: vector<address>,
         resolver_stakes: vector<u64>,
+        // Per resolver, the latest user timelock of its swaps; the stake stays until then
+        resolver_locked_until: vector<u64>,
+        stake_balance: Balance<SUI>,
         active_swaps: vector<vector<u8>>,
         swap_escrows: vector<ID>,
         min_resolver_stake: u64,
@@ -79,6 +89,21 @@ module fusion_plus::sui_swap_escrow {
         secret_hash: vector<u8>,
         user_timelock: u64,
         resolver_timelock: u64,
+        coin_type: ascii::String,
+        // User's address on the destination chain, where the resolver pays out
+        recipient: vector<u8>,
+    }
+
+    // The resolver's escrow on the destination chain of a swap the user started elsewhere
+    public struct DestinationEscrowCreated has copy, drop {
+        swap_id: vector<u8>,
+        escrow_id: ID,
+        user_address: address,
+        resolver_address: address,
+        secret_hash: vector<u8>,
+        user_timelock: u64,
+        resolver_timelock: u64,
+        coin_type: ascii::String,
     }
 
     public struct EscrowLocked has copy, drop {
@@ -114,6 +139,11 @@ module fusion_plus::sui_swap_escrow {
         stake_amount: u64,
     }
 
+    public struct ResolverUnregistered has copy, drop {
+        resolver: address,
+        refund_amount: u64,
+    }
+
     public struct SwapCompleted has copy, drop {
         swap_id: vector<u8>,
         secret: String,
@@ -125,6 +155,8 @@ module fusion_plus::sui_swap_escrow {
             id: object::new(ctx),
             resolvers: vector::empty(),
             resolver_stakes: vector::empty(),
+            resolver_locked_until: vector::empty(),
+            stake_balance: balance::zero(),
             active_swaps: vector::empty(),
             swap_escrows: vector::empty(),
             min_resolver_stake: 1_000_000_000, // 1 SUI
@@ -133,14 +165,13 @@ module fusion_plus::sui_swap_escrow {
         transfer::share_object(factory);
     }
 
-    // Register as a resolver with stake
+    // Register as a resolver with stake, or add to the stake of a registered resolver
     public fun register_resolver(
         factory: &mut SwapEscrowFactory,
         stake: Coin<SUI>,
         ctx: &mut TxContext
     ) {
         let stake_amount = coin::value(&stake);
-        assert!(stake_amount >= factory.min_resolver_stake, 1);
         
         let resolver = tx_context::sender(ctx);
         
@@ -157,16 +188,18 @@ module fusion_plus::sui_swap_escrow {
         };
         
         if (!already_registered) {
+            assert!(stake_amount >= factory.min_resolver_stake, 1);
             vector::push_back(&mut factory.resolvers, resolver);
             vector::push_back(&mut factory.resolver_stakes, stake_amount);
+            vector::push_back(&mut factory.resolver_locked_until, 0);
         } else {
             // Update existing stake
             let stake_ref = vector::borrow_mut(&mut factory.resolver_stakes, i);
             *stake_ref = *stake_ref + stake_amount;
         };
 
-        // Transfer stake to factory (simplified - in practice would lock it properly)
-        transfer::public_transfer(stake, @fusion_plus);
+        // Held by the factory until the resolver withdraws it
+        balance::join(&mut factory.stake_balance, coin::into_balance(stake));
         
         event::emit(ResolverRegistered {
             resolver: resolver,
@@ -174,11 +207,38 @@ module fusion_plus::sui_swap_escrow {
         });
     }
 
+    // Unregister and return the whole stake to the resolver, once none of its swaps can still
+    // be claimed or refunded
+    public fun withdraw_stake(
+        factory: &mut SwapEscrowFactory,
+        clock: &Clock,
+        ctx: &mut TxContext
+    ) {
+        let resolver = tx_context::sender(ctx);
+
+        let (found, i) = vector::index_of(&factory.resolvers, &resolver);
+        assert!(found, E_UNAUTHORIZED);
+        assert!(clock::timestamp_ms(clock) > *vector::borrow(&factory.resolver_locked_until, i), E_STAKE_LOCKED);
+
+        vector::remove(&mut factory.resolvers, i);
+        let refund_amount = vector::remove(&mut factory.resolver_stakes, i);
+        vector::remove(&mut factory.resolver_locked_until, i);
+
+        let refund = coin::from_balance(balance::split(&mut factory.stake_balance, refund_amount), ctx);
+        transfer::public_transfer(refund, resolver);
+
+        event::emit(ResolverUnregistered {
+            resolver: resolver,
+            refund_amount: refund_amount,
+        });
+    }
+
     // Create a new swap escrow
-    public fun create_swap_escrow(
+    public fun create_swap_escrow<T>(
         factory: &mut SwapEscrowFactory,
         swap_id: vector<u8>,
         resolver_address: address,
+        recipient: vector<u8>,
         secret_hash: vector<u8>,
         user_timelock: u64,
         resolver_timelock: u64,
@@ -189,6 +249,7 @@ module fusion_plus::sui_swap_escrow {
         let user_address = tx_context::sender(ctx);
         
         // Validate inputs
+        assert!(vector::length(&recipient) > 0, E_INVALID_RECIPIENT);
         assert!(vector::length(&secret_hash) > 0, E_INVALID_SECRET_HASH);
         assert!(user_timelock > current_time, E_INVALID_TIMELOCK);
         assert!(resolver_timelock > current_time, E_INVALID_TIMELOCK);
@@ -198,8 +259,9 @@ module fusion_plus::sui_swap_escrow {
         // Check if resolver is registered
         let is_authorized = is_resolver_registered(factory, resolver_address);
         assert!(is_authorized, E_UNAUTHORIZED);
+        lock_stake_until(factory, resolver_address, user_timelock);
 
-        let escrow = SwapEscrow {
+        let escrow = SwapEscrow<T> {
             id: object::new(ctx),
             swap_id: swap_id,
             factory_id: object::id(factory),
@@ -212,7 +274,7 @@ module fusion_plus::sui_swap_escrow {
             user_locked: false,
             user_claimed: false,
             user_refunded: false,
-            user_balance: balance::zero<SUI>(),
+            user_balance: balance::zero<T>(),
             
             // Resolver side
             resolver_address: resolver_address,
@@ -222,13 +284,14 @@ module fusion_plus::sui_swap_escrow {
             resolver_locked: false,
             resolver_claimed: false,
             resolver_refunded: false,
-            resolver_balance: balance::zero<SUI>(),
+            resolver_balance: balance::zero<T>(),
             
             // Shared
             secret_hash: secret_hash,
             revealed_secret: string::utf8(b""),
             is_destroyed: false,
             created_at: current_time,
+            user_lock_required: true,
         };
 
         let escrow_id = object::id(&escrow);
@@ -245,6 +308,87 @@ module fusion_plus::sui_swap_escrow {
             secret_hash: secret_hash,
             user_timelock: user_timelock,
             resolver_timelock: resolver_timelock,
+            coin_type: type_name::into_string(type_name::get<T>()),
+            recipient: recipient,
+        });
+
+        transfer::share_object(escrow);
+        escrow_id
+    }
+
+    // Create the resolver's escrow on the destination chain (called by the resolver).
+    // The user locked on the source chain, so only the resolver side is used here:
+    // the resolver locks first and the user claims with the secret.
+    public fun create_destination_escrow<T>(
+        factory: &mut SwapEscrowFactory,
+        swap_id: vector<u8>,
+        user_address: address,
+        secret_hash: vector<u8>,
+        user_timelock: u64,
+        resolver_timelock: u64,
+        clock: &Clock,
+        ctx: &mut TxContext
+    ): ID {
+        let current_time = clock::timestamp_ms(clock);
+        let resolver_address = tx_context::sender(ctx);
+
+        // Same rules as the source escrow, whose timelocks these are
+        assert!(vector::length(&secret_hash) > 0, E_INVALID_SECRET_HASH);
+        assert!(user_timelock > current_time, E_INVALID_TIMELOCK);
+        assert!(resolver_timelock > current_time, E_INVALID_TIMELOCK);
+        assert!(user_timelock <= current_time + MAX_SWAP_DURATION, E_INVALID_TIMELOCK);
+        assert!(resolver_timelock + MIN_TIMELOCK_BUFFER <= user_timelock, E_INVALID_TIMELOCK_RELATIONSHIP);
+
+        assert!(is_resolver_registered(factory, resolver_address), E_UNAUTHORIZED);
+        lock_stake_until(factory, resolver_address, user_timelock);
+
+        let escrow = SwapEscrow<T> {
+            id: object::new(ctx),
+            swap_id: swap_id,
+            factory_id: object::id(factory),
+
+            // User side, unused
+            user_address: user_address,
+            user_beneficiary: resolver_address,
+            user_amount: 0,
+            user_timelock: user_timelock,
+            user_locked: false,
+            user_claimed: false,
+            user_refunded: false,
+            user_balance: balance::zero<T>(),
+
+            // Resolver side, paid out to the user
+            resolver_address: resolver_address,
+            resolver_beneficiary: user_address,
+            resolver_amount: 0,
+            resolver_timelock: resolver_timelock,
+            resolver_locked: false,
+            resolver_claimed: false,
+            resolver_refunded: false,
+            resolver_balance: balance::zero<T>(),
+
+            // Shared
+            secret_hash: secret_hash,
+            revealed_secret: string::utf8(b""),
+            is_destroyed: false,
+            created_at: current_time,
+            user_lock_required: false,
+        };
+
+        let escrow_id = object::id(&escrow);
+
+        vector::push_back(&mut factory.active_swaps, swap_id);
+        vector::push_back(&mut factory.swap_escrows, escrow_id);
+
+        event::emit(DestinationEscrowCreated {
+            swap_id: swap_id,
+            escrow_id: escrow_id,
+            user_address: user_address,
+            resolver_address: resolver_address,
+            secret_hash: secret_hash,
+            user_timelock: user_timelock,
+            resolver_timelock: resolver_timelock,
+            coin_type: type_name::into_string(type_name::get<T>()),
         });
 
         transfer::share_object(escrow);
@@ -252,13 +396,14 @@ module fusion_plus::sui_swap_escrow {
     }
 
     // Lock funds on user side (called by user first)
-    public fun lock_user_side(
-        escrow: &mut SwapEscrow,
-        amount: Coin<SUI>,
+    public fun lock_user_side<T>(
+        escrow: &mut SwapEscrow<T>,
+        amount: Coin<T>,
         clock: &Clock,
         ctx: &mut TxContext
     ) {
         assert!(!escrow.is_destroyed, E_ESCROW_DESTROYED);
+        assert!(escrow.user_lock_required, E_USER_SIDE_UNUSED);
         assert!(tx_context::sender(ctx) == escrow.user_address, E_UNAUTHORIZED);
         assert!(!escrow.user_locked, E_ALREADY_LOCKED);
         assert!(clock::timestamp_ms(clock) <= escrow.user_timelock, E_EXPIRED);
@@ -277,17 +422,17 @@ module fusion_plus::sui_swap_escrow {
         });
     }
 
-    // Lock funds on resolver side (called by resolver after user locks)
-    public fun lock_resolver_side(
-        escrow: &mut SwapEscrow,
-        amount: Coin<SUI>,
+    // Lock funds on resolver side (called by resolver after user locks, or first on a destination escrow)
+    public fun lock_resolver_side<T>(
+        escrow: &mut SwapEscrow<T>,
+        amount: Coin<T>,
         clock: &Clock,
         ctx: &mut TxContext
     ) {
         assert!(!escrow.is_destroyed, E_ESCROW_DESTROYED);
         assert!(tx_context::sender(ctx) == escrow.resolver_address, E_UNAUTHORIZED);
         assert!(!escrow.resolver_locked, E_ALREADY_LOCKED);
-        assert!(escrow.user_locked, E_USER_MUST_LOCK_FIRST);
+        assert!(escrow.user_locked || !escrow.user_lock_required, E_USER_MUST_LOCK_FIRST);
         assert!(clock::timestamp_ms(clock) <= escrow.resolver_timelock, E_EXPIRED);
 
         let amount_value = coin::value(&amount);
@@ -305,8 +450,8 @@ module fusion_plus::sui_swap_escrow {
     }
 
     // Claim funds by revealing secret
-    public fun claim_funds(
-        escrow: &mut SwapEscrow,
+    public fun claim_funds<T>(
+        escrow: &mut SwapEscrow<T>,
         secret: String,
         side: u8, // 0 for user side, 1 for resolver side
         clock: &Clock,
@@ -378,8 +523,8 @@ module fusion_plus::sui_swap_escrow {
     }
 
     // Refund funds after timelock expiry
-    public fun refund_funds(
-        escrow: &mut SwapEscrow,
+    public fun refund_funds<T>(
+        escrow: &mut SwapEscrow<T>,
         side: u8, // 0 for user side, 1 for resolver side
         clock: &Clock,
         ctx: &mut TxContext
@@ -437,8 +582,8 @@ module fusion_plus::sui_swap_escrow {
     }
 
     // Auto-claim other side when secret is revealed
-    fun auto_claim_other_side(
-        escrow: &mut SwapEscrow,
+    fun auto_claim_other_side<T>(
+        escrow: &mut SwapEscrow<T>,
         secret: String,
         claimed_side: u8,
         clock: &Clock,
@@ -496,8 +641,9 @@ module fusion_plus::sui_swap_escrow {
     }
 
     // Check if both sides are processed and destroy if so
-    fun check_and_destroy(escrow: &mut SwapEscrow) {
-        let user_processed = escrow.user_claimed || escrow.user_refunded;
+    fun check_and_destroy<T>(escrow: &mut SwapEscrow<T>) {
+        // A destination escrow's user side never holds funds
+        let user_processed = escrow.user_claimed || escrow.user_refunded || !escrow.user_lock_required;
         let resolver_processed = escrow.resolver_claimed || escrow.resolver_refunded;
         
         if (user_processed && resolver_processed) {
@@ -506,7 +652,7 @@ module fusion_plus::sui_swap_escrow {
     }
 
     // Destroy the escrow contract
-    fun destroy_escrow(escrow: &mut SwapEscrow) {
+    fun destroy_escrow<T>(escrow: &mut SwapEscrow<T>) {
         escrow.is_destroyed = true;
         
         event::emit(EscrowDestroyed {
@@ -523,8 +669,8 @@ module fusion_plus::sui_swap_escrow {
     }
 
     // Force destroy escrow (emergency or cleanup)
-    public fun force_destroy(
-        escrow: &mut SwapEscrow,
+    public fun force_destroy<T>(
+        escrow: &mut SwapEscrow<T>,
         clock: &Clock,
         ctx: &mut TxContext
     ) {
@@ -546,6 +692,15 @@ module fusion_plus::sui_swap_escrow {
         destroy_escrow(escrow);
     }
 
+    // Keep a resolver's stake until `timelock`, when its swap can no longer be claimed
+    fun lock_stake_until(factory: &mut SwapEscrowFactory, resolver: address, timelock: u64) {
+        let (_, i) = vector::index_of(&factory.resolvers, &resolver);
+        let locked_until = vector::borrow_mut(&mut factory.resolver_locked_until, i);
+        if (timelock > *locked_until) {
+            *locked_until = timelock;
+        };
+    }
+
     // Helper function to check if resolver is registered
     public fun is_resolver_registered(factory: &SwapEscrowFactory, resolver: address): bool {
         let len = vector::length(&factory.resolvers);
@@ -561,7 +716,7 @@ module fusion_plus::sui_swap_escrow {
     }
 
     // Get escrow status
-    public fun get_escrow_status(escrow: &SwapEscrow): (
+    public fun get_escrow_status<T>(escrow: &SwapEscrow<T>): (
         bool, bool, bool, bool, bool, bool, bool, bool
     ) {
         (
@@ -577,7 +732,7 @@ module fusion_plus::sui_swap_escrow {
     }
 
     // Check if side can be claimed
-    public fun can_claim(escrow: &SwapEscrow, side: u8, clock: &Clock): bool {
+    public fun can_claim<T>(escrow: &SwapEscrow<T>, side: u8, clock: &Clock): bool {
         let current_time = clock::timestamp_ms(clock);
         
         if (side == 0) {
@@ -594,7 +749,7 @@ module fusion_plus::sui_swap_escrow {
     }
 
     // Check if side can be refunded
-    public fun can_refund(escrow: &SwapEscrow, side: u8, clock: &Clock): bool {
+    public fun can_refund<T>(escrow: &SwapEscrow<T>, side: u8, clock: &Clock): bool {
         let current_time = clock::timestamp_ms(clock);
         
         if (side == 0) {
@@ -0,0 +1,261 @@
+#[test_only]
+module fusion_plus::sui_swap_escrow_tests {
+    use sui::test_scenario::{Self as ts, Scenario};
+    use sui::coin::{Self, Coin};
+    use sui::sui::SUI;
+    use sui::clock::{Self, Clock};
+    use sui::hash;
+    use std::string;
+    use fusion_plus::sui_swap_escrow::{Self, SwapEscrow, SwapEscrowFactory};
+
+    // Test constants
+    const ADMIN: address = @0xAD;
+    const USER: address = @0x1111;
+    const RESOLVER: address = @0x2222;
+    const OTHER: address = @0x3333;
+
+    const TEST_AMOUNT: u64 = 1_000_000_000; // 1 SUI
+    const RESOLVER_STAKE: u64 = 1_000_000_000; // 1 SUI
+    const USER_LOCK_DURATION: u64 = 7200000; // 2 hours in milliseconds
+    const RESOLVER_LOCK_DURATION: u64 = 3600000; // 1 hour in milliseconds
+    const SWAP_ID: vector<u8> = b"test_swap_1";
+    const SECRET: vector<u8> = b"secret123";
+    // A user's Ethereum address, as passed for swaps paid out on Ethereum
+    const ETH_RECIPIENT: vector<u8> = x"000000000000000000000000000000000000a11c";
+
+    // Publishes the factory and registers RESOLVER on it
+    fun setup(): (Scenario, Clock) {
+        let mut scenario = ts::begin(ADMIN);
+        let mut clock = clock::create_for_testing(ts::ctx(&mut scenario));
+        clock::increment_for_testing(&mut clock, 1000);
+        {
+            sui_swap_escrow::init_for_testing(ts::ctx(&mut scenario));
+        };
+
+        ts::next_tx(&mut scenario, RESOLVER);
+        {
+            let mut factory = ts::take_shared<SwapEscrowFactory>(&scenario);
+            let stake_coin = coin::mint_for_testing<SUI>(RESOLVER_STAKE, ts::ctx(&mut scenario));
+            sui_swap_escrow::register_resolver(&mut factory, stake_coin, ts::ctx(&mut scenario));
+            ts::return_shared(factory);
+        };
+
+        (scenario, clock)
+    }
+
+    // Creates a destination escrow as `sender`, paying out to USER
+    fun create_destination_escrow(scenario: &mut Scenario, clock: &Clock, sender: address) {
+        ts::next_tx(scenario, sender);
+        {
+            let mut factory = ts::take_shared<SwapEscrowFactory>(scenario);
+            let now = clock::timestamp_ms(clock);
+            sui_swap_escrow::create_destination_escrow<SUI>(
+                &mut factory,
+                SWAP_ID,
+                USER,
+                hash::keccak256(&SECRET),
+                now + USER_LOCK_DURATION,
+                now + RESOLVER_LOCK_DURATION,
+                clock,
+                ts::ctx(scenario)
+            );
+            ts::return_shared(factory);
+        };
+    }
+
+    fun lock_resolver_side(scenario: &mut Scenario, clock: &Clock) {
+        ts::next_tx(scenario, RESOLVER);
+        {
+            let mut escrow = ts::take_shared<SwapEscrow<SUI>>(scenario);
+            let amount_coin = coin::mint_for_testing<SUI>(TEST_AMOUNT, ts::ctx(scenario));
+            sui_swap_escrow::lock_resolver_side(&mut escrow, amount_coin, clock, ts::ctx(scenario));
+            ts::return_shared(escrow);
+        };
+    }
+
+    #[test]
+    fun test_destination_escrow_resolver_locks_first() {
+        let (mut scenario, clock) = setup();
+        create_destination_escrow(&mut scenario, &clock, RESOLVER);
+        lock_resolver_side(&mut scenario, &clock);
+
+        ts::next_tx(&mut scenario, RESOLVER);
+        {
+            let escrow = ts::take_shared<SwapEscrow<SUI>>(&scenario);
+            let (user_locked, _, _, resolver_locked, _, _, _, _) = sui_swap_escrow::get_escrow_status(&escrow);
+            assert!(!user_locked);
+            assert!(resolver_locked);
+            assert!(sui_swap_escrow::can_claim(&escrow, 1, &clock));
+            ts::return_shared(escrow);
+        };
+
+        clock::destroy_for_testing(clock);
+        ts::end(scenario);
+    }
+
+    #[test]
+    fun test_user_claims_destination_escrow() {
+        let (mut scenario, clock) = setup();
+        create_destination_escrow(&mut scenario, &clock, RESOLVER);
+        lock_resolver_side(&mut scenario, &clock);
+
+        ts::next_tx(&mut scenario, USER);
+        {
+            let mut escrow = ts::take_shared<SwapEscrow<SUI>>(&scenario);
+            sui_swap_escrow::claim_funds(&mut escrow, string::utf8(SECRET), 1, &clock, ts::ctx(&mut scenario));
+
+            // Nothing is left on the unused user side, so the escrow is done
+            let (_, _, _, _, resolver_claimed, _, secret_revealed, destroyed) =
+                sui_swap_escrow::get_escrow_status(&escrow);
+            assert!(resolver_claimed);
+            assert!(secret_revealed);
+            assert!(destroyed);
+            ts::return_shared(escrow);
+        };
+
+        // The resolver's coins went to the user
+        ts::next_tx(&mut scenario, USER);
+        {
+            let payout = ts::take_from_address<Coin<SUI>>(&scenario, USER);
+            assert!(coin::value(&payout) == TEST_AMOUNT);
+            ts::return_to_address(USER, payout);
+        };
+
+        clock::destroy_for_testing(clock);
+        ts::end(scenario);
+    }
+
+    #[test]
+    fun test_resolver_refunds_unclaimed_destination_escrow() {
+        let (mut scenario, mut clock) = setup();
+        create_destination_escrow(&mut scenario, &clock, RESOLVER);
+        lock_resolver_side(&mut scenario, &clock);
+
+        // Fast forward past the resolver timelock
+        clock::increment_for_testing(&mut clock, RESOLVER_LOCK_DURATION + 1);
+
+        ts::next_tx(&mut scenario, RESOLVER);
+        {
+            let mut escrow = ts::take_shared<SwapEscrow<SUI>>(&scenario);
+            sui_swap_escrow::refund_funds(&mut escrow, 1, &clock, ts::ctx(&mut scenario));
+
+            let (_, _, _, _, _, resolver_refunded, _, destroyed) = sui_swap_escrow::get_escrow_status(&escrow);
+            assert!(resolver_refunded);
+            assert!(destroyed);
+            ts::return_shared(escrow);
+        };
+
+        ts::next_tx(&mut scenario, RESOLVER);
+        {
+            let refund = ts::take_from_address<Coin<SUI>>(&scenario, RESOLVER);
+            assert!(coin::value(&refund) == TEST_AMOUNT);
+            ts::return_to_address(RESOLVER, refund);
+        };
+
+        clock::destroy_for_testing(clock);
+        ts::end(scenario);
+    }
+
+    #[test]
+    #[expected_failure(abort_code = fusion_plus::sui_swap_escrow::E_UNAUTHORIZED)]
+    fun test_resolver_cannot_claim_destination_escrow() {
+        let (mut scenario, clock) = setup();
+        create_destination_escrow(&mut scenario, &clock, RESOLVER);
+        lock_resolver_side(&mut scenario, &clock);
+
+        // The user is the beneficiary of the resolver side
+        ts::next_tx(&mut scenario, RESOLVER);
+        {
+            let mut escrow = ts::take_shared<SwapEscrow<SUI>>(&scenario);
+            sui_swap_escrow::claim_funds(&mut escrow, string::utf8(SECRET), 1, &clock, ts::ctx(&mut scenario));
+            ts::return_shared(escrow);
+        };
+
+        clock::destroy_for_testing(clock);
+        ts::end(scenario);
+    }
+
+    #[test]
+    #[expected_failure(abort_code = fusion_plus::sui_swap_escrow::E_USER_SIDE_UNUSED)]
+    fun test_destination_escrow_rejects_user_lock() {
+        let (mut scenario, clock) = setup();
+        create_destination_escrow(&mut scenario, &clock, RESOLVER);
+
+        ts::next_tx(&mut scenario, USER);
+        {
+            let mut escrow = ts::take_shared<SwapEscrow<SUI>>(&scenario);
+            let amount_coin = coin::mint_for_testing<SUI>(TEST_AMOUNT, ts::ctx(&mut scenario));
+            sui_swap_escrow::lock_user_side(&mut escrow, amount_coin, &clock, ts::ctx(&mut scenario));
+            ts::return_shared(escrow);
+        };
+
+        clock::destroy_for_testing(clock);
+        ts::end(scenario);
+    }
+
+    #[test]
+    #[expected_failure(abort_code = fusion_plus::sui_swap_escrow::E_UNAUTHORIZED)]
+    fun test_destination_escrow_unregistered_resolver() {
+        let (mut scenario, clock) = setup();
+        create_destination_escrow(&mut scenario, &clock, OTHER);
+
+        clock::destroy_for_testing(clock);
+        ts::end(scenario);
+    }
+
+    #[test]
+    #[expected_failure(abort_code = fusion_plus::sui_swap_escrow::E_USER_MUST_LOCK_FIRST)]
+    fun test_source_escrow_still_waits_for_user_lock() {
+        let (mut scenario, clock) = setup();
+
+        ts::next_tx(&mut scenario, USER);
+        {
+            let mut factory = ts::take_shared<SwapEscrowFactory>(&scenario);
+            let now = clock::timestamp_ms(&clock);
+            sui_swap_escrow::create_swap_escrow<SUI>(
+                &mut factory,
+                SWAP_ID,
+                RESOLVER,
+                ETH_RECIPIENT,
+                hash::keccak256(&SECRET),
+                now + USER_LOCK_DURATION,
+                now + RESOLVER_LOCK_DURATION,
+                &clock,
+                ts::ctx(&mut scenario)
+            );
+            ts::return_shared(factory);
+        };
+
+        lock_resolver_side(&mut scenario, &clock);
+
+        clock::destroy_for_testing(clock);
+        ts::end(scenario);
+    }
+
+    #[test]
+    #[expected_failure(abort_code = fusion_plus::sui_swap_escrow::E_INVALID_RECIPIENT)]
+    fun test_source_escrow_without_recipient() {
+        let (mut scenario, clock) = setup();
+
+        ts::next_tx(&mut scenario, USER);
+        {
+            let mut factory = ts::take_shared<SwapEscrowFactory>(&scenario);
+            let now = clock::timestamp_ms(&clock);
+            sui_swap_escrow::create_swap_escrow<SUI>(
+                &mut factory,
+                SWAP_ID,
+                RESOLVER,
+                b"",
+                hash::keccak256(&SECRET),
+                now + USER_LOCK_DURATION,
+                now + RESOLVER_LOCK_DURATION,
+                &clock,
+                ts::ctx(&mut scenario)
+            );
+            ts::return_shared(factory);
+        };
+
+        clock::destroy_for_testing(clock);
+        ts::end(scenario);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,52 @@
+#!/usr/bin/env bash
+# Publishes fusion_plus as a new package, for changes `sui client upgrade` refuses: the SwapEscrowFactory
+# layout, or public function signatures such as create_swap_escrow's. The factory is created by `init`, so
+# the new package comes with a new, empty factory: resolvers withdraw their stake and register again.
+#
+# Usage: OLD_PACKAGE_ID=0x... OLD_FACTORY_ID=0x... ./redeploy.sh
+#   OLD_PACKAGE_ID / OLD_FACTORY_ID  the deployment being replaced; when both are set, the
+#                                    active address withdraws its stake from it first
+#   GAS_BUDGET                       in MIST, default 500000000
+set -euo pipefail
+
+GAS_BUDGET="${GAS_BUDGET:-500000000}"
+PACKAGE_DIR="$(cd "$(dirname "$0")/../fusion_plus" && pwd)"
+
+command -v sui >/dev/null || { echo "sui CLI not found" >&2; exit 1; }
+command -v jq >/dev/null || { echo "jq not found" >&2; exit 1; }
+
+if [[ -n "${OLD_PACKAGE_ID:-}" && -n "${OLD_FACTORY_ID:-}" ]]; then
+  echo "Withdrawing stake of $(sui client active-address) from ${OLD_FACTORY_ID}"
+  # Fails if this address is not registered there; nothing to migrate in that case
+  sui client call \
+    --package "${OLD_PACKAGE_ID}" \
+    --module sui_swap_escrow \
+    --function withdraw_stake \
+    --args "${OLD_FACTORY_ID}" \
+    --gas-budget "${GAS_BUDGET}" \
+    || echo "No stake withdrawn from ${OLD_FACTORY_ID}" >&2
+fi
+
+echo "Publishing ${PACKAGE_DIR}"
+RESULT="$(sui client publish "${PACKAGE_DIR}" --gas-budget "${GAS_BUDGET}" --json)"
+
+PACKAGE_ID="$(jq -r '.objectChanges[] | select(.type == "published") | .packageId' <<< "${RESULT}")"
+FACTORY_ID="$(jq -r '.objectChanges[] | select(.type == "created")
+  | select(.objectType | endswith("::sui_swap_escrow::SwapEscrowFactory")) | .objectId' <<< "${RESULT}")"
+UPGRADE_CAP="$(jq -r '.objectChanges[] | select(.type == "created")
+  | select(.objectType == "0x2::package::UpgradeCap") | .objectId' <<< "${RESULT}")"
+
+if [[ -z "${PACKAGE_ID}" || -z "${FACTORY_ID}" ]]; then
+  echo "Publish output has no package or factory id" >&2
+  exit 1
+fi
+
+cat <<EOF
+
+Published. Set these in the resolver .env and in deployment-addresses.txt:
+SUI_PACKAGE_ID=${PACKAGE_ID}
+SUI_SWAP_ESCROW_FACTORY_ID=${FACTORY_ID}
+UpgradeCap: ${UPGRADE_CAP}
+
+Resolvers register on the new factory with SUI_STAKE_AMOUNT on their next start.
+EOF